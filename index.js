@@ -6,7 +6,16 @@ const cookieParser = require("cookie-parser");
 const { Sequelize, DataTypes } = require("sequelize");
 const { getSystemInfo } = require("./util/systemInfo");
 const databaseRoutes = require("./routes/database");
-const { requireAuth, authRouter } = require("./middleware/auth");
+const connectionRoutes = require("./routes/connections");
+const adminRoutes = require("./routes/admin");
+const tokenRoutes = require("./routes/tokens");
+const accountRoutes = require("./routes/account");
+const queryRoutes = require("./routes/queries");
+const { requireAuth, authRouter, sessionStore } = require("./middleware/auth");
+const { POOL_CONFIG, closeAllPools } = require("./util/pool");
+const { QUERY_CONFIG, closeAllCursors } = require("./util/queryCursors");
+const { getSettings } = require("./util/settings");
+const { closeAllSessionTransactions } = require("./util/sessionTransactions");
 
 const app = express();
 const server = http.createServer(app);
@@ -63,8 +72,14 @@ app.get("/", (req, res) => {
 // Authentication routes (must come before protected routes)
 app.use("/api/db", authRouter);
 
-// Protected database routes
-app.use("/api/db", requireAuth, databaseRoutes);
+// Protected database routes, authenticated once for all of them
+app.use("/api/db", requireAuth);
+app.use("/api/db", adminRoutes);
+app.use("/api/db", tokenRoutes);
+app.use("/api/db", accountRoutes);
+app.use("/api/db", connectionRoutes);
+app.use("/api/db", queryRoutes);
+app.use("/api/db", databaseRoutes);
 
 // Security headers middleware
 app.use((req, res, next) => {
@@ -150,9 +165,14 @@ async function startServer() {
 
     // Log authentication configuration
     console.log("Authentication Configuration:");
-    console.log(`- Username: ${process.env.DB_AUTH_USERNAME || 'admin'}`);
+    console.log(`- Initial admin: ${process.env.DB_AUTH_USERNAME || 'admin'} (only used while the user store is empty)`);
     console.log(`- Session Timeout: ${process.env.DB_SESSION_TIMEOUT || 30} minutes`);
+    console.log(`- Session Store: ${sessionStore.type}`);
     console.log(`- Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`- Pool: max ${POOL_CONFIG.max}, idle timeout ${POOL_CONFIG.idleTimeoutMillis}ms, statement timeout ${POOL_CONFIG.statementTimeout || 'none'}`);
+    console.log(`- Query results: pages of ${QUERY_CONFIG.pageSize}, capped at ${QUERY_CONFIG.maxRows} rows`);
+    const { queryTimeout } = getSettings();
+    console.log(`- Console statement timeout: ${queryTimeout ? `${queryTimeout}s` : 'none'} (admins can change it, also per user)`);
 
     // Start server
     server.listen(PORT, "0.0.0.0", () => {
@@ -175,8 +195,16 @@ async function startServer() {
 async function gracefulShutdown(signal) {
   console.log(`Received ${signal}. Starting graceful shutdown...`);
   
-  server.close(() => {
+  server.close(async () => {
     console.log("HTTP server closed");
+
+    // Open query cursors hold pooled clients; hand them back first
+    await closeAllCursors();
+    await closeAllSessionTransactions();
+    await closeAllPools();
+    console.log("Connection pools closed");
+
+    await sessionStore.close();
     
     if (process.env.USE_SEQUELIZE === 'true') {
       sequelize.close().then(() => {
@@ -1,107 +1,294 @@
 const express = require('express');
 const crypto = require('crypto');
 const path = require('path');
+const {
+    authenticate,
+    getUser,
+    ensureBootstrapAdmin,
+    recordLogin,
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifySecondFactor
+} = require('../util/users');
+const { getSettings } = require('../util/settings');
+const auditLog = require('../util/auditLog');
+const { authenticateToken } = require('../util/apiTokens');
 
 
-const sessions = new Map();
+const { createStore } = require('../util/sessionStore');
+const { closeSessionTransaction } = require('../util/sessionTransactions');
+
+// Sessions and login attempt counters live in the configured store
+// (DB_SESSION_STORE = memory | file | postgres)
+const store = createStore();
+const SESSIONS = 'session';
+const LOGIN_ATTEMPTS = 'login_attempts';
+const LOGIN_CHALLENGES = 'login_challenge';
 
 // Configuration - Add these to your .env file
 const AUTH_CONFIG = {
     username: process.env.DB_AUTH_USERNAME || 'admin',
     password: process.env.DB_AUTH_PASSWORD || 'your_secure_password_here',
     secretKey: process.env.DB_AUTH_SECRET || 'your-secret-key-here-change-in-production',
-    sessionTimeout: parseInt(process.env.DB_SESSION_TIMEOUT) || 30 * 60 * 1000 // 30 minutes
+    sessionTimeout: parseInt(process.env.DB_SESSION_TIMEOUT) || 30 * 60 * 1000, // 30 minutes
+    maxLoginAttempts: 5,
+    loginWindow: 15 * 60 * 1000, // failed attempts are forgotten after 15 quiet minutes
+    challengeTimeout: 5 * 60 * 1000 // time to enter the second factor after the password
 };
 
+// Don't rewrite a session on every request; expiry is coarse enough for this
+const ACTIVITY_WRITE_INTERVAL = 10 * 1000;
+
+// CSRF: each session carries a synchronizer token that state-changing requests must
+// echo back in the X-CSRF-Token header (fetch) or a _csrf form field. The login forms,
+// which run before there is a session, use a double-submit cookie instead.
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_FIELD = '_csrf';
+const LOGIN_CSRF_COOKIE = 'db_login_csrf';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The env credentials only seed the first admin; accounts live in the user store afterwards
+ensureBootstrapAdmin(AUTH_CONFIG.username, AUTH_CONFIG.password);
+
 // Generate secure session ID
 function generateSessionId() {
     return crypto.randomBytes(32).toString('hex');
 }
 
-// Hash password with salt
-function hashPassword(password, salt) {
-    return crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-}
-
-// Verify password
-function verifyPassword(password, hash, salt) {
-    const hashToVerify = hashPassword(password, salt);
-    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashToVerify, 'hex'));
-}
-
 // Create session
-function createSession(userId) {
+async function createSession(userId) {
     const sessionId = generateSessionId();
     const session = {
         id: sessionId,
         userId: userId,
         createdAt: Date.now(),
         lastActivity: Date.now(),
+        connection: null, // active connection profile, null = default
+        csrfToken: generateSessionId(),
         isValid: true
     };
     
-    sessions.set(sessionId, session);
+    await store.set(SESSIONS, sessionId, session, AUTH_CONFIG.sessionTimeout);
     
     // Clean up expired sessions
-    cleanupExpiredSessions();
+    await cleanupExpiredSessions();
     
     return sessionId;
 }
 
 // Validate session
-function validateSession(sessionId) {
-    const session = sessions.get(sessionId);
+async function validateSession(sessionId) {
+    const session = await store.get(SESSIONS, sessionId);
     
     if (!session || !session.isValid) {
         return null;
     }
     
     // Check if session has expired
-    if (Date.now() - session.lastActivity > AUTH_CONFIG.sessionTimeout) {
-        sessions.delete(sessionId);
+    const now = Date.now();
+    if (now - session.lastActivity > AUTH_CONFIG.sessionTimeout) {
+        await store.delete(SESSIONS, sessionId);
         return null;
     }
     
-    // Update last activity
-    session.lastActivity = Date.now();
+    // Update last activity (sliding expiry)
+    if (now - session.lastActivity > ACTIVITY_WRITE_INTERVAL) {
+        session.lastActivity = now;
+        await store.set(SESSIONS, sessionId, session, AUTH_CONFIG.sessionTimeout);
+    }
     return session;
 }
 
-// Clean up expired sessions
-function cleanupExpiredSessions() {
-    const now = Date.now();
-    for (const [sessionId, session] of sessions.entries()) {
-        if (now - session.lastActivity > AUTH_CONFIG.sessionTimeout) {
-            sessions.delete(sessionId);
-        }
+// Clean up expired sessions and stale login counters
+async function cleanupExpiredSessions() {
+    try {
+        await store.cleanup();
+    } catch (err) {
+        console.error('[SESSIONS] Cleanup failed:', err.message);
     }
 }
 
 // Logout session
-function destroySession(sessionId) {
-    sessions.delete(sessionId);
+async function destroySession(sessionId) {
+    await store.delete(SESSIONS, sessionId);
+}
+
+// Log a user out everywhere (account disabled or password reset)
+async function destroyUserSessions(userId) {
+    for (const [sessionId, session] of await store.entries(SESSIONS)) {
+        if (session.userId === userId) {
+            await store.delete(SESSIONS, sessionId);
+            await closeSessionTransaction(sessionId);
+        }
+    }
+}
+
+// Switch the connection profile used by a session
+async function setSessionConnection(sessionId, profileName) {
+    const session = await store.get(SESSIONS, sessionId);
+    if (!session) {
+        return false;
+    }
+    session.connection = profileName;
+    await store.set(SESSIONS, sessionId, session, AUTH_CONFIG.sessionTimeout);
+    return true;
+}
+
+function tokensMatch(expected, actual) {
+    if (!expected || typeof actual !== 'string') {
+        return false;
+    }
+    const a = Buffer.from(expected);
+    const b = Buffer.from(actual);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function csrfTokenFrom(req) {
+    return req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+}
+
+function rejectCsrf(req, res) {
+    console.log(`[AUTH] CSRF token mismatch for user "${req.user?.id}" on ${req.method} ${req.originalUrl}`);
+
+    const message = 'Missing or invalid CSRF token. Reload the page and try again.';
+    if (req.accepts(['json', 'html']) === 'json') {
+        return res.status(403).json({ error: 'Invalid CSRF token', message });
+    }
+    return res.status(403).send(`Forbidden: ${message}`);
+}
+
+// Token authentication for scripts: "Authorization: Bearer pgm_..."
+function authenticateBearer(req, res, next, header) {
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    const clientIP = req.ip || req.connection.remoteAddress;
+    const token = match ? authenticateToken(match[1], clientIP) : null;
+    const account = token ? getUser(token.username) : null;
+
+    if (!token || !account || account.disabled) {
+        console.log(`[AUTH] Rejected API token from ${clientIP} for ${req.method} ${req.originalUrl}`);
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return res.status(401).json({
+            error: 'Authentication required',
+            message: 'Invalid, expired or revoked API token'
+        });
+    }
+
+    // Read-only tokens can't change anything, whatever the account may do
+    if (token.scope === 'read' && !['GET', 'HEAD'].includes(req.method)) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `API token "${token.name}" is read-only`
+        });
+    }
+
+    req.user = {
+        id: account.username,
+        role: account.role,
+        grants: account.grants || {},
+        statementTimeout: account.statementTimeout,
+        sessionId: null,
+        connection: null,
+        tokenId: token.id,
+        tokenScope: token.scope
+    };
+    next();
 }
 
 // Authentication middleware
-function requireAuth(req, res, next) {
+async function requireAuth(req, res, next) {
+    const authorization = req.headers.authorization;
+    if (authorization) {
+        return authenticateBearer(req, res, next, authorization);
+    }
+
     const sessionId = req.cookies?.db_session;
     
     if (!sessionId) {
         return redirectToLogin(req, res);
     }
     
-    const session = validateSession(sessionId);
+    let session;
+    try {
+        session = await validateSession(sessionId);
+    } catch (err) {
+        console.error('[SESSIONS] Session lookup failed:', err.message);
+        return next(err);
+    }
+
     if (!session) {
         // Clear invalid cookie
         res.clearCookie('db_session');
         return redirectToLogin(req, res);
     }
+
+    // The account may have been disabled or removed since login
+    const account = getUser(session.userId);
+    if (!account || account.disabled) {
+        await destroySession(sessionId).catch(() => {});
+        res.clearCookie('db_session');
+        return redirectToLogin(req, res);
+    }
+    
+    // Sessions created before CSRF tokens existed get one now
+    if (!session.csrfToken) {
+        session.csrfToken = generateSessionId();
+        try {
+            await store.set(SESSIONS, sessionId, session, AUTH_CONFIG.sessionTimeout);
+        } catch (err) {
+            return next(err);
+        }
+    }
     
     // Add user info to request
-    req.user = { id: session.userId, sessionId: sessionId };
+    req.user = {
+        id: session.userId,
+        role: account.role,
+        grants: account.grants || {},
+        statementTimeout: account.statementTimeout,
+        sessionId: sessionId,
+        connection: session.connection,
+        session: session
+    };
+
+    // Views read it from res.locals; bearer-token requests never reach this point
+    res.locals.csrfToken = session.csrfToken;
+    if (!SAFE_METHODS.includes(req.method) && !tokensMatch(session.csrfToken, csrfTokenFrom(req))) {
+        return rejectCsrf(req, res);
+    }
     next();
 }
 
+// Gate for account management that must come from a signed-in browser, not an API token
+function requireSession(req, res, next) {
+    if (req.user.tokenId) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: 'This cannot be done with an API token'
+        });
+    }
+    next();
+}
+
+// Role gate, used after requireAuth
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (req.user && roles.includes(req.user.role)) {
+            return next();
+        }
+
+        console.log(`[AUTH] User "${req.user?.id}" (${req.user?.role}) denied ${req.method} ${req.originalUrl}`);
+
+        // Browser page loads get a plain page, fetch() callers get JSON
+        if (req.accepts(['json', 'html']) === 'json') {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `This action requires one of the roles: ${roles.join(', ')}`
+            });
+        }
+        return res.status(403).send('Forbidden: insufficient role for this page.');
+    };
+}
+
 // Redirect to login helper
 function redirectToLogin(req, res) {
     // For API requests, return JSON error
@@ -119,12 +306,9 @@ function redirectToLogin(req, res) {
 // Create router for auth routes
 const authRouter = express.Router();
 
-// Login page
-authRouter.get('/login', (req, res) => {
-    const redirect = req.query.redirect || '/api/db';
-    const error = req.query.error;
-    
-    res.send(`
+// Shared frame for the login pages (sign-in form, second factor, recovery codes)
+function renderAuthPage({ subtitle = 'CloudSoftware.tn', error, content, script = '' }) {
+    return `
         <!DOCTYPE html>
         <html lang="en">
         <head>
@@ -152,7 +336,7 @@ authRouter.get('/login', (req, res) => {
                         <i class="fas fa-database text-white text-2xl"></i>
                     </div>
                     <h1 class="text-2xl font-bold text-white mb-2">Database Access</h1>
-                    <p class="text-white text-opacity-80">CloudSoftware.tn</p>
+                    <p class="text-white text-opacity-80">${escapeHtml(subtitle)}</p>
                 </div>
 
                 <!-- Error Message -->
@@ -165,9 +349,65 @@ authRouter.get('/login', (req, res) => {
                 </div>
                 ` : ''}
 
+${content}
+                <!-- Security Notice -->
+                <div class="mt-8 text-center">
+                    <p class="text-white text-opacity-60 text-xs">
+                        <i class="fas fa-shield-alt mr-1"></i>
+                        This is a secure area. Access is logged and monitored.
+                    </p>
+                </div>
+            </div>
+${script}
+        </body>
+        </html>
+    `;
+}
+
+// Pre-session CSRF token for the login forms (double-submit: cookie + hidden field)
+function issueLoginCsrfToken(req, res) {
+    let token = req.cookies?.[LOGIN_CSRF_COOKIE];
+    if (!token || !/^[0-9a-f]{64}$/.test(token)) {
+        token = generateSessionId();
+        res.cookie(LOGIN_CSRF_COOKIE, token, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            sameSite: 'strict'
+        });
+    }
+    return token;
+}
+
+function verifyLoginCsrf(req, res, next) {
+    if (tokensMatch(req.cookies?.[LOGIN_CSRF_COOKIE], req.body?.[CSRF_FIELD])) {
+        return next();
+    }
+
+    console.log(`[AUTH] CSRF token mismatch on ${req.method} ${req.originalUrl} from ${req.ip || req.connection.remoteAddress}`);
+    res.status(403).send(renderAuthPage({
+        error: 'Forbidden: the sign-in form was missing or had an invalid CSRF token.',
+        content: `
+                <a href="/api/db/login" class="block w-full text-center bg-white text-purple-600 font-semibold py-3 px-4 rounded-lg hover:bg-opacity-90 transition-all">
+                    <i class="fas fa-redo mr-2"></i>Back to sign in
+                </a>
+`
+    }));
+}
+
+// Login page
+authRouter.get('/login', (req, res) => {
+    const redirect = safeRedirect(req.query.redirect);
+    // ?error[]=x or a repeated ?error= parse to arrays and objects
+    const error = typeof req.query.error === 'string' ? req.query.error : null;
+    const csrfToken = issueLoginCsrfToken(req, res);
+    
+    res.send(renderAuthPage({
+        error,
+        content: `
                 <!-- Login Form -->
                 <form method="POST" action="/api/db/login" class="space-y-6">
                     <input type="hidden" name="redirect" value="${escapeHtml(redirect)}">
+                    <input type="hidden" name="${CSRF_FIELD}" value="${csrfToken}">
                     
                     <div>
                         <label for="username" class="block text-white text-sm font-medium mb-2">
@@ -217,15 +457,8 @@ authRouter.get('/login', (req, res) => {
                     </button>
                 </form>
 
-                <!-- Security Notice -->
-                <div class="mt-8 text-center">
-                    <p class="text-white text-opacity-60 text-xs">
-                        <i class="fas fa-shield-alt mr-1"></i>
-                        This is a secure area. Access is logged and monitored.
-                    </p>
-                </div>
-            </div>
-
+`,
+        script: `
             <script>
                 function togglePassword() {
                     const passwordInput = document.getElementById('password');
@@ -250,71 +483,262 @@ authRouter.get('/login', (req, res) => {
                     submitBtn.disabled = true;
                 });
             </script>
-        </body>
-        </html>
-    `);
+`
+    }));
 });
 
-// Login POST handler
-authRouter.post('/login', express.urlencoded({ extended: true }), (req, res) => {
-    const { username, password, redirect = '/api/db' } = req.body;
-    
-    // Rate limiting check (basic implementation)
+// Where to send the browser after signing in: a path on this site only, never
+// another origin (//host, /\host) or a javascript: URL
+function safeRedirect(target) {
+    return typeof target === 'string' && /^\/(?![/\\])[^\\\x00-\x1f]*$/.test(target) ? target : '/api/db';
+}
+
+function loginErrorRedirect(res, message, redirect) {
+    return res.redirect(`/api/db/login?error=${encodeURIComponent(message)}&redirect=${encodeURIComponent(redirect)}`);
+}
+
+// Both factors passed: open the session and send the browser on
+async function completeLogin(req, res, username, details = {}) {
     const clientIP = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
+    const sessionId = await createSession(username);
+    
+    // Set secure cookie
+    res.cookie('db_session', sessionId, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: AUTH_CONFIG.sessionTimeout
+    });
     
-    // Simple rate limiting (store in memory, use Redis in production)
-    if (!global.loginAttempts) global.loginAttempts = new Map();
-    const attempts = global.loginAttempts.get(clientIP) || { count: 0, lastAttempt: 0 };
+    // Reset failed attempts
+    await store.delete(LOGIN_ATTEMPTS, clientIP);
+    recordLogin(username);
     
-    // Reset attempts if more than 15 minutes have passed
-    if (now - attempts.lastAttempt > 15 * 60 * 1000) {
-        attempts.count = 0;
-    }
+    // Log successful login
+    console.log(`[AUTH] Successful login for user "${username}" from ${clientIP}${details.mfa ? ` (2FA: ${details.mfa})` : ''}`);
+    auditLog.record({ action: 'login', user: username, ip: clientIP, ...details, success: true });
+}
+
+// Login POST handler
+authRouter.post('/login', express.urlencoded({ extended: true }), verifyLoginCsrf, async (req, res, next) => {
+    const { username, password } = req.body;
+    const redirect = safeRedirect(req.body.redirect);
     
-    if (attempts.count >= 5) {
-        return res.redirect(`/api/db/login?error=${encodeURIComponent('Too many failed attempts. Please try again later.')}&redirect=${encodeURIComponent(redirect)}`);
-    }
+    const clientIP = req.ip || req.connection.remoteAddress;
     
-    // Validate credentials
-    if (username === AUTH_CONFIG.username && password === AUTH_CONFIG.password) {
-        // Success - create session
-        const sessionId = createSession(username);
-        
-        // Set secure cookie
-        res.cookie('db_session', sessionId, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: AUTH_CONFIG.sessionTimeout
-        });
-        
-        // Reset failed attempts
-        global.loginAttempts.delete(clientIP);
+    try {
+        // Rate limiting check, shared across instances when the store is
+        const attempts = (await store.get(LOGIN_ATTEMPTS, clientIP)) || 0;
         
-        // Log successful login
-        console.log(`[AUTH] Successful login for user "${username}" from ${clientIP}`);
+        if (attempts >= AUTH_CONFIG.maxLoginAttempts) {
+            auditLog.record({ action: 'login_blocked', user: username, ip: clientIP, success: false });
+            return loginErrorRedirect(res, 'Too many failed attempts. Please try again later.', redirect);
+        }
         
+        // Validate credentials
+        const account = authenticate(username, password);
+        if (!account) {
+            // Failed login
+            await store.increment(LOGIN_ATTEMPTS, clientIP, AUTH_CONFIG.loginWindow);
+            
+            // Log failed attempt
+            console.log(`[AUTH] Failed login attempt for user "${username}" from ${clientIP}`);
+            auditLog.record({ action: 'login_failed', user: username, ip: clientIP, success: false });
+            
+            return loginErrorRedirect(res, 'Invalid username or password', redirect);
+        }
+
+        // Second step: enrolled users must enter a code, everyone must enroll when 2FA is required
+        if (account.totpEnabled || getSettings().requireTotp) {
+            const challengeId = generateSessionId();
+            await store.set(LOGIN_CHALLENGES, challengeId, {
+                username: account.username,
+                redirect,
+                enroll: !account.totpEnabled,
+                attempts: 0
+            }, AUTH_CONFIG.challengeTimeout);
+
+            res.cookie('db_login_challenge', challengeId, {
+                httpOnly: true,
+                secure: process.env.NODE_ENV === 'production',
+                sameSite: 'strict',
+                maxAge: AUTH_CONFIG.challengeTimeout
+            });
+            return res.redirect('/api/db/login/verify');
+        }
+
+        await completeLogin(req, res, account.username);
         return res.redirect(redirect);
-    } else {
-        // Failed login
-        attempts.count++;
-        attempts.lastAttempt = now;
-        global.loginAttempts.set(clientIP, attempts);
-        
-        // Log failed attempt
-        console.log(`[AUTH] Failed login attempt for user "${username}" from ${clientIP}`);
-        
-        return res.redirect(`/api/db/login?error=${encodeURIComponent('Invalid username or password')}&redirect=${encodeURIComponent(redirect)}`);
+    } catch (err) {
+        console.error('[SESSIONS] Login failed:', err.message);
+        next(err);
+    }
+});
+
+async function getLoginChallenge(req) {
+    const challengeId = req.cookies?.db_login_challenge;
+    if (!challengeId) {
+        return null;
+    }
+    const challenge = await store.get(LOGIN_CHALLENGES, challengeId);
+    return challenge ? { id: challengeId, ...challenge } : null;
+}
+
+// Second factor page: code entry, or first-time enrollment when 2FA is required
+authRouter.get('/login/verify', async (req, res, next) => {
+    try {
+        const challenge = await getLoginChallenge(req);
+        if (!challenge) {
+            return loginErrorRedirect(res, 'Your sign-in expired, please start again.', '/api/db');
+        }
+
+        let enrollment = '';
+        if (challenge.enroll) {
+            const { secret, uri } = startTotpEnrollment(challenge.username, { keepPending: true });
+            enrollment = `
+                <div class="mb-6 text-white text-sm space-y-3">
+                    <p>Two-factor authentication is required. Scan this code with an authenticator app, then enter the 6-digit code it shows.</p>
+                    <div class="flex justify-center"><div id="qrcode" class="bg-white p-3 rounded-lg"></div></div>
+                    <p class="text-xs text-white text-opacity-80">Or enter the key manually:</p>
+                    <code class="block bg-white bg-opacity-20 rounded px-3 py-2 font-mono text-xs break-all">${escapeHtml(secret)}</code>
+                    <input type="hidden" id="otpauthUri" value="${escapeHtml(uri)}">
+                </div>`;
+        }
+
+        res.send(renderAuthPage({
+            subtitle: challenge.enroll ? 'Set up two-factor authentication' : 'Two-factor authentication',
+            error: typeof req.query.error === 'string' ? req.query.error : null,
+            content: `${enrollment}
+                <form method="POST" action="/api/db/login/verify" class="space-y-6">
+                    <input type="hidden" name="${CSRF_FIELD}" value="${issueLoginCsrfToken(req, res)}">
+                    <div>
+                        <label for="code" class="block text-white text-sm font-medium mb-2">
+                            <i class="fas fa-mobile-alt mr-2"></i>Authentication code
+                        </label>
+                        <input
+                            type="text"
+                            id="code"
+                            name="code"
+                            required
+                            autocomplete="one-time-code"
+                            inputmode="${challenge.enroll ? 'numeric' : 'text'}"
+                            class="w-full px-4 py-3 bg-white bg-opacity-20 border border-white border-opacity-30 rounded-lg text-white placeholder-white placeholder-opacity-60 focus:outline-none focus:ring-2 focus:ring-white focus:ring-opacity-50 focus:border-transparent tracking-widest"
+                            placeholder="${challenge.enroll ? '123456' : '123456 or recovery code'}"
+                        >
+                        ${challenge.enroll ? '' : '<p class="text-white text-opacity-70 text-xs mt-2">Lost your device? Enter one of your recovery codes instead.</p>'}
+                    </div>
+
+                    <button
+                        type="submit"
+                        class="w-full bg-white text-purple-600 font-semibold py-3 px-4 rounded-lg hover:bg-opacity-90 transition-all transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-white focus:ring-opacity-50"
+                    >
+                        <i class="fas fa-check mr-2"></i>
+                        Verify
+                    </button>
+                </form>
+                <div class="mt-4 text-center">
+                    <a href="/api/db/login" class="text-white text-opacity-70 text-xs hover:text-opacity-100">Cancel and sign in again</a>
+                </div>
+`,
+            script: `
+            ${challenge.enroll ? '<script src="https://cdnjs.cloudflare.com/ajax/libs/qrcodejs/1.0.0/qrcode.min.js"></script>' : ''}
+            <script>
+                const uriInput = document.getElementById('otpauthUri');
+                if (uriInput && window.QRCode) {
+                    new QRCode(document.getElementById('qrcode'), { text: uriInput.value, width: 180, height: 180 });
+                }
+                document.getElementById('code').focus();
+            </script>
+`
+        }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Second factor POST handler
+authRouter.post('/login/verify', express.urlencoded({ extended: true }), verifyLoginCsrf, async (req, res, next) => {
+    const clientIP = req.ip || req.connection.remoteAddress;
+    const code = String(req.body.code || '').trim();
+
+    try {
+        const challenge = await getLoginChallenge(req);
+        if (!challenge) {
+            return loginErrorRedirect(res, 'Your sign-in expired, please start again.', '/api/db');
+        }
+
+        let recoveryCodes = null;
+        let result = null;
+        if (challenge.enroll) {
+            recoveryCodes = confirmTotpEnrollment(challenge.username, code);
+            result = recoveryCodes && { method: 'enrolled' };
+        } else {
+            result = verifySecondFactor(challenge.username, code);
+        }
+
+        if (!result) {
+            await store.increment(LOGIN_ATTEMPTS, clientIP, AUTH_CONFIG.loginWindow);
+            console.log(`[AUTH] Invalid two-factor code for user "${challenge.username}" from ${clientIP}`);
+            auditLog.record({ action: 'login_failed', user: challenge.username, ip: clientIP, reason: 'invalid 2FA code', success: false });
+
+            // A few tries per password entry, then start over
+            const attempts = challenge.attempts + 1;
+            if (attempts >= AUTH_CONFIG.maxLoginAttempts) {
+                await store.delete(LOGIN_CHALLENGES, challenge.id);
+                res.clearCookie('db_login_challenge');
+                return loginErrorRedirect(res, 'Too many invalid codes. Please sign in again.', safeRedirect(challenge.redirect));
+            }
+            const { id, ...stored } = challenge;
+            await store.set(LOGIN_CHALLENGES, id, { ...stored, attempts }, AUTH_CONFIG.challengeTimeout);
+            return res.redirect(`/api/db/login/verify?error=${encodeURIComponent('Invalid authentication code')}`);
+        }
+
+        await store.delete(LOGIN_CHALLENGES, challenge.id);
+        res.clearCookie('db_login_challenge');
+        await completeLogin(req, res, challenge.username, { mfa: result.method });
+        const redirect = safeRedirect(challenge.redirect);
+
+        if (result.method === 'recovery') {
+            console.log(`[AUTH] User "${challenge.username}" used a recovery code (${result.recoveryCodesLeft} left)`);
+        }
+
+        // Fresh enrollment: show the recovery codes once before continuing
+        if (recoveryCodes) {
+            return res.send(renderAuthPage({
+                subtitle: 'Two-factor authentication enabled',
+                content: `
+                <div class="text-white text-sm space-y-4">
+                    <p>Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator. They will not be shown again.</p>
+                    <div class="grid grid-cols-2 gap-2 bg-white bg-opacity-20 rounded-lg p-4 font-mono text-center">
+                        ${recoveryCodes.map(rc => `<span>${rc}</span>`).join('')}
+                    </div>
+                    <a href="${escapeHtml(redirect)}" class="block w-full text-center bg-white text-purple-600 font-semibold py-3 px-4 rounded-lg hover:bg-opacity-90 transition-all">
+                        <i class="fas fa-arrow-right mr-2"></i>Continue
+                    </a>
+                </div>
+`
+            }));
+        }
+
+        return res.redirect(redirect);
+    } catch (err) {
+        console.error('[AUTH] Two-factor verification failed:', err.message);
+        next(err);
     }
 });
 
 // Logout handler
-authRouter.post('/logout', requireAuth, (req, res) => {
-    destroySession(req.user.sessionId);
+authRouter.post('/logout', requireAuth, async (req, res, next) => {
+    try {
+        await destroySession(req.user.sessionId);
+        await closeSessionTransaction(req.user.sessionId);
+    } catch (err) {
+        return next(err);
+    }
     res.clearCookie('db_session');
     
     console.log(`[AUTH] User "${req.user.id}" logged out`);
+    auditLog.recordRequest(req, { action: 'logout', success: true });
     
     // For API requests
     if (req.headers.accept?.includes('application/json')) {
@@ -327,12 +751,25 @@ authRouter.post('/logout', requireAuth, (req, res) => {
 
 // Session status endpoint
 authRouter.get('/session-status', requireAuth, (req, res) => {
-    const session = sessions.get(req.user.sessionId);
+    if (req.user.tokenId) {
+        return res.json({
+            authenticated: true,
+            user: req.user.id,
+            role: req.user.role,
+            token: { id: req.user.tokenId, scope: req.user.tokenScope }
+        });
+    }
+
+    const session = req.user.session;
     res.json({
         authenticated: true,
         user: req.user.id,
+        role: req.user.role,
         sessionCreated: new Date(session.createdAt).toISOString(),
         lastActivity: new Date(session.lastActivity).toISOString(),
+        connection: session.connection,
+        sessionStore: store.type,
+        csrfToken: session.csrfToken,
         expiresAt: new Date(session.lastActivity + AUTH_CONFIG.sessionTimeout).toISOString()
     });
 });
@@ -355,5 +792,10 @@ module.exports = {
     AUTH_CONFIG,
     createSession,
     validateSession,
-    destroySession
+    destroySession,
+    destroyUserSessions,
+    setSessionConnection,
+    requireRole,
+    requireSession,
+    sessionStore: store
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+const { isValidIdentifier, parseTableRef } = require('../util/sql');
+
+// Access levels, lowest to highest. "sql" (raw SQL / DDL) is admin-only.
+const LEVELS = ['none', 'read', 'write'];
+
+// What each role may do when no grant says otherwise
+const ROLE_DEFAULTS = {
+    admin: 'write',
+    editor: 'write',
+    viewer: 'read'
+};
+
+function levelRank(level) {
+    const rank = LEVELS.indexOf(level);
+    return rank === -1 ? 0 : rank;
+}
+
+// Validate a grants object: { "schema": level, "schema.table": level }
+function validateGrants(grants) {
+    if (!grants || typeof grants !== 'object' || Array.isArray(grants)) {
+        return 'Grants must be an object of { "schema" or "schema.table": level }';
+    }
+    for (const [target, level] of Object.entries(grants)) {
+        const parts = target.split('.');
+        if (parts.length > 2 || !parts.every(isValidIdentifier)) {
+            return `Invalid grant target "${target}"`;
+        }
+        if (!LEVELS.includes(level)) {
+            return `Invalid level "${level}" for "${target}" (use ${LEVELS.join(', ')})`;
+        }
+    }
+    return null;
+}
+
+// Effective level for a table: table grant, then schema grant, then role default.
+// Admins always have full access. A read-only API token caps whatever the account has.
+function tableAccess(user, schema, table) {
+    if (!user) return 'none';
+    const level = accountAccess(user, schema, table);
+    return user.tokenScope === 'read' && level === 'write' ? 'read' : level;
+}
+
+function accountAccess(user, schema, table) {
+    if (user.role === 'admin') return 'write';
+
+    const grants = user.grants || {};
+    if (table && grants[`${schema}.${table}`]) return grants[`${schema}.${table}`];
+    if (grants[schema]) return grants[schema];
+    return ROLE_DEFAULTS[user.role] || 'none';
+}
+
+function canAccessTable(user, schema, table, level) {
+    return levelRank(tableAccess(user, schema, table)) >= levelRank(level);
+}
+
+// A schema is visible if the user can read it, or read at least one table granted in it
+function canSeeSchema(user, schema) {
+    if (canAccessTable(user, schema, null, 'read')) return true;
+    return Object.entries((user && user.grants) || {}).some(([target, level]) =>
+        target.startsWith(`${schema}.`) && levelRank(level) >= levelRank('read'));
+}
+
+function canRunSql(user) {
+    return !!user && user.role === 'admin' && user.tokenScope !== 'read';
+}
+
+// Shared saved queries can be run without SQL access: read-only ones by anyone,
+// data-changing ones (kind "dml", see util/sqlAnalyzer) only by roles that may
+// write. Anything else, and scripts of several statements (no kind), stays
+// with the SQL console.
+function canRunSavedQuery(user, kind) {
+    if (!user || !kind) return false;
+    if (canRunSql(user)) return true;
+    if (kind === 'read') return true;
+    return kind === 'dml' && ROLE_DEFAULTS[user.role] === 'write' && user.tokenScope !== 'read';
+}
+
+// Flags handed to the views so they can hide forbidden actions
+function describePermissions(user, schema, table) {
+    return {
+        read: canAccessTable(user, schema, table, 'read'),
+        write: canAccessTable(user, schema, table, 'write'),
+        sql: canRunSql(user)
+    };
+}
+
+function deny(req, res, message) {
+    console.log(`[AUTH] User "${req.user?.id}" (${req.user?.role}) denied ${req.method} ${req.originalUrl}`);
+
+    // Browser page loads get a plain page, fetch() callers get JSON
+    if (req.accepts(['json', 'html']) === 'json') {
+        return res.status(403).json({ error: 'Forbidden', message });
+    }
+    return res.status(403).send(`Forbidden: ${message}`);
+}
+
+// Gate a ":tableName" route on the caller's access to that table.
+// Invalid names fall through so the route can answer with its usual 400.
+function requireTableAccess(level) {
+    return (req, res, next) => {
+        const ref = parseTableRef(req.params.tableName, req.query.schema);
+        if (!ref || canAccessTable(req.user, ref.schema, ref.table, level)) {
+            return next();
+        }
+        return deny(req, res, `You need ${level} access to ${ref.schema}.${ref.table}`);
+    };
+}
+
+// Gate raw SQL execution (run-query and anything that accepts arbitrary statements)
+function requireSqlAccess(req, res, next) {
+    if (canRunSql(req.user)) {
+        return next();
+    }
+    return deny(req, res, 'Running raw SQL requires the admin role');
+}
+
+module.exports = {
+    LEVELS,
+    ROLE_DEFAULTS,
+    validateGrants,
+    tableAccess,
+    canAccessTable,
+    canSeeSchema,
+    canRunSql,
+    canRunSavedQuery,
+    describePermissions,
+    requireTableAccess,
+    requireSqlAccess
+};
@@ -0,0 +1,93 @@
+const express = require('express');
+const {
+    getUser,
+    publicUser,
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTotp
+} = require('../util/users');
+const { getSettings } = require('../util/settings');
+const { requireSession } = require('../middleware/auth');
+const auditLog = require('../util/auditLog');
+const router = express.Router();
+
+// Two-factor settings change the login itself, so they need a real session
+router.use(['/account/security', '/account/2fa'], requireSession);
+
+function accountStatus(username) {
+    const account = publicUser(getUser(username));
+    return {
+        totpEnabled: account.totpEnabled,
+        recoveryCodesLeft: account.recoveryCodesLeft,
+        required: getSettings().requireTotp
+    };
+}
+
+// Account page: two-factor authentication
+router.get('/account/security', (req, res) => {
+    res.render('account/security', {
+        currentUser: req.user,
+        status: accountStatus(req.user.id)
+    });
+});
+
+// API Endpoint: Two-factor status for the current user
+router.get('/account/2fa', (req, res) => {
+    res.json(accountStatus(req.user.id));
+});
+
+// API Endpoint: Start enrollment; returns the secret and otpauth:// URI for the QR code
+router.post('/account/2fa/enroll', (req, res) => {
+    if (accountStatus(req.user.id).totpEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = startTotpEnrollment(req.user.id);
+    res.json(enrollment);
+});
+
+// API Endpoint: Confirm enrollment with a code from the app; returns recovery codes once
+router.post('/account/2fa/confirm', (req, res) => {
+    try {
+        const recoveryCodes = confirmTotpEnrollment(req.user.id, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        console.log(`[AUTH] User "${req.user.id}" enabled two-factor authentication`);
+        auditLog.recordRequest(req, { action: '2fa_enabled', success: true });
+        res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Replace the recovery codes (requires a current code)
+router.post('/account/2fa/recovery-codes', (req, res) => {
+    if (!verifySecondFactor(req.user.id, req.body.code)) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = regenerateRecoveryCodes(req.user.id);
+    console.log(`[AUTH] User "${req.user.id}" regenerated recovery codes`);
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+});
+
+// API Endpoint: Turn two-factor off (requires a current code; not allowed while it is mandatory)
+router.post('/account/2fa/disable', (req, res) => {
+    if (getSettings().requireTotp) {
+        return res.status(400).json({ error: 'Two-factor authentication is required on this server' });
+    }
+    if (!verifySecondFactor(req.user.id, req.body.code)) {
+        return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    disableTotp(req.user.id);
+    console.log(`[AUTH] User "${req.user.id}" disabled two-factor authentication`);
+    auditLog.recordRequest(req, { action: '2fa_disabled', success: true });
+    res.json({ message: 'Two-factor authentication disabled' });
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const crypto = require('crypto');
+const { ROLES, MIN_PASSWORD_LENGTH, listUsers, createUser, updateUser, setGrants, resetPassword, disableTotp } = require('../util/users');
+const { MAX_QUERY_TIMEOUT, isValidQueryTimeout, getSettings, updateSettings } = require('../util/settings');
+const { requireRole, destroyUserSessions } = require('../middleware/auth');
+const { LEVELS, validateGrants } = require('../middleware/permissions');
+const auditLog = require('../util/auditLog');
+const router = express.Router();
+
+// Everything here is admin-only
+router.use(['/admin', '/users', '/audit', '/settings'], requireRole('admin'));
+
+// Admin page: user management
+router.get('/admin/users', (req, res) => {
+    res.render('admin/users', {
+        currentUser: req.user,
+        roles: ROLES,
+        levels: LEVELS,
+        minPasswordLength: MIN_PASSWORD_LENGTH,
+        settings: getSettings()
+    });
+});
+
+// API Endpoint: List users
+router.get('/users', (req, res) => {
+    res.json({ users: listUsers(), roles: ROLES });
+});
+
+// API Endpoint: Create user
+router.post('/users', (req, res) => {
+    const { username, password, role } = req.body;
+
+    try {
+        const user = createUser({ username, password, role });
+        console.log(`[ADMIN] User "${req.user.id}" created account "${user.username}" (${user.role})`);
+        res.status(201).json({ message: 'User created successfully', user });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Change role, enable/disable a user or set their statement timeout
+router.patch('/users/:username', async (req, res) => {
+    const { username } = req.params;
+    const { role, disabled, statementTimeout } = req.body;
+
+    try {
+        const user = updateUser(username, { role, disabled, statementTimeout });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.disabled) {
+            await destroyUserSessions(username);
+        }
+
+        const timeout = user.statementTimeout === null ? 'default' : `${user.statementTimeout}s`;
+        console.log(`[ADMIN] User "${req.user.id}" updated account "${username}" (role: ${user.role}, disabled: ${user.disabled}, statement timeout: ${timeout})`);
+        res.json({ message: 'User updated successfully', user });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Replace a user's schema/table grants
+router.put('/users/:username/grants', (req, res) => {
+    const { username } = req.params;
+    const grants = req.body.grants || {};
+
+    const validationError = validateGrants(grants);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    const user = setGrants(username, grants);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`[ADMIN] User "${req.user.id}" set grants for "${username}": ${JSON.stringify(grants)}`);
+    res.json({ message: 'Grants updated successfully', user });
+});
+
+// API Endpoint: Reset a user's password (generates one when none is given)
+router.post('/users/:username/reset-password', async (req, res) => {
+    const { username } = req.params;
+    const generated = !req.body.password;
+    const password = req.body.password || crypto.randomBytes(12).toString('base64url');
+
+    try {
+        const user = resetPassword(username, password);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Existing sessions were opened with the old password
+        if (username !== req.user.id) {
+            await destroyUserSessions(username);
+        }
+
+        console.log(`[ADMIN] User "${req.user.id}" reset the password of "${username}"`);
+        res.json({
+            message: 'Password reset successfully',
+            user,
+            ...(generated && { temporaryPassword: password })
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Clear a user's two-factor enrollment (lost device)
+router.post('/users/:username/reset-2fa', async (req, res) => {
+    const { username } = req.params;
+
+    const user = disableTotp(username);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (username !== req.user.id) {
+        await destroyUserSessions(username);
+    }
+
+    console.log(`[ADMIN] User "${req.user.id}" reset two-factor authentication of "${username}"`);
+    auditLog.recordRequest(req, { action: '2fa_reset', target: username, success: true });
+    res.json({ message: 'Two-factor authentication reset; the user must enroll again if it is required', user });
+});
+
+// API Endpoint: Instance-wide settings
+router.get('/settings', (req, res) => {
+    res.json(getSettings());
+});
+
+router.put('/settings', (req, res) => {
+    const { requireTotp, queryTimeout } = req.body;
+
+    if (requireTotp !== undefined && typeof requireTotp !== 'boolean') {
+        return res.status(400).json({ error: 'requireTotp must be true or false' });
+    }
+    if (queryTimeout !== undefined && queryTimeout !== null && !isValidQueryTimeout(queryTimeout)) {
+        return res.status(400).json({ error: `queryTimeout must be a whole number of seconds from 0 to ${MAX_QUERY_TIMEOUT}, or null` });
+    }
+
+    const settings = updateSettings({ requireTotp, queryTimeout });
+    console.log(`[ADMIN] User "${req.user.id}" set requireTotp=${settings.requireTotp}, queryTimeout=${settings.queryTimeout}s`);
+    auditLog.recordRequest(req, { action: 'settings', settings, success: true });
+    res.json({ message: 'Settings updated', settings });
+});
+
+// Admin page: audit log viewer
+router.get('/admin/audit', (req, res) => {
+    res.render('admin/audit', { currentUser: req.user });
+});
+
+// API Endpoint: Search the audit log
+router.get('/audit', async (req, res) => {
+    const { user, action, table, q, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+
+    try {
+        const result = await auditLog.search({ user, action, table, q, from, to, limit, offset });
+        res.json({ ...result, limit, offset });
+    } catch (err) {
+        console.error('[AUDIT] Search failed:', err.stack);
+        res.status(500).json({ error: 'Failed to read audit log', details: err.message });
+    }
+});
+
+// API Endpoint: Verify the audit log hash chain
+router.get('/audit/verify', async (req, res) => {
+    try {
+        res.json(await auditLog.verify());
+    } catch (err) {
+        console.error('[AUDIT] Verification failed:', err.stack);
+        res.status(500).json({ error: 'Failed to read audit log', details: err.message });
+    }
+});
+
+module.exports = router;
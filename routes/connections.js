@@ -0,0 +1,178 @@
+const express = require('express');
+const { Client } = require('pg');
+const {
+    DEFAULT_PROFILE,
+    listProfiles,
+    getProfile,
+    describeProfile,
+    validateProfile,
+    saveProfile,
+    deleteProfile,
+    buildClientConfig
+} = require('../util/connections');
+const { closePool } = require('../util/pool');
+const { getSessionTransaction } = require('../util/sessionTransactions');
+const { setSessionConnection, requireRole } = require('../middleware/auth');
+const router = express.Router();
+
+// Name of the profile the current session is using
+function activeProfileName(req) {
+    const name = req.user.connection || DEFAULT_PROFILE;
+    return getProfile(name) ? name : DEFAULT_PROFILE;
+}
+
+// API Endpoint: List connection profiles
+router.get('/connections', (req, res) => {
+    res.json({
+        active: activeProfileName(req),
+        connections: listProfiles().map(describeProfile)
+    });
+});
+
+// API Endpoint: Create a connection profile
+router.post('/connections', requireRole('admin'), (req, res) => {
+    const { name, url, sslMode = 'disable', caFile = null, readOnly = false } = req.body;
+    const input = { name, url, sslMode, caFile, readOnly };
+
+    const validationError = validateProfile(input);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const profile = saveProfile(input, { create: true });
+        console.log(`[CONNECTIONS] User "${req.user.id}" created profile "${profile.name}"`);
+        res.status(201).json({
+            message: 'Connection profile created',
+            connection: describeProfile(profile)
+        });
+    } catch (err) {
+        res.status(409).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Update a connection profile
+router.put('/connections/:name', requireRole('admin'), (req, res) => {
+    const existing = getProfile(req.params.name);
+
+    if (!existing) {
+        return res.status(404).json({ error: 'Connection profile not found' });
+    }
+    if (existing.source === 'env') {
+        return res.status(400).json({ error: 'The environment profile is configured through DATABASE_URL and cannot be edited' });
+    }
+
+    const { url, sslMode, caFile, readOnly } = req.body;
+    const input = { ...existing, name: existing.name };
+    if (url !== undefined) input.url = url;
+    if (sslMode !== undefined) input.sslMode = sslMode;
+    if (caFile !== undefined) input.caFile = caFile;
+    if (readOnly !== undefined) input.readOnly = readOnly;
+
+    const validationError = validateProfile(input);
+    if (validationError) {
+        return res.status(400).json({ error: validationError });
+    }
+
+    try {
+        const profile = saveProfile(input);
+        console.log(`[CONNECTIONS] User "${req.user.id}" updated profile "${profile.name}"`);
+        res.json({
+            message: 'Connection profile updated',
+            connection: describeProfile(profile)
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Delete a connection profile
+router.delete('/connections/:name', requireRole('admin'), async (req, res) => {
+    const { name } = req.params;
+
+    try {
+        if (!deleteProfile(name)) {
+            return res.status(404).json({ error: 'Connection profile not found' });
+        }
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    closePool(name);
+
+    console.log(`[CONNECTIONS] User "${req.user.id}" deleted profile "${name}"`);
+
+    // Fall back to the default profile if this session was using it
+    if (req.user.connection === name) {
+        try {
+            await setSessionConnection(req.user.sessionId, null);
+        } catch (err) {
+            console.error('[CONNECTIONS] Failed to switch back to the default profile:', err.message);
+            return res.status(500).json({ error: 'Connection profile deleted, but switching back to the default connection failed', details: err.message });
+        }
+    }
+
+    res.json({ message: 'Connection profile deleted' });
+});
+
+// API Endpoint: Make a profile the active one for this session
+router.post('/connections/:name/activate', async (req, res) => {
+    const profile = getProfile(req.params.name);
+
+    if (!profile) {
+        return res.status(404).json({ error: 'Connection profile not found' });
+    }
+
+    if (!req.user.sessionId) {
+        return res.status(400).json({ error: 'API token requests always use the default connection' });
+    }
+
+    if (getSessionTransaction(req.user.sessionId).open) {
+        return res.status(409).json({ error: 'Commit or roll back the open transaction before switching connections' });
+    }
+
+    try {
+        await setSessionConnection(req.user.sessionId, profile.name === DEFAULT_PROFILE ? null : profile.name);
+    } catch (err) {
+        console.error('[CONNECTIONS] Failed to switch profile:', err.message);
+        return res.status(500).json({ error: 'Failed to switch connection', details: err.message });
+    }
+    console.log(`[CONNECTIONS] User "${req.user.id}" switched to profile "${profile.name}"`);
+
+    res.json({
+        message: `Switched to connection "${profile.name}"`,
+        active: profile.name
+    });
+});
+
+// API Endpoint: Check that a profile can connect
+router.post('/connections/:name/test', requireRole('admin'), async (req, res) => {
+    const profile = getProfile(req.params.name);
+
+    if (!profile) {
+        return res.status(404).json({ error: 'Connection profile not found' });
+    }
+
+    const startTime = Date.now();
+    let client;
+    try {
+        client = new Client(buildClientConfig(profile));
+        await client.connect();
+        const result = await client.query('SELECT current_database() as database_name, version() as postgresql_version');
+        res.json({
+            status: 'ok',
+            latency: Date.now() - startTime,
+            ...result.rows[0]
+        });
+    } catch (err) {
+        res.status(502).json({
+            status: 'failed',
+            error: err.message,
+            code: err.code
+        });
+    } finally {
+        if (client) await client.end();
+    }
+});
+
+module.exports = router;
@@ -1,31 +1,180 @@
 const express = require('express');
-const { Client } = require('pg');
-const path = require('path');
-const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { DEFAULT_SCHEMA, isValidIdentifier, quoteIdent, parseTableRef } = require('../util/sql');
+const { getEnvProfile, getProfile, buildClientConfig } = require('../util/connections');
+const { POOL_CONFIG, acquireClient, getPoolStats } = require('../util/pool');
+const { recordRequest } = require('../util/auditLog');
+const { cursorBatches } = require('../util/cursor');
+const { EXPORT_FORMATS } = require('../util/exportFormats');
+const { IMPORT_CONFIG, IMPORT_FORMATS, resolveImportFormat, coerceValue } = require('../util/importFormats');
+const { QUERY_CONFIG, isCursorable, openCursor, fetchPage, closeCursor } = require('../util/queryCursors');
+const { statementTimeoutFor, startQuery, finishQuery, isCancelRequested } = require('../util/runningQueries');
+const { transactionStatus, getSessionTransaction, acquireSessionClient, releaseSessionClient } = require('../util/sessionTransactions');
+const { splitStatements, isTransactionControl, enforceReadOnly, runStatement, runScript } = require('../util/sqlScript');
+const { analyzeSql, createConfirmationToken, isValidConfirmation } = require('../util/sqlAnalyzer');
+const { EXPLAINABLE_COMMANDS, explainQuery, planTableAccess } = require('../util/queryPlan');
+const { addHistoryEntry } = require('../util/queryHistory');
+const {
+    SQL_KEYWORDS,
+    BUILTIN_FUNCTIONS,
+    listSchemas,
+    listTables,
+    listColumns,
+    listPrimaryKeys,
+    listForeignKeys,
+    listFunctions,
+    listViews,
+    listSequences,
+    listTriggers
+} = require('../util/catalog');
+const { describeTable, buildCreateTable, buildAlterTable, formatDdl } = require('../util/tableDesign');
+const { listIndexes, getStatsReset, parseConcurrently, buildCreateIndex, buildDropIndex } = require('../util/indexes');
+const { renderErDiagram } = require('../util/erDiagram');
+const { getRowIdentity, rowSelectList, splitRowKeys, parseRowKey, keyCondition, describeRowIdentity } = require('../util/rowIdentity');
+const { getSavedQuery } = require('../util/savedQueries');
+const { bindParameters } = require('../util/queryParameters');
+const {
+    canAccessTable,
+    canSeeSchema,
+    canRunSql,
+    canRunSavedQuery,
+    describePermissions,
+    requireTableAccess,
+    requireSqlAccess
+} = require('../middleware/permissions');
 const router = express.Router();
 
-const caCertPath =  path.join(__dirname, process.env.CA_CERT_PATH);
+// Database Configuration - report how the environment profile will connect
+const envProfile = getEnvProfile();
+try {
+    buildClientConfig(envProfile);
+    if (envProfile.sslMode === 'verify-full') {
+        console.log('🔒 Using provided CA certificate for SSL connection.');
+    }
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    console.error('   The default profile is unusable until this is fixed; saved profiles still work.');
+}
+
+// Helper Functions
+
+// Connection profile selected in the caller's session
+function getSessionProfile(req) {
+    return getProfile(req.user && req.user.connection) || envProfile;
+}
+
+// Check out a pooled client for the caller's profile; release() it when done
+function getClient(req) {
+    return acquireClient(getSessionProfile(req));
+}
 
-// Database Configuration
-let dbConfigFromEnv;
-if (fs.existsSync(caCertPath)) {
-    console.log('🔒 Using provided CA certificate for SSL connection.');
-    dbConfigFromEnv = {
-        connectionString: process.env.DATABASE_URL,
-        ssl: {
-            ca: fs.readFileSync(caCertPath).toString(),
-            rejectUnauthorized: true
+// Resolve the table addressed by a request (":tableName" plus optional ?schema=)
+function resolveTable(req) {
+    return parseTableRef(req.params.tableName, req.query.schema);
+}
+
+// Resolve the schema addressed by a request (?schema=, default public)
+function resolveSchema(req) {
+    const schema = req.query.schema || DEFAULT_SCHEMA;
+    return isValidIdentifier(schema) ? schema : null;
+}
+
+// WHERE / ORDER BY for the table search and sort options shared by /data and /export.
+// Search matches any text-like column (ILIKE); `filters` ({ column: value }, from
+// ?filter[column]=value) match columns exactly, as foreign key links use them.
+// Parameters are numbered from $1.
+async function buildRowFilter(client, ref, { search, filters, sortBy, sortOrder = 'asc' }) {
+    let where = '';
+    let orderBy = '';
+    const params = [];
+    const conditions = [];
+
+    if (search) {
+        const columnsResult = await client.query(`
+            SELECT column_name, data_type 
+            FROM information_schema.columns 
+            WHERE table_name = $1 AND table_schema = $2
+        `, [ref.table, ref.schema]);
+        
+        const textColumns = columnsResult.rows
+            .filter(col => ['text', 'varchar', 'char'].some(type => col.data_type.includes(type)))
+            .map(col => `${quoteIdent(col.column_name)}::text`);
+        
+        if (textColumns.length > 0) {
+            conditions.push(`(${textColumns.map((column, i) => `${column} ILIKE $${i + 1}`).join(' OR ')})`);
+            textColumns.forEach(() => params.push(`%${search}%`));
         }
-    };
-} else {
-    console.error(`❌ CA certificate file (${caCertPath}) not found. Cannot establish secure connection.`);
-    console.error('   Please ensure the CA certificate is saved as aiven-ca.pem in this directory.');
-    process.exit(1);
+    }
+
+    if (filters && typeof filters === 'object') {
+        for (const [column, value] of Object.entries(filters)) {
+            if (!isValidIdentifier(column) || typeof value !== 'string') {
+                throw Object.assign(new Error(`Invalid filter on "${column}"`), { status: 400 });
+            }
+            params.push(value);
+            conditions.push(`${quoteIdent(column)} = $${params.length}`);
+        }
+    }
+
+    if (conditions.length > 0) {
+        where = ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    if (sortBy && isValidIdentifier(sortBy)) {
+        const validOrder = ['asc', 'desc'].includes(String(sortOrder).toLowerCase()) ? sortOrder : 'asc';
+        orderBy = ` ORDER BY ${quoteIdent(sortBy)} ${validOrder.toUpperCase()}`;
+    }
+
+    return { where, orderBy, params };
 }
 
-// Helper Functions
-function getNewClient() {
-    return new Client(dbConfigFromEnv);
+// Stream a query's rows to the response in one of EXPORT_FORMATS, reading through
+// a cursor and waiting for the client to drain each batch. `columns` defaults to
+// the result's own column names. Returns the row count, or null if the client
+// went away first. Headers go out with the first batch, so a query that fails
+// to start can still be answered with a normal error response.
+async function streamExport(res, client, { text, values = [], format, ref, fileName, columns, statementTimeout }) {
+    const exporter = EXPORT_FORMATS[format];
+
+    let aborted = false;
+    res.on('close', () => {
+        if (!res.writableFinished) aborted = true;
+    });
+
+    // Resolves once the socket has taken the chunk (or the client went away)
+    const write = chunk => {
+        if (aborted || res.write(chunk)) return;
+        return new Promise(resolve => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    };
+
+    let writer = null;
+    let rowCount = 0;
+    for await (const batch of cursorBatches(client, text, values, { rowMode: 'array', types: exporter.types, statementTimeout })) {
+        if (!writer) {
+            res.setHeader('Content-Type', exporter.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${exporter.extension}"`);
+            writer = exporter.create({ columns: columns || batch.fields.map(field => field.name), ref, write });
+            await writer.begin(batch.fields);
+        }
+        await writer.rows(batch.rows);
+        rowCount += batch.rows.length;
+        if (aborted) break;
+    }
+
+    if (aborted) {
+        return null;
+    }
+    await writer.end();
+    res.end();
+    return rowCount;
 }
 
 // Enhanced error handling
@@ -54,33 +203,149 @@ function handleDatabaseError(err, res, context = 'Database operation') {
     });
 }
 
+// SQLSTATE 57014 covers both a cancel request and statement_timeout; the message tells them apart
+function queryErrorLabel(err) {
+    if (err.code !== '57014') {
+        return 'Query execution failed';
+    }
+    return /statement timeout/i.test(err.message) ? 'Query timed out' : 'Query cancelled';
+}
+
+// Audit a SQL console run and add it to the user's query history
+function recordQueryRun(req, event) {
+    recordRequest(req, { action: 'query', ...event });
+    addHistoryEntry(req.user.id, {
+        sql: event.sql,
+        connection: getSessionProfile(req).name,
+        command: event.command,
+        rowCount: event.rowCount,
+        executionTime: event.executionTime,
+        success: event.success,
+        error: event.error
+    });
+}
+
+// SQL the analyzer flags as dangerous (unbounded UPDATE/DELETE, TRUNCATE, DROP,
+// ALTER) runs only with a confirmation token issued for this user and this
+// exact text. Without one, answers 428 with the findings and a token to resend
+// as `confirmationToken`, and returns false.
+function confirmDangerousSql(req, res, sql, analysis) {
+    if (!analysis.dangerous || isValidConfirmation(req.body.confirmationToken, req.user.id, sql)) {
+        return true;
+    }
+
+    console.log(`[QUERY] Confirmation required from "${req.user.id}": ${analysis.risks.map(risk => risk.code).join(', ')}`);
+    res.status(428).json({
+        error: 'Confirmation required',
+        message: 'This SQL can change or remove data irreversibly. Send it again with confirmationToken to run it.',
+        risks: analysis.risks,
+        statements: analysis.statements,
+        confirmationToken: createConfirmationToken(req.user.id, sql)
+    });
+    return false;
+}
+
+// Run schema DDL (table designer, index management) in one transaction, or
+// with `preview` only describe it. ALTERs and DROPs need confirming like
+// console SQL (see confirmDangerousSql); the preview hands out the token, so
+// applying what was previewed goes straight through. CREATE/DROP INDEX
+// CONCURRENTLY can't run inside a transaction block, so with `concurrently`
+// the (single) statement runs on its own.
+async function applySchemaChange(req, res, client, { ref, statements, action, message, preview, concurrently = false }) {
+    const ddl = formatDdl(statements);
+    const analysis = analyzeSql(ddl);
+    const table = `${ref.schema}.${ref.table}`;
+
+    if (preview) {
+        return res.json({
+            table: { schema: ref.schema, name: ref.table },
+            statements: statements,
+            ddl: ddl,
+            risks: analysis.risks,
+            ...(analysis.dangerous && { confirmationToken: createConfirmationToken(req.user.id, ddl) })
+        });
+    }
+    if (statements.length === 0) {
+        return res.status(400).json({ error: 'The design matches the table; there is nothing to change' });
+    }
+    if (!confirmDangerousSql(req, res, ddl, analysis)) {
+        return;
+    }
+
+    let failed = null;
+    try {
+        if (concurrently) {
+            await client.query(`SET statement_timeout = ${statementTimeoutFor(req.user)}`);
+        } else {
+            await client.query('BEGIN');
+            await client.query(`SET LOCAL statement_timeout = ${statementTimeoutFor(req.user)}`);
+        }
+        for (const statement of statements) {
+            failed = statement;
+            await client.query(statement);
+        }
+        if (!concurrently) {
+            await client.query('COMMIT');
+        }
+    } catch (err) {
+        if (!concurrently) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        console.error(`[SCHEMA] ${action} on ${table} failed${concurrently ? '' : ', rolled back'}:`, err.message);
+        recordRequest(req, { action, table, sql: ddl, success: false, error: err.message });
+        return res.status(err.code === '57014' ? 500 : 400).json({
+            error: concurrently ? 'The change failed' : 'The change failed and was rolled back',
+            details: err.message,
+            code: err.code,
+            statement: failed,
+            ddl: ddl
+        });
+    } finally {
+        if (concurrently) {
+            await client.query('RESET statement_timeout').catch(() => {});
+        }
+    }
+
+    console.log(`[SCHEMA] ${action} on ${table} by "${req.user.id}": ${statements.length} statement(s)`);
+    recordRequest(req, { action, table, sql: ddl, success: true });
+    res.json({
+        message: message,
+        table: { schema: ref.schema, name: ref.table },
+        statements: statements,
+        ddl: ddl
+    });
+}
+
 // Root page - Enhanced dashboard
 router.get('/', async (req, res) => {
-    const client = getNewClient();
+    const schema = resolveSchema(req) || DEFAULT_SCHEMA;
+    let client;
     let tables = [];
     let error = null;
     let dbStats = {};
 
     try {
-        await client.connect();
+        client = await getClient(req);
         
         // Fetch tables
         const tablesResult = await client.query(`
             SELECT tablename, schemaname
             FROM pg_tables
-            WHERE schemaname = 'public'
+            WHERE schemaname = $1
             ORDER BY tablename;
-        `);
-        tables = tablesResult.rows.map(row => row.tablename);
+        `, [schema]);
+        tables = tablesResult.rows
+            .map(row => row.tablename)
+            .filter(table => canAccessTable(req.user, schema, table, 'read'));
 
         // Get database statistics
         const statsResult = await client.query(`
             SELECT 
-                (SELECT count(*) FROM information_schema.tables WHERE table_schema = 'public') as table_count,
-                (SELECT count(*) FROM information_schema.columns WHERE table_schema = 'public') as column_count,
+                (SELECT count(*) FROM information_schema.tables WHERE table_schema = $1) as table_count,
+                (SELECT count(*) FROM information_schema.columns WHERE table_schema = $1) as column_count,
                 (SELECT pg_size_pretty(pg_database_size(current_database()))) as db_size,
                 (SELECT version()) as pg_version;
-        `);
+        `, [schema]);
         
         if (statsResult.rows.length > 0) {
             dbStats = statsResult.rows[0];
@@ -90,79 +355,89 @@ router.get('/', async (req, res) => {
         console.error('Error fetching dashboard data:', err.stack);
         error = 'Failed to fetch database information.';
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 
     res.render('db/index', { 
         tables: tables, 
+        schema: schema,
+        currentUser: req.user,
+        permissions: describePermissions(req.user, schema, null),
         error: error, 
         queryResult: null, 
         queryError: null,
-        dbStats: dbStats
+        dbStats: dbStats,
+        transaction: getSessionTransaction(req.user.sessionId)
     });
 });
 
+// API Endpoint: List user-visible schemas
+router.get('/schemas', async (req, res) => {
+    let client;
+    try {
+        client = await getClient(req);
+        const rows = await listSchemas(client);
+
+        res.json({
+            schemas: rows
+                .filter(row => canSeeSchema(req.user, row.schema_name))
+                .map(row => ({
+                    name: row.schema_name,
+                    owner: row.owner,
+                    tableCount: parseInt(row.table_count)
+                }))
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, 'API Error fetching schemas');
+    } finally {
+        if (client) client.release();
+    }
+});
+
 // API Endpoint: Get enhanced table list with metadata
 // FIXED: Changed from '/api/tables' to '/tables'
 router.get('/tables', async (req, res) => {
-    const client = getNewClient();
+    const schema = resolveSchema(req);
+
+    if (!schema) {
+        return res.status(400).json({ error: 'Invalid schema name provided' });
+    }
+
+    let client;
     try {
-        await client.connect();
-        const result = await client.query(`
-            SELECT 
-                t.tablename,
-                t.schemaname,
-                obj_description(c.oid) as table_comment,
-                (SELECT count(*) FROM information_schema.columns 
-                 WHERE table_name = t.tablename AND table_schema = t.schemaname) as column_count
-            FROM pg_tables t
-            LEFT JOIN pg_class c ON c.relname = t.tablename
-            WHERE t.schemaname = 'public'
-            ORDER BY t.tablename;
-        `);
+        client = await getClient(req);
+        const rows = await listTables(client, [schema]);
         
-        const tablesWithMetadata = result.rows.map(row => ({
-            name: row.tablename,
-            schema: row.schemaname,
-            comment: row.table_comment,
-            columnCount: parseInt(row.column_count)
-        }));
+        const tablesWithMetadata = rows
+            .filter(row => canAccessTable(req.user, row.schemaname, row.tablename, 'read'))
+            .map(row => ({
+                name: row.tablename,
+                schema: row.schemaname,
+                comment: row.table_comment,
+                columnCount: parseInt(row.column_count)
+            }));
         
-        res.json({ tables: tablesWithMetadata });
+        res.json({ schema: schema, tables: tablesWithMetadata });
     } catch (err) {
         handleDatabaseError(err, res, 'API Error fetching tables');
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
 // API Endpoint: Get table schema information
 // FIXED: Changed from '/api/schema/:tableName' to '/schema/:tableName'
-router.get('/schema/:tableName', async (req, res) => {
-    const { tableName } = req.params;
-
-    if (!tableName || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
+router.get('/schema/:tableName', requireTableAccess('read'), async (req, res) => {
+    const ref = resolveTable(req);
+    if (!ref) {
         return res.status(400).json({ error: 'Invalid table name provided' });
     }
 
-    const client = getNewClient();
+    let client;
     try {
-        await client.connect();
-        const result = await client.query(`
-            SELECT 
-                column_name,
-                data_type,
-                is_nullable,
-                column_default,
-                character_maximum_length,
-                numeric_precision,
-                numeric_scale,
-                col_description(pgc.oid, cols.ordinal_position) as column_comment
-            FROM information_schema.columns cols
-            LEFT JOIN pg_class pgc ON pgc.relname = cols.table_name
-            WHERE table_name = $1 AND table_schema = 'public'
-            ORDER BY ordinal_position;
-        `, [tableName]);
+        client = await getClient(req);
+        const columns = (await listColumns(client, [ref.schema], ref.table))
+            .map(({ table_schema, table_name, ...column }) => column);
 
         // Get primary key information
         const pkResult = await client.query(`
@@ -170,88 +445,501 @@ router.get('/schema/:tableName', async (req, res) => {
             FROM pg_index i
             JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
             WHERE i.indrelid = $1::regclass AND i.indisprimary;
-        `, [tableName]);
+        `, [ref.qualified]);
 
         const primaryKeys = pkResult.rows.map(row => row.column_name);
 
+        // Foreign keys declared on the table, and those of tables the user
+        // can read that point at it
+        const foreignKeys = await listForeignKeys(client, { qualified: ref.qualified });
+
         res.json({
-            tableName: tableName,
-            columns: result.rows,
-            primaryKeys: primaryKeys
+            tableName: ref.table,
+            schema: ref.schema,
+            columns: columns,
+            primaryKeys: primaryKeys,
+            foreignKeys: foreignKeys
+                .filter(fk => fk.schema === ref.schema && fk.table === ref.table)
+                .map(fk => ({ ...fk, accessible: canAccessTable(req.user, fk.references.schema, fk.references.table, 'read') })),
+            referencedBy: foreignKeys
+                .filter(fk => fk.references.schema === ref.schema && fk.references.table === ref.table)
+                .filter(fk => canAccessTable(req.user, fk.schema, fk.table, 'read'))
         });
     } catch (err) {
-        handleDatabaseError(err, res, `API Error fetching schema for table ${tableName}`);
+        handleDatabaseError(err, res, `API Error fetching schema for table ${ref.schema}.${ref.table}`);
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
-// Enhanced API Endpoint: Get data with pagination and filtering
-// FIXED: Changed from '/api/data/:tableName' to '/data/:tableName'
-router.get('/data/:tableName', async (req, res) => {
-    const { tableName } = req.params;
-    const { page = 1, limit = 100, search, sortBy, sortOrder = 'asc' } = req.query;
+// API Endpoint: Create a table from a design: { name, schema, columns: [{ name,
+// type, nullable, default, primaryKey }] } (see util/tableDesign). With
+// `preview` the DDL comes back without running.
+router.post('/tables', requireSqlAccess, async (req, res) => {
+    const ref = parseTableRef(req.body.name, req.body.schema || DEFAULT_SCHEMA);
+    if (!ref) {
+        return res.status(400).json({ error: 'Invalid table name provided' });
+    }
+
+    let statements;
+    try {
+        statements = buildCreateTable(ref, req.body.columns);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    let client;
+    try {
+        client = await getClient(req);
+        await applySchemaChange(req, res, client, {
+            ref,
+            statements,
+            action: 'create_table',
+            message: `Table ${ref.schema}.${ref.table} created`,
+            preview: req.body.preview === true
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error creating table ${ref.schema}.${ref.table}`);
+    } finally {
+        if (client) client.release();
+    }
+});
 
-    if (!tableName || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
+// API Endpoint: Alter a table to match a design: { columns, name } where
+// columns lists every column the table should keep or gain (existing ones
+// carry originalName) and name renames the table. With `preview` the DDL
+// comes back without running.
+router.patch('/schema/:tableName', requireSqlAccess, async (req, res) => {
+    const ref = resolveTable(req);
+    if (!ref) {
         return res.status(400).json({ error: 'Invalid table name provided' });
     }
 
-    const client = getNewClient();
+    let client;
     try {
-        await client.connect();
-        
-        // Build query with optional search and sorting
-        let baseQuery = `SELECT * FROM "${tableName}"`;
-        let countQuery = `SELECT COUNT(*) FROM "${tableName}"`;
-        let queryParams = [];
-        let paramCount = 0;
-
-        // Add search functionality
-        if (search) {
-            // Get column names first
-            const columnsResult = await client.query(`
-                SELECT column_name, data_type 
-                FROM information_schema.columns 
-                WHERE table_name = $1 AND table_schema = 'public'
-            `, [tableName]);
-            
-            const textColumns = columnsResult.rows
-                .filter(col => ['text', 'varchar', 'char'].some(type => col.data_type.includes(type)))
-                .map(col => `"${col.column_name}"::text`);
-            
-            if (textColumns.length > 0) {
-                const searchCondition = textColumns
-                    .map(() => `${textColumns[paramCount]} ILIKE $${++paramCount}`)
-                    .join(' OR ');
-                
-                baseQuery += ` WHERE (${searchCondition})`;
-                countQuery += ` WHERE (${searchCondition})`;
-                
-                // Add search parameters for each text column
-                textColumns.forEach(() => queryParams.push(`%${search}%`));
-            }
+        client = await getClient(req);
+        const current = await describeTable(client, ref);
+        if (!current) {
+            return res.status(404).json({ error: 'Table not found' });
+        }
+
+        let statements;
+        try {
+            statements = buildAlterTable(ref, current, req.body.columns, req.body.name);
+        } catch (err) {
+            return res.status(err.status || 400).json({ error: err.message });
+        }
+        await applySchemaChange(req, res, client, {
+            ref,
+            statements,
+            action: 'alter_table',
+            message: `Table ${ref.schema}.${ref.table} altered`,
+            preview: req.body.preview === true
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error altering table ${ref.schema}.${ref.table}`);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// API Endpoint: Indexes of a table with definition, size, usage counters and
+// unused / duplicate flags (see util/indexes); statsReset tells since when
+// the counters count
+router.get('/indexes/:tableName', requireTableAccess('read'), async (req, res) => {
+    const ref = resolveTable(req);
+    if (!ref) {
+        return res.status(400).json({ error: 'Invalid table name provided' });
+    }
+
+    let client;
+    try {
+        client = await getClient(req);
+        res.json({
+            tableName: ref.table,
+            schema: ref.schema,
+            statsReset: await getStatsReset(client),
+            indexes: await listIndexes(client, ref)
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error fetching indexes for table ${ref.schema}.${ref.table}`);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// API Endpoint: Create an index: { name, columns: ["col" or { name, order }],
+// unique, method, where, concurrently }. With `preview` the DDL comes back
+// without running.
+router.post('/indexes/:tableName', requireSqlAccess, async (req, res) => {
+    const ref = resolveTable(req);
+    if (!ref) {
+        return res.status(400).json({ error: 'Invalid table name provided' });
+    }
+
+    let statement;
+    let concurrently;
+    try {
+        concurrently = parseConcurrently(req.body.concurrently);
+        statement = buildCreateIndex(ref, { ...req.body, concurrently });
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    let client;
+    try {
+        client = await getClient(req);
+        await applySchemaChange(req, res, client, {
+            ref,
+            statements: [statement],
+            action: 'create_index',
+            message: req.body.name ? `Index ${req.body.name} created` : `Index created on ${ref.schema}.${ref.table}`,
+            preview: req.body.preview === true,
+            concurrently
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error creating an index on ${ref.schema}.${ref.table}`);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// API Endpoint: Drop an index of a table ({ concurrently, preview }); indexes
+// behind a primary key, unique or exclusion constraint can't be dropped here
+router.delete('/indexes/:tableName/:indexName', requireSqlAccess, async (req, res) => {
+    const ref = resolveTable(req);
+    if (!ref) {
+        return res.status(400).json({ error: 'Invalid table name provided' });
+    }
+
+    let concurrently;
+    try {
+        concurrently = parseConcurrently(req.body.concurrently);
+    } catch (err) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
+    let client;
+    try {
+        client = await getClient(req);
+        const index = (await listIndexes(client, ref)).find(candidate => candidate.name === req.params.indexName);
+        if (!index) {
+            return res.status(404).json({ error: 'Index not found' });
+        }
+
+        let statement;
+        try {
+            statement = buildDropIndex(ref, index, { concurrently });
+        } catch (err) {
+            return res.status(err.status || 400).json({ error: err.message });
+        }
+        await applySchemaChange(req, res, client, {
+            ref,
+            statements: [statement],
+            action: 'drop_index',
+            message: `Index ${index.name} dropped`,
+            preview: req.body.preview === true,
+            concurrently
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error dropping index ${req.params.indexName} of ${ref.schema}.${ref.table}`);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// API Endpoint: ER diagram (SVG) of the tables the user can read in ?schema=;
+// ?download=1 serves it as a file
+router.get('/er-diagram', async (req, res) => {
+    const schema = resolveSchema(req);
+    if (!schema) {
+        return res.status(400).json({ error: 'Invalid schema name provided' });
+    }
+
+    let client;
+    try {
+        client = await getClient(req);
+        const [tableRows, columnRows, keyRows, foreignKeys] = await Promise.all([
+            listTables(client, [schema]),
+            listColumns(client, [schema]),
+            listPrimaryKeys(client, [schema]),
+            listForeignKeys(client, { schemas: [schema] })
+        ]);
+
+        const tables = tableRows
+            .filter(row => canAccessTable(req.user, schema, row.tablename, 'read'))
+            .map(row => ({
+                name: row.tablename,
+                columns: columnRows
+                    .filter(column => column.table_name === row.tablename)
+                    .map(column => ({ name: column.column_name, type: column.column_type })),
+                primaryKey: (keyRows.find(key => key.table_name === row.tablename) || { columns: [] }).columns
+            }));
+        const visible = new Set(tables.map(table => table.name));
+        const svg = renderErDiagram({
+            schema,
+            tables,
+            // Keys whose other side the user can't read stay hidden
+            foreignKeys: foreignKeys.filter(fk =>
+                (fk.schema === schema ? visible.has(fk.table) : canAccessTable(req.user, fk.schema, fk.table, 'read')) &&
+                (fk.references.schema === schema
+                    ? visible.has(fk.references.table)
+                    : canAccessTable(req.user, fk.references.schema, fk.references.table, 'read')))
+        });
+
+        res.type('image/svg+xml');
+        if (req.query.download) {
+            res.attachment(`${schema}-er-diagram.svg`);
+        }
+        res.send(svg);
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error drawing the ER diagram of schema ${schema}`);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// pg_proc.prokind and pg_trigger.tgenabled as the object explorer shows them
+const FUNCTION_KINDS = { f: 'function', p: 'procedure', a: 'aggregate', w: 'window' };
+const TRIGGER_STATES = { O: 'enabled', D: 'disabled', R: 'replica', A: 'always' };
+
+// API Endpoint: Object explorer: views, materialized views, sequences,
+// functions and triggers of ?schema= with their definitions. Views and
+// triggers follow the table grants; the rest needs the schema to be visible.
+router.get('/objects', async (req, res) => {
+    const schema = resolveSchema(req);
+    if (!schema) {
+        return res.status(400).json({ error: 'Invalid schema name provided' });
+    }
+    if (!canSeeSchema(req.user, schema)) {
+        return res.json({ schema, views: [], materializedViews: [], sequences: [], functions: [], triggers: [] });
+    }
+
+    let client;
+    try {
+        client = await getClient(req);
+        const [viewRows, sequenceRows, functionRows, triggerRows] = await Promise.all([
+            listViews(client, [schema]),
+            listSequences(client, [schema]),
+            listFunctions(client, [schema], { definitions: true }),
+            listTriggers(client, [schema])
+        ]);
+        const readable = relation => canAccessTable(req.user, schema, relation, 'read');
+
+        const views = viewRows.filter(row => readable(row.view_name));
+        res.json({
+            schema: schema,
+            views: views.filter(row => row.kind === 'v').map(row => ({
+                name: row.view_name,
+                owner: row.owner,
+                comment: row.comment,
+                definition: row.definition
+            })),
+            materializedViews: views.filter(row => row.kind === 'm').map(row => ({
+                name: row.view_name,
+                owner: row.owner,
+                comment: row.comment,
+                definition: row.definition,
+                populated: row.populated,
+                size: row.size,
+                sizeBytes: Number(row.size_bytes),
+                hasUniqueIndex: row.has_unique_index
+            })),
+            sequences: sequenceRows.map(row => ({
+                name: row.sequence_name,
+                dataType: row.data_type,
+                startValue: row.start_value,
+                minValue: row.min_value,
+                maxValue: row.max_value,
+                increment: row.increment_by,
+                cycle: row.cycle,
+                lastValue: row.last_value,
+                ownedBy: row.owned_by
+            })),
+            functions: functionRows.map(row => ({
+                name: row.function_name,
+                signature: row.signature,
+                kind: FUNCTION_KINDS[row.kind] || row.kind,
+                language: row.language,
+                arguments: row.arguments,
+                returns: row.result_type,
+                definition: row.definition
+            })),
+            triggers: triggerRows.filter(row => readable(row.table_name)).map(row => ({
+                name: row.trigger_name,
+                table: row.table_name,
+                enabled: TRIGGER_STATES[row.enabled] || row.enabled,
+                function: row.function_name,
+                definition: row.definition
+            }))
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error fetching objects of schema ${schema}`);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// API Endpoint: Refresh a materialized view ({ concurrently, preview });
+// CONCURRENTLY keeps it readable meanwhile but needs a unique index
+router.post('/materialized-views/:tableName/refresh', requireTableAccess('write'), async (req, res) => {
+    const ref = resolveTable(req);
+    if (!ref) {
+        return res.status(400).json({ error: 'Invalid materialized view name provided' });
+    }
+
+    let concurrently;
+    try {
+        concurrently = parseConcurrently(req.body.concurrently);
+    } catch (err) {
+        return res.status(err.status).json({ error: err.message });
+    }
+
+    let client;
+    try {
+        client = await getClient(req);
+        const view = (await listViews(client, [ref.schema])).find(row => row.kind === 'm' && row.view_name === ref.table);
+        if (!view) {
+            return res.status(404).json({ error: 'Materialized view not found' });
         }
+        if (concurrently && !view.has_unique_index) {
+            return res.status(400).json({ error: 'REFRESH ... CONCURRENTLY needs a unique index on the materialized view' });
+        }
+
+        await applySchemaChange(req, res, client, {
+            ref,
+            statements: [`REFRESH MATERIALIZED VIEW ${concurrently ? 'CONCURRENTLY ' : ''}${ref.qualified}`],
+            action: 'refresh_materialized_view',
+            message: `Materialized view ${ref.schema}.${ref.table} refreshed`,
+            preview: req.body.preview === true
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error refreshing materialized view ${ref.schema}.${ref.table}`);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// API Endpoint: Restart a sequence at its start value, or at { value };
+// with `preview` the DDL comes back without running
+router.post('/sequences/:sequenceName/reset', requireSqlAccess, async (req, res) => {
+    const ref = parseTableRef(req.params.sequenceName, req.query.schema);
+    if (!ref) {
+        return res.status(400).json({ error: 'Invalid sequence name provided' });
+    }
+    const value = req.body.value === undefined || req.body.value === null || req.body.value === ''
+        ? null
+        : String(req.body.value).trim();
+    if (value !== null && !/^-?\d{1,19}$/.test(value)) {
+        return res.status(400).json({ error: 'The restart value must be a whole number' });
+    }
 
-        // Add sorting
-        if (sortBy && /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(sortBy)) {
-            const validOrder = ['asc', 'desc'].includes(sortOrder.toLowerCase()) ? sortOrder : 'asc';
-            baseQuery += ` ORDER BY "${sortBy}" ${validOrder.toUpperCase()}`;
+    let client;
+    try {
+        client = await getClient(req);
+        const sequence = (await listSequences(client, [ref.schema])).find(row => row.sequence_name === ref.table);
+        if (!sequence) {
+            return res.status(404).json({ error: 'Sequence not found' });
         }
 
+        await applySchemaChange(req, res, client, {
+            ref,
+            statements: [`ALTER SEQUENCE ${ref.qualified} RESTART${value === null ? '' : ` WITH ${value}`}`],
+            action: 'reset_sequence',
+            message: `Sequence ${ref.schema}.${ref.table} restarts at ${value === null ? sequence.start_value : value}`,
+            preview: req.body.preview === true
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, `API Error resetting sequence ${ref.schema}.${ref.table}`);
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// API Endpoint: Compact catalog for the SQL editor's completion: the visible
+// schemas, their tables with column names and types, their functions, and
+// SQL keywords and common built-in functions
+router.get('/catalog', requireSqlAccess, async (req, res) => {
+    let client;
+    try {
+        client = await getClient(req);
+        const schemas = (await listSchemas(client))
+            .map(row => row.schema_name)
+            .filter(schema => canSeeSchema(req.user, schema));
+
+        const [tableRows, columnRows, functionRows] = await Promise.all([
+            listTables(client, schemas),
+            listColumns(client, schemas),
+            listFunctions(client, schemas)
+        ]);
+
+        const tables = new Map();
+        tableRows
+            .filter(row => canAccessTable(req.user, row.schemaname, row.tablename, 'read'))
+            .forEach(row => tables.set(`${row.schemaname}.${row.tablename}`, { schema: row.schemaname, name: row.tablename, columns: [] }));
+        columnRows.forEach(row => {
+            const table = tables.get(`${row.table_schema}.${row.table_name}`);
+            if (table) table.columns.push({ name: row.column_name, type: row.data_type });
+        });
+
+        res.json({
+            defaultSchema: DEFAULT_SCHEMA,
+            schemas: schemas,
+            tables: Array.from(tables.values()),
+            functions: functionRows.map(row => ({
+                schema: row.schema_name,
+                name: row.function_name,
+                arguments: row.arguments,
+                returns: row.result_type
+            })),
+            keywords: SQL_KEYWORDS,
+            builtins: BUILTIN_FUNCTIONS
+        });
+    } catch (err) {
+        handleDatabaseError(err, res, 'API Error fetching catalog');
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// Enhanced API Endpoint: Get data with pagination and filtering
+// FIXED: Changed from '/api/data/:tableName' to '/data/:tableName'
+router.get('/data/:tableName', requireTableAccess('read'), async (req, res) => {
+    const { page = 1, limit = 100, search, filter, sortBy, sortOrder = 'asc' } = req.query;
+
+    const ref = resolveTable(req);
+    if (!ref) {
+        return res.status(400).json({ error: 'Invalid table name provided' });
+    }
+
+    let client;
+    try {
+        client = await getClient(req);
+        
+        // Build query with optional search, column filters and sorting
+        const rowFilter = await buildRowFilter(client, ref, { search, filters: filter, sortBy, sortOrder });
+        const identity = await getRowIdentity(client, ref);
+        const baseQuery = `SELECT ${rowSelectList(identity)} FROM ${ref.qualified}${rowFilter.where}${rowFilter.orderBy}` +
+            ` LIMIT $${rowFilter.params.length + 1} OFFSET $${rowFilter.params.length + 2}`;
+        const countQuery = `SELECT COUNT(*) FROM ${ref.qualified}${rowFilter.where}`;
+
         // Add pagination
         const offset = (parseInt(page) - 1) * parseInt(limit);
-        baseQuery += ` LIMIT $${++paramCount} OFFSET $${++paramCount}`;
-        queryParams.push(parseInt(limit), offset);
 
         // Execute queries
         const [dataResult, countResult] = await Promise.all([
-            client.query(baseQuery, queryParams.slice(0, -2).concat([parseInt(limit), offset])),
-            client.query(countQuery, queryParams.slice(0, -2))
+            client.query(baseQuery, rowFilter.params.concat([parseInt(limit), offset])),
+            client.query(countQuery, rowFilter.params)
         ]);
+        const { rows, keys } = splitRowKeys(identity, dataResult.rows);
 
         res.json({
-            tableName: tableName,
-            data: dataResult.rows,
+            tableName: ref.table,
+            schema: ref.schema,
+            data: rows,
+            // Key of each row for PUT/DELETE /data/:tableName/:id
+            rowKeys: keys,
+            rowIdentity: describeRowIdentity(identity),
             pagination: {
                 currentPage: parseInt(page),
                 limit: parseInt(limit),
@@ -260,21 +948,23 @@ router.get('/data/:tableName', async (req, res) => {
             }
         });
     } catch (err) {
-        handleDatabaseError(err, res, `API Error fetching data from table ${tableName}`);
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        handleDatabaseError(err, res, `API Error fetching data from table ${ref.schema}.${ref.table}`);
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
 // Enhanced view route with better error handling
-router.get('/view/:tableName', async (req, res) => {
-    const { tableName } = req.params;
-
-    if (!tableName || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
+router.get('/view/:tableName', requireTableAccess('read'), async (req, res) => {
+    const ref = resolveTable(req);
+    if (!ref) {
         return res.status(400).send('Invalid table name.');
     }
 
-    const client = getNewClient();
+    let client;
     let tableData = [];
     let error = null;
     let columnNames = [];
@@ -283,11 +973,11 @@ router.get('/view/:tableName', async (req, res) => {
     let primaryKeys = [];
 
     try {
-        await client.connect();
+        client = await getClient(req);
         
         // Get table data with limit
-        const dataQuery = `SELECT * FROM "${tableName}" LIMIT 100;`;
-        console.log(`Fetching data from table: ${tableName}`);
+        const dataQuery = `SELECT * FROM ${ref.qualified} LIMIT 100;`;
+        console.log(`Fetching data from table: ${ref.schema}.${ref.table}`);
         const result = await client.query(dataQuery);
         tableData = result.rows;
         columnNames = result.fields ? result.fields.map(field => field.name) : [];
@@ -303,9 +993,9 @@ router.get('/view/:tableName', async (req, res) => {
                 numeric_precision,
                 numeric_scale
             FROM information_schema.columns
-            WHERE table_name = $1 AND table_schema = 'public'
+            WHERE table_name = $1 AND table_schema = $2
             ORDER BY ordinal_position;
-        `, [tableName]);
+        `, [ref.table, ref.schema]);
         columnInfo = columnInfoResult.rows;
 
         // Get primary key information
@@ -314,310 +1004,1273 @@ router.get('/view/:tableName', async (req, res) => {
             FROM pg_index i
             JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
             WHERE i.indrelid = $1::regclass AND i.indisprimary;
-        `, [tableName]);
+        `, [ref.qualified]);
         primaryKeys = pkResult.rows.map(row => row.column_name);
 
         // Get table statistics
         const statsQuery = `
             SELECT 
-                (SELECT count(*) FROM "${tableName}") as total_rows,
-                (SELECT pg_size_pretty(pg_total_relation_size('"${tableName}"'))) as table_size,
+                (SELECT count(*) FROM ${ref.qualified}) as total_rows,
+                (SELECT pg_size_pretty(pg_total_relation_size($3::regclass))) as table_size,
                 (SELECT count(*) FROM information_schema.columns 
-                 WHERE table_name = $1 AND table_schema = 'public') as column_count;
+                 WHERE table_name = $1 AND table_schema = $2) as column_count;
         `;
-        const statsResult = await client.query(statsQuery, [tableName]);
+        const statsResult = await client.query(statsQuery, [ref.table, ref.schema, ref.qualified]);
         if (statsResult.rows.length > 0) {
             tableStats = statsResult.rows[0];
         }
 
     } catch (err) {
-        console.error(`Error fetching data from table ${tableName}:`, err.stack);
+        console.error(`Error fetching data from table ${ref.schema}.${ref.table}:`, err.stack);
         error = err.message;
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 
     res.render('db/table', { 
-        tableName: tableName, 
+        tableName: ref.table, 
+        schema: ref.schema,
         data: tableData, 
         columns: columnNames, 
         columnInfo: columnInfo,
         primaryKeys: primaryKeys,
+        permissions: describePermissions(req.user, ref.schema, ref.table),
         error: error,
         tableStats: tableStats
     });
 });
 
+// Table designer page: /design creates a table in ?schema=, /design/:tableName
+// alters one (see POST /tables and PATCH /schema/:tableName)
+router.get('/design/:tableName?', requireSqlAccess, (req, res) => {
+    const ref = req.params.tableName ? resolveTable(req) : null;
+    const schema = ref ? ref.schema : resolveSchema(req);
+    if ((req.params.tableName && !ref) || !schema) {
+        return res.status(400).send('Invalid table name.');
+    }
+
+    res.render('db/design', {
+        schema: schema,
+        tableName: ref ? ref.table : null,
+        currentUser: req.user
+    });
+});
+
 // API Endpoint: Create new record
 // FIXED: Changed from '/api/data/:tableName' to '/data/:tableName'
-router.post('/data/:tableName', async (req, res) => {
-    const { tableName } = req.params;
+router.post('/data/:tableName', requireTableAccess('write'), async (req, res) => {
     const recordData = req.body;
 
-    if (!tableName || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
+    const ref = resolveTable(req);
+    if (!ref) {
         return res.status(400).json({ error: 'Invalid table name provided' });
     }
 
-    const client = getNewClient();
+    let client;
     try {
-        await client.connect();
+        client = await getClient(req);
         
         const columns = Object.keys(recordData);
         const values = Object.values(recordData);
         const placeholders = values.map((_, index) => `$${index + 1}`);
 
         const query = `
-            INSERT INTO "${tableName}" (${columns.map(col => `"${col}"`).join(', ')})
+            INSERT INTO ${ref.qualified} (${columns.map(col => quoteIdent(col)).join(', ')})
             VALUES (${placeholders.join(', ')})
             RETURNING *;
         `;
 
         const result = await client.query(query, values);
+
+        recordRequest(req, {
+            action: 'insert',
+            table: `${ref.schema}.${ref.table}`,
+            sql: query.trim(),
+            rowCount: result.rowCount,
+            after: result.rows[0],
+            success: true
+        });
         
         res.json({
             message: 'Record created successfully',
             data: result.rows[0]
         });
     } catch (err) {
-        handleDatabaseError(err, res, `Error creating record in table ${tableName}`);
+        recordRequest(req, {
+            action: 'insert',
+            table: `${ref.schema}.${ref.table}`,
+            values: recordData,
+            success: false,
+            error: err.message
+        });
+        handleDatabaseError(err, res, `Error creating record in table ${ref.schema}.${ref.table}`);
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
 // API Endpoint: Update record
+// `:id` is a row key as GET /data returns it (a JSON object, see
+// util/rowIdentity), or the bare value for tables with a one-column key
 // FIXED: Changed from '/api/data/:tableName/:id' to '/data/:tableName/:id'
-router.put('/data/:tableName/:id', async (req, res) => {
-    const { tableName, id } = req.params;
+router.put('/data/:tableName/:id', requireTableAccess('write'), async (req, res) => {
+    const { id } = req.params;
     const recordData = req.body;
 
-    if (!tableName || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
+    const ref = resolveTable(req);
+    if (!ref) {
         return res.status(400).json({ error: 'Invalid table name provided' });
     }
 
-    const client = getNewClient();
+    let client;
+    let key = id;
+    let inTransaction = false;
     try {
-        await client.connect();
-        
-        // Get primary key column
-        const pkResult = await client.query(`
-            SELECT a.attname as column_name
-            FROM pg_index i
-            JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
-            WHERE i.indrelid = $1::regclass AND i.indisprimary
-            LIMIT 1;
-        `, [tableName]);
-
-        if (pkResult.rows.length === 0) {
-            return res.status(400).json({ error: 'Table has no primary key defined' });
-        }
+        client = await getClient(req);
 
-        const pkColumn = pkResult.rows[0].column_name;
+        const identity = await getRowIdentity(client, ref);
+        key = parseRowKey(identity, id);
         const columns = Object.keys(recordData);
         const values = Object.values(recordData);
         
-        const setClause = columns.map((col, index) => `"${col}" = $${index + 1}`).join(', ');
+        const setClause = columns.map((col, index) => `${quoteIdent(col)} = $${index + 1}`).join(', ');
+        const match = keyCondition(identity, key, values.length + 1);
         
         const query = `
-            UPDATE "${tableName}"
+            UPDATE ${ref.qualified}
             SET ${setClause}
-            WHERE "${pkColumn}" = $${values.length + 1}
-            RETURNING *;
+            WHERE ${match.condition}
+            RETURNING ${rowSelectList(identity)};
         `;
 
-        const result = await client.query(query, [...values, id]);
-        
-        if (result.rows.length === 0) {
+        // Lock and capture the row first so the audit log gets a before image
+        await client.query('BEGIN');
+        inTransaction = true;
+        const beforeResult = await client.query(
+            `SELECT * FROM ${ref.qualified} WHERE ${keyCondition(identity, key).condition} FOR UPDATE;`,
+            match.values
+        );
+
+        if (beforeResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            inTransaction = false;
             return res.status(404).json({ error: 'Record not found' });
         }
 
+        const result = await client.query(query, [...values, ...match.values]);
+        await client.query('COMMIT');
+        inTransaction = false;
+        const { rows, keys } = splitRowKeys(identity, result.rows);
+
+        recordRequest(req, {
+            action: 'update',
+            table: `${ref.schema}.${ref.table}`,
+            sql: query.trim(),
+            key: key,
+            rowCount: result.rowCount,
+            before: beforeResult.rows[0],
+            after: rows[0],
+            success: true
+        });
+
         res.json({
             message: 'Record updated successfully',
-            data: result.rows[0]
+            data: rows[0],
+            // The key may change with the row (key columns edited, or a new ctid)
+            key: keys[0],
+            warning: identity.warning || undefined
         });
     } catch (err) {
-        handleDatabaseError(err, res, `Error updating record in table ${tableName}`);
+        if (inTransaction) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        recordRequest(req, {
+            action: 'update',
+            table: `${ref.schema}.${ref.table}`,
+            key: key,
+            values: recordData,
+            success: false,
+            error: err.message
+        });
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        handleDatabaseError(err, res, `Error updating record in table ${ref.schema}.${ref.table}`);
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
 // API Endpoint: Delete record
+// `:id` is a row key, as for PUT /data/:tableName/:id
 // FIXED: Changed from '/api/data/:tableName/:id' to '/data/:tableName/:id'
-router.delete('/data/:tableName/:id', async (req, res) => {
-    const { tableName, id } = req.params;
+router.delete('/data/:tableName/:id', requireTableAccess('write'), async (req, res) => {
+    const { id } = req.params;
 
-    if (!tableName || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
+    const ref = resolveTable(req);
+    if (!ref) {
         return res.status(400).json({ error: 'Invalid table name provided' });
     }
 
-    const client = getNewClient();
+    let client;
+    let key = id;
     try {
-        await client.connect();
-        
-        // Get primary key column
-        const pkResult = await client.query(`
-            SELECT a.attname as column_name
-            FROM pg_index i
-            JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
-            WHERE i.indrelid = $1::regclass AND i.indisprimary
-            LIMIT 1;
-        `, [tableName]);
-
-        if (pkResult.rows.length === 0) {
-            return res.status(400).json({ error: 'Table has no primary key defined' });
-        }
+        client = await getClient(req);
 
-        const pkColumn = pkResult.rows[0].column_name;
+        const identity = await getRowIdentity(client, ref);
+        key = parseRowKey(identity, id);
+        const match = keyCondition(identity, key);
         
         const query = `
-            DELETE FROM "${tableName}"
-            WHERE "${pkColumn}" = $1
+            DELETE FROM ${ref.qualified}
+            WHERE ${match.condition}
             RETURNING *;
         `;
 
-        const result = await client.query(query, [id]);
+        const result = await client.query(query, match.values);
         
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Record not found' });
         }
 
+        recordRequest(req, {
+            action: 'delete',
+            table: `${ref.schema}.${ref.table}`,
+            sql: query.trim(),
+            key: key,
+            rowCount: result.rowCount,
+            before: result.rows[0],
+            success: true
+        });
+
         res.json({
             message: 'Record deleted successfully',
-            data: result.rows[0]
+            data: result.rows[0],
+            warning: identity.warning || undefined
         });
     } catch (err) {
-        handleDatabaseError(err, res, `Error deleting record from table ${tableName}`);
+        recordRequest(req, {
+            action: 'delete',
+            table: `${ref.schema}.${ref.table}`,
+            key: key,
+            success: false,
+            error: err.message
+        });
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        handleDatabaseError(err, res, `Error deleting record from table ${ref.schema}.${ref.table}`);
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
-// API Endpoint: Export table data as CSV
+// API Endpoint: Stream table data as csv, tsv, ndjson, json, sql or xlsx
+// Accepts the same search/sort options as /data plus a comma-separated `columns` list.
+// Rows are read through a server-side cursor and written as the client consumes them.
 // FIXED: Changed from '/api/export/:tableName' to '/export/:tableName'
-router.get('/export/:tableName', async (req, res) => {
-    const { tableName } = req.params;
-    const { format = 'csv' } = req.query;
+router.get('/export/:tableName', requireTableAccess('read'), async (req, res) => {
+    const { format = 'csv', search, sortBy, sortOrder, columns } = req.query;
 
-    if (!tableName || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
+    const ref = resolveTable(req);
+    if (!ref) {
         return res.status(400).json({ error: 'Invalid table name provided' });
     }
 
-    const client = getNewClient();
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+        return res.status(400).json({
+            error: `Unsupported export format "${format}"`,
+            formats: Object.keys(EXPORT_FORMATS)
+        });
+    }
+
+    let client;
     try {
-        await client.connect();
-        const result = await client.query(`SELECT * FROM "${tableName}";`);
-        
-        if (format === 'csv') {
-            let csv = '';
-            if (result.rows.length > 0) {
-                // Header
-                csv = Object.keys(result.rows[0]).join(',') + '\n';
-                
-                // Data rows
-                result.rows.forEach(row => {
-                    const values = Object.values(row).map(value => {
-                        if (value === null || value === undefined) return '';
-                        const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
-                        return '"' + stringValue.replace(/"/g, '""') + '"';
-                    });
-                    csv += values.join(',') + '\n';
+        client = await getClient(req);
+
+        const columnsResult = await client.query(`
+            SELECT column_name
+            FROM information_schema.columns
+            WHERE table_name = $1 AND table_schema = $2
+            ORDER BY ordinal_position
+        `, [ref.table, ref.schema]);
+        const tableColumns = columnsResult.rows.map(row => row.column_name);
+
+        if (tableColumns.length === 0) {
+            return res.status(404).json({ error: `Table ${ref.schema}.${ref.table} not found` });
+        }
+
+        let selected = tableColumns;
+        if (columns) {
+            selected = String(columns).split(',').map(column => column.trim()).filter(Boolean);
+            const unknown = selected.filter(column => !tableColumns.includes(column));
+            if (selected.length === 0 || unknown.length > 0) {
+                return res.status(400).json({
+                    error: unknown.length > 0 ? `Unknown columns: ${unknown.join(', ')}` : 'No columns selected'
                 });
             }
-            
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="${tableName}.csv"`);
-            res.send(csv);
+        }
+
+        const filter = await buildRowFilter(client, ref, { search, sortBy, sortOrder });
+        const query = `SELECT ${selected.map(quoteIdent).join(', ')} FROM ${ref.qualified}${filter.where}${filter.orderBy}`;
+
+        const started = Date.now();
+        const rowCount = await streamExport(res, client, {
+            text: query,
+            values: filter.params,
+            format,
+            ref,
+            fileName: ref.schema === DEFAULT_SCHEMA ? ref.table : `${ref.schema}.${ref.table}`,
+            columns: selected
+        });
+
+        if (rowCount === null) {
+            console.log(`[EXPORT] ${ref.schema}.${ref.table} (${format}) cancelled by client`);
+            return;
+        }
+        console.log(`[EXPORT] ${ref.schema}.${ref.table} (${format}): ${rowCount} rows in ${Date.now() - started}ms`);
+    } catch (err) {
+        if (res.headersSent) {
+            // Too late for an error response; cut the download short so it isn't mistaken for complete
+            console.error(`[EXPORT] ${ref.schema}.${ref.table} failed mid-stream:`, err.message);
+            res.destroy(err);
         } else {
-            res.json({
-                tableName: tableName,
-                data: result.rows,
-                rowCount: result.rowCount
+            handleDatabaseError(err, res, `Export error for table ${ref.schema}.${ref.table}`);
+        }
+    } finally {
+        if (client) client.release();
+    }
+});
+
+// API Endpoint: Bulk import a CSV, TSV or NDJSON file into a table
+// The file is the raw request body. Options (query string):
+//   format     csv | tsv | ndjson (default: from Content-Type, else csv)
+//   header     false when a CSV file has no header row (columns are then named column1, column2, ...)
+//   mapping    mapping[fileColumn]=tableColumn; unmapped file columns are ignored.
+//              Defaults to file columns whose name matches a table column.
+//   onError    abort (default): any failed row rolls the whole import back
+//              skip: failed rows are reported and the rest are committed
+//   dryRun     true to validate and insert, then roll back
+// Everything runs in one transaction; failed batches are retried row by row
+// (each under a savepoint) so errors can be reported per line.
+router.post('/import/:tableName', requireTableAccess('write'), async (req, res) => {
+    const { header = 'true', onError = 'abort', mapping } = req.query;
+    const dryRun = req.query.dryRun === 'true';
+
+    const ref = resolveTable(req);
+    if (!ref) {
+        return res.status(400).json({ error: 'Invalid table name provided' });
+    }
+
+    const format = resolveImportFormat(req.query.format, req.headers['content-type']);
+    if (!format) {
+        return res.status(400).json({
+            error: `Unsupported import format "${req.query.format}"`,
+            formats: Object.keys(IMPORT_FORMATS)
+        });
+    }
+    if (!['abort', 'skip'].includes(onError)) {
+        return res.status(400).json({ error: 'onError must be "abort" or "skip"' });
+    }
+    if (mapping !== undefined && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+        return res.status(400).json({ error: 'mapping must be given as mapping[fileColumn]=tableColumn' });
+    }
+    if (req._body) {
+        // A JSON or form body was already consumed by the body parsers
+        return res.status(400).json({ error: 'Send the file as the raw request body (text/csv or application/x-ndjson)' });
+    }
+
+    const parsed = format === 'ndjson' || format === 'jsonl';
+    const table = `${ref.schema}.${ref.table}`;
+    const DEFAULT = Symbol('DEFAULT');
+
+    let client;
+    let inTransaction = false;
+    try {
+        client = await getClient(req);
+
+        const columnsResult = await client.query(`
+            SELECT column_name, data_type, is_nullable, column_default,
+                   character_maximum_length, is_identity, is_generated
+            FROM information_schema.columns
+            WHERE table_name = $1 AND table_schema = $2
+            ORDER BY ordinal_position
+        `, [ref.table, ref.schema]);
+        const tableColumns = new Map(columnsResult.rows.map(column => [column.column_name, column]));
+
+        if (tableColumns.size === 0) {
+            return res.status(404).json({ error: `Table ${table} not found` });
+        }
+
+        // Resolved from the header row (CSV) or up front (NDJSON):
+        // targets[i] = { source: file column name or index, column: information_schema row }
+        let targets = null;
+        let sourceColumns = [];
+        const ignoredColumns = new Set();
+
+        function resolveTargets(fileColumns) {
+            let pairs;
+            if (mapping) {
+                pairs = Object.entries(mapping).filter(([, column]) => column);
+                const missing = fileColumns ? pairs.filter(([source]) => !fileColumns.includes(source)) : [];
+                if (missing.length > 0) {
+                    throw Object.assign(new Error(`The file has no column named ${missing.map(([source]) => `"${source}"`).join(', ')}`), { status: 400 });
+                }
+            } else if (fileColumns) {
+                const lowerNames = new Map(Array.from(tableColumns.keys()).map(name => [name.toLowerCase(), name]));
+                pairs = fileColumns
+                    .map(source => [source, tableColumns.has(source) ? source : lowerNames.get(source.toLowerCase())])
+                    .filter(([, column]) => column);
+            } else {
+                pairs = Array.from(tableColumns.keys()).map(name => [name, name]);
+            }
+
+            const unknown = pairs.filter(([, column]) => !tableColumns.has(column)).map(([, column]) => column);
+            if (unknown.length > 0) {
+                throw Object.assign(new Error(`Unknown columns: ${unknown.join(', ')}`), { status: 400 });
+            }
+            const duplicates = pairs.map(([, column]) => column).filter((column, i, all) => all.indexOf(column) !== i);
+            if (duplicates.length > 0) {
+                throw Object.assign(new Error(`Columns mapped more than once: ${[...new Set(duplicates)].join(', ')}`), { status: 400 });
+            }
+
+            // Generated columns can't be written: an explicit mapping to one is an error,
+            // a name match (e.g. re-importing an export) just leaves it out
+            const generated = pairs.filter(([, column]) => tableColumns.get(column).is_generated === 'ALWAYS');
+            if (generated.length > 0 && mapping) {
+                throw Object.assign(new Error(`Generated columns can't be imported: ${generated.map(([, column]) => column).join(', ')}`), { status: 400 });
+            }
+            pairs = pairs.filter(pair => !generated.includes(pair));
+            if (pairs.length === 0) {
+                throw Object.assign(new Error('No file columns match a table column; provide a mapping'), { status: 400 });
+            }
+
+            // NDJSON rows may leave a column out (DEFAULT), so only CSV must cover required columns
+            if (fileColumns) {
+                const mapped = new Set(pairs.map(([, column]) => column));
+                const required = Array.from(tableColumns.values())
+                    .filter(column => column.is_nullable === 'NO' && column.column_default === null &&
+                        column.is_identity !== 'YES' && column.is_generated !== 'ALWAYS' && !mapped.has(column.column_name))
+                    .map(column => column.column_name);
+                if (required.length > 0) {
+                    throw Object.assign(new Error(`Required columns not mapped: ${required.join(', ')}`), { status: 400 });
+                }
+                fileColumns.forEach(source => {
+                    if (!pairs.some(([mappedSource]) => mappedSource === source)) ignoredColumns.add(source);
+                });
+            }
+
+            sourceColumns = fileColumns;
+            return pairs.map(([source, column]) => ({
+                source: fileColumns ? fileColumns.indexOf(source) : source,
+                column: tableColumns.get(column)
+            }));
+        }
+
+        const errors = [];
+        let processed = 0;
+        let inserted = 0;
+        let failed = 0;
+        let stopped = false;
+
+        function addError(line, error, column) {
+            failed++;
+            if (errors.length < IMPORT_CONFIG.maxErrors) {
+                errors.push(column ? { line, column, error } : { line, error });
+            } else if (onError === 'abort') {
+                stopped = true;
+            }
+        }
+
+        // One record -> parameter list, or null after reporting why it can't be used
+        function buildRow(record) {
+            if (record.error) {
+                addError(record.line, record.error);
+                return null;
+            }
+            if (!parsed && record.values.length !== sourceColumns.length) {
+                addError(record.line, `Expected ${sourceColumns.length} fields, found ${record.values.length}`);
+                return null;
+            }
+            if (parsed) {
+                Object.keys(record.values).forEach(key => {
+                    if (!targets.some(target => target.source === key)) ignoredColumns.add(key);
+                });
+            }
+
+            const row = [];
+            for (const target of targets) {
+                if (parsed && !Object.prototype.hasOwnProperty.call(record.values, target.source)) {
+                    row.push(DEFAULT);
+                    continue;
+                }
+                try {
+                    row.push(coerceValue(record.values[target.source], target.column, { parsed }));
+                } catch (err) {
+                    addError(record.line, err.message, target.column.column_name);
+                    return null;
+                }
+            }
+            return row;
+        }
+
+        function insertStatement(rows) {
+            const params = [];
+            const tuples = rows.map(({ row }) => '(' + row.map(value => {
+                if (value === DEFAULT) return 'DEFAULT';
+                params.push(value);
+                return `$${params.length}`;
+            }).join(', ') + ')');
+            return {
+                text: `INSERT INTO ${ref.qualified} (${targets.map(target => quoteIdent(target.column.column_name)).join(', ')}) VALUES ${tuples.join(', ')}`,
+                values: params
+            };
+        }
+
+        let batch = [];
+        async function flush() {
+            if (batch.length === 0) return;
+            const rows = batch;
+            batch = [];
+
+            await client.query('SAVEPOINT import_batch');
+            try {
+                await client.query(insertStatement(rows));
+                await client.query('RELEASE SAVEPOINT import_batch');
+                inserted += rows.length;
+                return;
+            } catch (err) {
+                await client.query('ROLLBACK TO SAVEPOINT import_batch');
+            }
+
+            // Find the offending rows one at a time
+            for (const entry of rows) {
+                await client.query('SAVEPOINT import_row');
+                try {
+                    await client.query(insertStatement([entry]));
+                    await client.query('RELEASE SAVEPOINT import_row');
+                    inserted++;
+                } catch (err) {
+                    await client.query('ROLLBACK TO SAVEPOINT import_row');
+                    addError(entry.line, err.detail ? `${err.message} (${err.detail})` : err.message);
+                    if (stopped) return;
+                }
+            }
+        }
+
+        let batchSize = IMPORT_CONFIG.batchSize;
+        async function handleRecords(records) {
+            for (const record of records) {
+                if (stopped) return;
+                if (!targets) {
+                    const fileColumns = header === 'false'
+                        ? record.values.map((_, i) => `column${i + 1}`)
+                        : record.values.map(name => name === null ? '' : name);
+                    targets = resolveTargets(fileColumns);
+                    // Stay under PostgreSQL's 65535 bind parameters per statement
+                    batchSize = Math.max(1, Math.min(IMPORT_CONFIG.batchSize, Math.floor(65535 / targets.length)));
+                    if (header !== 'false') continue;
+                }
+
+                processed++;
+                const row = buildRow(record);
+                if (row) {
+                    batch.push({ line: record.line, row });
+                    if (batch.length >= batchSize) await flush();
+                }
+            }
+        }
+
+        if (parsed) {
+            targets = resolveTargets(null);
+        }
+
+        await client.query('BEGIN');
+        inTransaction = true;
+
+        const parser = IMPORT_FORMATS[format].create();
+        const decoder = new StringDecoder('utf8');
+        let bytes = 0;
+
+        // Stopping early must not destroy the request: the response still goes out on its socket
+        for await (const chunk of req.iterator({ destroyOnReturn: false })) {
+            bytes += chunk.length;
+            if (bytes > IMPORT_CONFIG.maxBytes) {
+                throw Object.assign(new Error(`Import file is larger than ${IMPORT_CONFIG.maxBytes / 1024 / 1024} MB`), { status: 413 });
+            }
+            await handleRecords(parser.push(decoder.write(chunk)));
+            if (stopped) break;
+        }
+        if (!stopped) {
+            try {
+                await handleRecords(parser.push(decoder.end()).concat(parser.end()));
+            } catch (err) {
+                if (!err.status) err.status = 400;
+                throw err;
+            }
+            await flush();
+        }
+
+        if (!targets) {
+            throw Object.assign(new Error('The file is empty'), { status: 400 });
+        }
+
+        const committed = !dryRun && !(onError === 'abort' && failed > 0);
+        await client.query(committed ? 'COMMIT' : 'ROLLBACK');
+        inTransaction = false;
+
+        if (stopped) {
+            // Discard the rest of the upload
+            req.resume();
+        }
+
+        if (!dryRun) {
+            recordRequest(req, {
+                action: 'import',
+                table,
+                format,
+                rowCount: committed ? inserted : 0,
+                failed,
+                success: committed
             });
         }
+        console.log(`[IMPORT] ${table} (${format}${dryRun ? ', dry run' : ''}): ${processed} rows read, ${inserted} inserted, ${failed} failed, ${committed ? 'committed' : 'rolled back'}`);
+
+        let message;
+        if (dryRun) {
+            message = failed > 0 ? `Dry run: ${failed} of ${processed} rows would fail` : `Dry run: all ${processed} rows are valid`;
+        } else if (committed) {
+            message = `Imported ${inserted} rows` + (failed > 0 ? `, skipped ${failed} failed rows` : '');
+        } else {
+            message = `Import rolled back: ${failed} of ${processed} rows failed`;
+        }
+
+        res.status(committed || dryRun ? 200 : 422).json({
+            message,
+            table,
+            format,
+            dryRun,
+            committed,
+            processed,
+            inserted: committed ? inserted : 0,
+            failed,
+            stopped,
+            columns: targets.map(target => ({
+                source: parsed ? target.source : sourceColumns[target.source],
+                column: target.column.column_name
+            })),
+            ignoredColumns: Array.from(ignoredColumns),
+            errors
+        });
     } catch (err) {
-        handleDatabaseError(err, res, `Export error for table ${tableName}`);
+        if (inTransaction) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+        req.resume();
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        recordRequest(req, { action: 'import', table, format, success: false, error: err.message });
+        handleDatabaseError(err, res, `Import error for table ${table}`);
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
 // Enhanced SQL query execution
 // FIXED: Changed from '/api/run-query' to '/run-query'
-router.post('/run-query', async (req, res) => {
-    const { query } = req.body;
+// Single SELECT-like statements come back a page at a time through a cursor:
+// the response carries `cursorId`/`hasMore` and further pages come from
+// POST /run-query/:cursorId/next, up to QUERY_CONFIG.maxRows (`truncated`).
+// Every statement runs under an ID (`queryId`, chosen by the caller or
+// generated) that POST /queries/:id/cancel accepts, and under the caller's
+// statement timeout. While the session has a transaction open (see
+// util/sessionTransactions) queries run on its connection, without paging.
+// Dangerous statements first answer 428 (see confirmDangerousSql). On a
+// read-only profile it takes one statement at a time, run read-only.
+router.post('/run-query', requireSqlAccess, async (req, res) => {
+    const { query, pageSize, queryId: requestedId } = req.body;
 
     if (!query) {
         return res.status(400).json({ error: 'Missing SQL query in request body' });
     }
 
-    // Basic query validation and warnings
-    const trimmedQuery = query.trim().toLowerCase();
-    const warnings = [];
-    
-    if (trimmedQuery.includes('drop table') || trimmedQuery.includes('drop database')) {
-        warnings.push('⚠️ Destructive operation detected - proceed with caution');
+    const analysis = analyzeSql(query);
+    // A transaction opened halfway through one string would escape enforceReadOnly()
+    if (getSessionProfile(req).readOnly && analysis.statements.length > 1) {
+        return res.status(400).json({ error: 'This connection is read-only: run one statement at a time, or use script mode' });
     }
-    
-    if (trimmedQuery.includes('delete from') && !trimmedQuery.includes('where')) {
-        warnings.push('⚠️ DELETE without WHERE clause - this will delete all rows');
-    }
-    
-    if (trimmedQuery.includes('update') && !trimmedQuery.includes('where')) {
-        warnings.push('⚠️ UPDATE without WHERE clause - this will update all rows');
+    if (!confirmDangerousSql(req, res, query, analysis)) {
+        return;
     }
+    const warnings = analysis.risks.map(risk => `⚠️ ${risk.message}`);
+    const confirmed = analysis.dangerous && { confirmedRisks: analysis.risks.map(risk => risk.code) };
 
     console.log(`Executing query: ${query}`);
     const startTime = Date.now();
+    const statementTimeout = statementTimeoutFor(req.user);
 
-    const client = getNewClient();
-    let resultData = { rowCount: 0, rows: [], command: '', warnings: warnings };
+    let session = null;
+    let queryId = null;
+    let resultData = null;
+    let failure = null;
 
     try {
-        await client.connect();
-        const result = await client.query(query);
+        session = await acquireSessionClient(req.user.sessionId, req.user.id, getSessionProfile(req));
+        const { client, profile } = session;
+        queryId = startQuery({ id: requestedId, owner: req.user.id, profile, client, sql: query });
+        if (profile.readOnly) {
+            await enforceReadOnly(client);
+        }
 
-        const executionTime = Date.now() - startTime;
+        if (!session.entry && isCursorable(query)) {
+            try {
+                const page = await openCursor(client, req.user.id, query, { pageSize, statementTimeout, profile });
+                // The cursor registry owns the client from here
+                session = null;
+                const executionTime = Date.now() - startTime;
+
+                recordQueryRun(req, {
+                    sql: query,
+                    queryId: queryId,
+                    command: 'SELECT',
+                    rowCount: page.rowCount,
+                    paged: page.hasMore,
+                    executionTime: executionTime,
+                    success: true,
+                    ...confirmed
+                });
 
-        // Handle different result types
-        if (result.rows && Array.isArray(result.rows)) {
-            resultData.rows = result.rows;
-            resultData.rowCount = result.rowCount;
+                return res.json({
+                    message: 'Query executed successfully',
+                    queryId: queryId,
+                    command: 'SELECT',
+                    statements: analysis.statements,
+                    warnings: warnings,
+                    executionTime: executionTime,
+                    transaction: { open: false },
+                    ...page
+                });
+            } catch (err) {
+                // Statements a cursor can't hold (SELECT INTO, data-modifying WITH) run normally below
+                if (!err.cursorDeclined) {
+                    session = null;
+                    throw err;
+                }
+            }
         }
-        
-        resultData.command = result.command;
-        resultData.executionTime = executionTime;
-        
-        if (result.rowCount !== undefined && resultData.rowCount === 0) {
-            resultData.rowCount = result.rowCount;
+
+        // A failed transaction accepts nothing but ROLLBACK
+        if (await transactionStatus(client) !== 'failed') {
+            await client.query(`SET statement_timeout = ${statementTimeout}`);
         }
+        const result = await runStatement(client, query, QUERY_CONFIG.maxRows);
+
+        resultData = {
+            rowCount: result.rowCount,
+            rows: result.rows,
+            fields: result.fields,
+            command: result.command,
+            statements: analysis.statements,
+            warnings: warnings,
+            executionTime: Date.now() - startTime,
+            truncated: result.truncated,
+            maxRows: QUERY_CONFIG.maxRows
+        };
+    } catch (err) {
+        failure = err;
+    } finally {
+        if (queryId) await finishQuery(queryId);
+    }
 
-        res.json({
+    // Pins the connection if the statement left a transaction open
+    const transaction = session
+        ? await releaseSessionClient(session)
+        : getSessionTransaction(req.user.sessionId);
+    if (transaction.rolledBack && transaction.open) {
+        warnings.push('⚠️ The transaction this statement opened was rolled back: the session already had one open from another request');
+    } else if (transaction.rolledBack) {
+        warnings.push('⚠️ The transaction left open was rolled back: only browser sessions can keep one across requests');
+    }
+
+    if (resultData) {
+        recordQueryRun(req, {
+            sql: query,
+            queryId: queryId,
+            command: resultData.command,
+            rowCount: resultData.rowCount,
+            executionTime: resultData.executionTime,
+            success: true,
+            ...confirmed
+        });
+
+        return res.json({
             message: 'Query executed successfully',
+            queryId: queryId,
+            transaction: transaction,
             ...resultData
         });
+    }
+
+    // Unusable or duplicate queryId, or the session's transaction is busy; nothing ran
+    if (failure.status) {
+        return res.status(failure.status).json({ error: failure.message });
+    }
+
+    const executionTime = Date.now() - startTime;
+    const label = queryErrorLabel(failure);
+    if (failure.code === '57014') {
+        console.log(`[QUERY] ${label}: ${queryId} of "${req.user.id}" after ${executionTime}ms`);
+    } else {
+        console.error('Error executing query:', failure.stack);
+    }
+
+    recordQueryRun(req, {
+        sql: query,
+        queryId: queryId,
+        executionTime: executionTime,
+        success: false,
+        error: failure.message,
+        ...confirmed
+    });
+    
+    res.status(500).json({
+        error: label,
+        details: failure.message,
+        code: failure.code,
+        queryId: queryId,
+        executionTime: executionTime,
+        warnings: warnings,
+        transaction: transaction
+    });
+});
+
+// API Endpoint: Run a script statement by statement, one result per statement.
+// `wrap` runs it in a transaction of its own, committed only if every statement
+// succeeds; `onError` 'stop' skips the rest after a failure, 'continue' runs on.
+// BEGIN/COMMIT/ROLLBACK in the script work as in psql: a transaction left open
+// stays open on this session's connection for later scripts and queries.
+// A script with dangerous statements needs confirming as a whole.
+router.post('/run-script', requireSqlAccess, async (req, res) => {
+    const { script, onError = 'stop', queryId: requestedId } = req.body;
+    const wrap = req.body.wrap === true || req.body.wrap === 'true';
+
+    if (!script || typeof script !== 'string') {
+        return res.status(400).json({ error: 'Missing SQL script in request body' });
+    }
+    if (!['stop', 'continue'].includes(onError)) {
+        return res.status(400).json({ error: 'onError must be "stop" or "continue"' });
+    }
+
+    const statements = splitStatements(script);
+    if (statements.length === 0) {
+        return res.status(400).json({ error: 'The script has no statements' });
+    }
+    if (wrap && statements.some(statement => isTransactionControl(statement.sql))) {
+        return res.status(400).json({ error: 'A script with its own BEGIN/COMMIT/ROLLBACK/SAVEPOINT can\'t also be wrapped in a transaction' });
+    }
+    if (wrap && getSessionTransaction(req.user.sessionId).open) {
+        return res.status(409).json({ error: 'A transaction is already open in this session; commit or roll it back first, or run without wrapping' });
+    }
+
+    const analysis = analyzeSql(script);
+    if (!confirmDangerousSql(req, res, script, analysis)) {
+        return;
+    }
+    const confirmed = analysis.dangerous && { confirmedRisks: analysis.risks.map(risk => risk.code) };
+
+    console.log(`[QUERY] User "${req.user.id}" running a script of ${statements.length} statements (wrap: ${wrap}, on error: ${onError})`);
+    const startTime = Date.now();
+
+    let session = null;
+    let queryId = null;
+    let outcome = null;
+    let failure = null;
+
+    try {
+        session = await acquireSessionClient(req.user.sessionId, req.user.id, getSessionProfile(req));
+        const { client, profile } = session;
+        queryId = startQuery({ id: requestedId, owner: req.user.id, profile, client, sql: script });
+
+        if (await transactionStatus(client) !== 'failed') {
+            await client.query(`SET statement_timeout = ${statementTimeoutFor(req.user)}`);
+        }
+        outcome = await runScript(client, statements, {
+            wrap,
+            onError,
+            maxRows: QUERY_CONFIG.maxRows,
+            isCancelled: () => isCancelRequested(queryId),
+            readOnly: profile.readOnly
+        });
     } catch (err) {
-        const executionTime = Date.now() - startTime;
-        console.error('Error executing query:', err.stack);
-        
-        res.status(500).json({
-            error: 'Query execution failed',
-            details: err.message,
-            code: err.code,
+        failure = err;
+    } finally {
+        if (queryId) await finishQuery(queryId);
+    }
+
+    const transaction = session
+        ? await releaseSessionClient(session)
+        : getSessionTransaction(req.user.sessionId);
+    const executionTime = Date.now() - startTime;
+
+    if (failure) {
+        if (failure.status) {
+            return res.status(failure.status).json({ error: failure.message });
+        }
+        console.error('Error running script:', failure.stack);
+        recordQueryRun(req, {
+            sql: script,
+            queryId: queryId,
+            command: 'SCRIPT',
             executionTime: executionTime,
-            warnings: warnings
+            success: false,
+            error: failure.message,
+            ...confirmed
         });
+        return res.status(500).json({ error: queryErrorLabel(failure), details: failure.message, code: failure.code, queryId, transaction });
+    }
+
+    const failed = outcome.failed + (outcome.commitError ? 1 : 0);
+    recordQueryRun(req, {
+        sql: script,
+        queryId: queryId,
+        command: 'SCRIPT',
+        statements: statements.length,
+        failed: failed,
+        wrapped: outcome.transaction,
+        executionTime: executionTime,
+        success: failed === 0,
+        ...confirmed
+    });
+
+    res.status(failed === 0 ? 200 : 422).json({
+        message: failed === 0
+            ? `Script executed successfully (${statements.length} statements)`
+            : `Script finished with ${failed} error${failed === 1 ? '' : 's'}`,
+        queryId: queryId,
+        executionTime: executionTime,
+        statements: statements.length,
+        failed: failed,
+        stopped: outcome.stopped,
+        wrapped: outcome.transaction,
+        commitError: outcome.commitError,
+        transaction: transaction,
+        maxRows: QUERY_CONFIG.maxRows,
+        warnings: analysis.risks.map(risk => `⚠️ ${risk.message}`),
+        // The analyzer splits the same way, so statements line up with results
+        results: outcome.results.map((result, index) => ({ ...result, kind: analysis.statements[index].kind }))
+    });
+});
+
+// API Endpoint: Plan of a single statement (EXPLAIN, FORMAT JSON). `analyze`
+// also runs it (ANALYZE, BUFFERS) in a transaction that is rolled back, so
+// writes can be profiled without keeping their effects. `explain.nodes` is the
+// plan flattened with each node's share of the time (or cost) and its flags;
+// `explain.findings` lists what deserves a look (see util/queryPlan).
+router.post('/run-query/explain', requireSqlAccess, async (req, res) => {
+    const { query, queryId: requestedId } = req.body;
+    const analyze = req.body.analyze === true || req.body.analyze === 'true';
+
+    if (!query) {
+        return res.status(400).json({ error: 'Missing SQL query in request body' });
+    }
+    const { statements } = analyzeSql(query);
+    if (statements.length !== 1 || !EXPLAINABLE_COMMANDS.has(statements[0].command)) {
+        return res.status(400).json({ error: 'Only a single SELECT, INSERT, UPDATE, DELETE, MERGE, VALUES, TABLE or EXECUTE statement can be explained' });
+    }
+
+    const startTime = Date.now();
+    let session = null;
+    let queryId = null;
+    let explained = null;
+    let failure = null;
+
+    try {
+        session = await acquireSessionClient(req.user.sessionId, req.user.id, getSessionProfile(req));
+        const { client, profile } = session;
+        queryId = startQuery({ id: requestedId, owner: req.user.id, profile, client, sql: query });
+        if (profile.readOnly) {
+            await enforceReadOnly(client);
+        }
+        explained = await explainQuery(client, query.trim().replace(/;+\s*$/, ''), {
+            analyze,
+            statementTimeout: statementTimeoutFor(req.user),
+            nested: await transactionStatus(client) !== 'idle'
+        });
+    } catch (err) {
+        failure = err;
     } finally {
-        await client.end();
+        if (queryId) await finishQuery(queryId);
+    }
+
+    const transaction = session ? await releaseSessionClient(session) : getSessionTransaction(req.user.sessionId);
+    const executionTime = Date.now() - startTime;
+
+    if (failure && failure.status) {
+        return res.status(failure.status).json({ error: failure.message });
+    }
+
+    recordQueryRun(req, {
+        sql: query,
+        queryId: queryId,
+        command: analyze ? 'EXPLAIN ANALYZE' : 'EXPLAIN',
+        executionTime: executionTime,
+        success: !failure,
+        ...(failure && { error: failure.message })
+    });
+
+    if (failure) {
+        if (failure.code !== '57014') {
+            console.error('Error explaining query:', failure.message);
+        }
+        return res.status(500).json({
+            error: queryErrorLabel(failure),
+            details: failure.message,
+            code: failure.code,
+            queryId: queryId,
+            transaction: transaction
+        });
+    }
+
+    res.json({
+        message: analyze ? 'Query analyzed in a transaction that was rolled back' : 'Query explained',
+        queryId: queryId,
+        executionTime: executionTime,
+        transaction: transaction,
+        explain: explained
+    });
+});
+
+// API Endpoint: Run a saved query (see util/savedQueries) with values for its
+// declared parameters in `params`. The values are bound as $n placeholders,
+// never spliced into the SQL. Open to users without SQL access for the queries
+// canRunSavedQuery() allows, as long as their table grants cover every table
+// the statement's plan reads or writes; outside a console transaction the
+// statement runs in a transaction of its own, read-only for read queries.
+// Results are capped at QUERY_CONFIG.maxRows like a console query in a
+// transaction.
+router.post('/run-query/saved/:id', async (req, res) => {
+    const saved = getSavedQuery(req.params.id, req.user);
+    if (!saved) {
+        return res.status(404).json({ error: 'Saved query not found' });
+    }
+    if (!canRunSavedQuery(req.user, saved.kind)) {
+        console.log(`[AUTH] User "${req.user.id}" (${req.user.role}) denied saved query ${saved.id} (${saved.kind || 'script'})`);
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: saved.kind ? 'Your role may not run this saved query' : 'Saved scripts of several statements only run from the SQL console'
+        });
+    }
+
+    let bound;
+    try {
+        bound = bindParameters(saved.sql, saved.parameters, req.body.params || {});
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+
+    const analysis = analyzeSql(saved.sql);
+    if (!confirmDangerousSql(req, res, saved.sql, analysis)) {
+        return;
+    }
+    const warnings = analysis.risks.map(risk => `⚠️ ${risk.message}`);
+    const confirmed = analysis.dangerous && { confirmedRisks: analysis.risks.map(risk => risk.code) };
+    const audit = { savedQuery: saved.id, params: req.body.params || {} };
+
+    console.log(`[QUERY] Running saved query ${saved.id} ("${saved.name}") for "${req.user.id}"`);
+    const startTime = Date.now();
+    let session = null;
+    let queryId = null;
+    let result = null;
+    let failure = null;
+
+    try {
+        session = await acquireSessionClient(req.user.sessionId, req.user.id, getSessionProfile(req));
+        const { client, profile } = session;
+        queryId = startQuery({ id: req.body.queryId, owner: req.user.id, profile, client, sql: saved.sql });
+
+        const own = ['read', 'dml'].includes(saved.kind) && await transactionStatus(client) === 'idle';
+        if (await transactionStatus(client) !== 'failed') {
+            await client.query(`SET statement_timeout = ${statementTimeoutFor(req.user)}`);
+        }
+        if (!canRunSql(req.user)) {
+            const denied = (await planTableAccess(client, bound.text, bound.values))
+                .filter(table => !canAccessTable(req.user, table.schema, table.name, table.level));
+            if (denied.length > 0) {
+                console.log(`[AUTH] User "${req.user.id}" (${req.user.role}) denied saved query ${saved.id}: no access to ${denied.map(table => `${table.schema}.${table.name}`).join(', ')}`);
+                throw Object.assign(new Error(denied.map(table => `You need ${table.level} access to ${table.schema}.${table.name}`).join('; ')), { status: 403 });
+            }
+        }
+        if (profile.readOnly) {
+            await enforceReadOnly(client);
+        }
+        if (own) await client.query(saved.kind === 'read' ? 'BEGIN READ ONLY' : 'BEGIN');
+        try {
+            result = await runStatement(client, bound.text, QUERY_CONFIG.maxRows, bound.values);
+            if (own) await client.query('COMMIT');
+        } catch (err) {
+            if (own) await client.query('ROLLBACK').catch(() => {});
+            throw err;
+        }
+    } catch (err) {
+        failure = err;
+    } finally {
+        if (queryId) await finishQuery(queryId);
+    }
+
+    const transaction = session
+        ? await releaseSessionClient(session)
+        : getSessionTransaction(req.user.sessionId);
+    const executionTime = Date.now() - startTime;
+
+    if (failure && failure.status) {
+        return res.status(failure.status).json(failure.status === 403
+            ? { error: 'Forbidden', message: failure.message }
+            : { error: failure.message });
+    }
+
+    recordQueryRun(req, {
+        sql: saved.sql,
+        queryId: queryId,
+        command: result ? result.command : undefined,
+        rowCount: result ? result.rowCount : undefined,
+        executionTime: executionTime,
+        success: !failure,
+        ...(failure && { error: failure.message }),
+        ...audit,
+        ...confirmed
+    });
+
+    if (failure) {
+        if (failure.code !== '57014') {
+            console.error('Error running saved query:', failure.message);
+        }
+        return res.status(500).json({
+            error: queryErrorLabel(failure),
+            details: failure.message,
+            code: failure.code,
+            queryId: queryId,
+            executionTime: executionTime,
+            warnings: warnings,
+            transaction: transaction
+        });
+    }
+
+    res.json({
+        message: 'Query executed successfully',
+        queryId: queryId,
+        savedQuery: { id: saved.id, name: saved.name },
+        statements: analysis.statements,
+        warnings: warnings,
+        executionTime: executionTime,
+        transaction: transaction,
+        maxRows: QUERY_CONFIG.maxRows,
+        ...result
+    });
+});
+
+// API Endpoint: Next page of a paged query result
+router.post('/run-query/:cursorId/next', requireSqlAccess, async (req, res) => {
+    try {
+        const page = await fetchPage(req.params.cursorId, req.user.id, {
+            pageSize: req.body.pageSize,
+            queryId: req.body.queryId || null
+        });
+        if (!page) {
+            return res.status(404).json({ error: 'Query result not found; it may have expired or been closed' });
+        }
+        res.json(page);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        console.error('Error fetching query page:', err.message);
+        res.status(500).json({ error: queryErrorLabel(err), details: err.message, code: err.code });
+    }
+});
+
+// API Endpoint: Close a paged query result before it is exhausted
+router.delete('/run-query/:cursorId', requireSqlAccess, async (req, res) => {
+    const closed = await closeCursor(req.params.cursorId, { owner: req.user.id });
+    if (!closed) {
+        return res.status(404).json({ error: 'Query result not found; it may have expired or been closed' });
+    }
+    res.json({ message: 'Query result closed' });
+});
+
+// API Endpoint: Download the complete result of a SELECT, streamed like a table export.
+// Takes JSON or a form post (the console submits a hidden form so the browser saves the file).
+const QUERY_EXPORT_FORMATS = ['csv', 'tsv', 'ndjson', 'jsonl', 'xlsx'];
+router.post('/run-query/export', requireSqlAccess, async (req, res) => {
+    const { query, format = 'csv' } = req.body;
+
+    if (!query) {
+        return res.status(400).json({ error: 'Missing SQL query in request body' });
+    }
+    if (!QUERY_EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported export format "${format}"`, formats: QUERY_EXPORT_FORMATS });
+    }
+    if (!isCursorable(query)) {
+        return res.status(400).json({ error: 'Only a single SELECT, WITH, VALUES or TABLE statement can be downloaded' });
+    }
+
+    const startTime = Date.now();
+    const profile = getSessionProfile(req);
+    let client;
+    let queryId = null;
+    try {
+        client = await acquireClient(profile);
+        queryId = startQuery({ id: req.body.queryId, owner: req.user.id, profile, client, sql: query });
+        const rowCount = await streamExport(res, client, {
+            text: query.trim().replace(/;+\s*$/, ''),
+            format,
+            ref: { schema: null, table: 'query' },
+            fileName: `query-${new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}`,
+            statementTimeout: statementTimeoutFor(req.user)
+        });
+
+        recordRequest(req, {
+            action: 'query',
+            sql: query,
+            queryId: queryId,
+            command: 'SELECT',
+            export: format,
+            rowCount: rowCount,
+            executionTime: Date.now() - startTime,
+            success: rowCount !== null
+        });
+        console.log(`[EXPORT] Query result (${format}): ${rowCount === null ? 'cancelled by client' : `${rowCount} rows`}`);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        recordRequest(req, {
+            action: 'query',
+            sql: query,
+            queryId: queryId,
+            export: format,
+            executionTime: Date.now() - startTime,
+            success: false,
+            error: err.message
+        });
+        if (res.headersSent) {
+            console.error('[EXPORT] Query result failed mid-stream:', err.message);
+            res.destroy(err);
+        } else {
+            res.status(500).json({ error: queryErrorLabel(err), details: err.message, code: err.code });
+        }
+    } finally {
+        if (queryId) await finishQuery(queryId);
+        if (client) client.release();
     }
 });
 
 // API Endpoint: Get database information
 // FIXED: Changed from '/api/database-info' to '/database-info'
 router.get('/database-info', async (req, res) => {
-    const client = getNewClient();
+    let client;
     try {
-        await client.connect();
+        client = await getClient(req);
         
         const infoQuery = `
             SELECT 
@@ -635,32 +2288,49 @@ router.get('/database-info', async (req, res) => {
     } catch (err) {
         handleDatabaseError(err, res, 'Database info error');
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
 // API Endpoint: Health check
 // FIXED: Changed from '/api/health' to '/health'
 router.get('/health', async (req, res) => {
-    const client = getNewClient();
+    const profile = getSessionProfile(req);
+    let client;
     try {
-        await client.connect();
+        client = await getClient(req);
         await client.query('SELECT 1');
+        client.release();
+        client = null;
+
         res.json({ 
             status: 'healthy', 
             timestamp: new Date().toISOString(),
-            database: 'connected'
+            database: 'connected',
+            connection: profile.name,
+            pool: poolHealth(profile)
         });
     } catch (err) {
         res.status(500).json({ 
             status: 'unhealthy', 
             timestamp: new Date().toISOString(),
             database: 'disconnected',
+            connection: profile.name,
+            pool: poolHealth(profile),
             error: err.message
         });
     } finally {
-        await client.end();
+        if (client) client.release();
     }
 });
 
+// Pool statistics plus the configured limits, for /health
+function poolHealth(profile) {
+    return {
+        ...(getPoolStats(profile.name) || { profile: profile.name, total: 0, idle: 0, waiting: 0, max: POOL_CONFIG.max }),
+        idleTimeoutMillis: POOL_CONFIG.idleTimeoutMillis,
+        statementTimeout: POOL_CONFIG.statementTimeout
+    };
+}
+
 module.exports = router;
\ No newline at end of file
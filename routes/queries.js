@@ -0,0 +1,138 @@
+const express = require('express');
+const { canRunSql, canRunSavedQuery, requireSqlAccess } = require('../middleware/permissions');
+const { getRunningQuery, listRunningQueries, cancelQuery } = require('../util/runningQueries');
+const { recordRequest } = require('../util/auditLog');
+const { listHistory, deleteHistory } = require('../util/queryHistory');
+const {
+    listSavedQueries,
+    getSavedQuery,
+    createSavedQuery,
+    updateSavedQuery,
+    deleteSavedQuery
+} = require('../util/savedQueries');
+const router = express.Router();
+
+// SQL console queries: running ones, history and the saved query library.
+// Users without SQL access still run shared saved queries (see
+// POST /run-query/saved/:id), so they too may list, cancel and look back on
+// their own; only SQL users build the library.
+
+// API Endpoint: Running console queries (the caller's own; admins may pass ?all=true)
+router.get('/queries', (req, res) => {
+    const all = req.query.all === 'true' && req.user.role === 'admin';
+    res.json({ queries: listRunningQueries(all ? null : req.user.id) });
+});
+
+// API Endpoint: Cancel a running query (own queries, or any query for admins)
+router.post('/queries/:id/cancel', async (req, res) => {
+    const entry = getRunningQuery(req.params.id, req.user);
+    if (!entry) {
+        return res.status(404).json({ error: 'Query not found; it may already have finished' });
+    }
+
+    try {
+        const cancelled = await cancelQuery(entry);
+        recordRequest(req, {
+            action: 'query_cancel',
+            target: entry.id,
+            owner: entry.owner,
+            sql: entry.sql,
+            success: cancelled
+        });
+
+        if (!cancelled) {
+            return res.status(409).json({ error: 'The query finished before it could be cancelled' });
+        }
+        console.log(`[QUERY] User "${req.user.id}" cancelled query ${entry.id} of "${entry.owner}"`);
+        res.json({ message: 'Cancel requested', queryId: entry.id });
+    } catch (err) {
+        console.error(`[QUERY] Error cancelling query ${entry.id}:`, err.message);
+        res.status(500).json({ error: 'Failed to cancel query', details: err.message });
+    }
+});
+
+// API Endpoint: The caller's query history, newest first
+// (?search= in the SQL, ?status=success|error, ?limit=, ?offset=)
+router.get('/queries/history', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const status = ['success', 'error'].includes(req.query.status) ? req.query.status : null;
+
+    res.json(listHistory(req.user.id, { search: req.query.search, status, limit, offset }));
+});
+
+// API Endpoint: Clear the caller's query history
+router.delete('/queries/history', (req, res) => {
+    const deleted = deleteHistory(req.user.id);
+    console.log(`[QUERY] User "${req.user.id}" cleared their query history (${deleted} entries)`);
+    res.json({ message: 'Query history cleared', deleted });
+});
+
+// API Endpoint: Remove one entry from the caller's query history
+router.delete('/queries/history/:id', (req, res) => {
+    if (deleteHistory(req.user.id, req.params.id) === 0) {
+        return res.status(404).json({ error: 'History entry not found' });
+    }
+    res.json({ message: 'History entry deleted' });
+});
+
+// API Endpoint: Saved queries the caller can see: their own and shared ones
+// (?tag=, ?search=). Users without SQL access only get those they may run.
+router.get('/queries/saved', (req, res) => {
+    const queries = listSavedQueries(req.user, { tag: req.query.tag, search: req.query.search })
+        .map(query => ({ ...query, runnable: canRunSavedQuery(req.user, query.kind) }))
+        .filter(query => query.runnable || canRunSql(req.user));
+    const tags = Array.from(new Set(queries.flatMap(query => query.tags))).sort();
+    res.json({ queries, tags });
+});
+
+// API Endpoint: One saved query
+router.get('/queries/saved/:id', (req, res) => {
+    const query = getSavedQuery(req.params.id, req.user);
+    if (!query || !(canRunSql(req.user) || canRunSavedQuery(req.user, query.kind))) {
+        return res.status(404).json({ error: 'Saved query not found' });
+    }
+    res.json({ query: { ...query, runnable: canRunSavedQuery(req.user, query.kind) } });
+});
+
+// API Endpoint: Save a query ({ name, sql, description, tags, parameters, shared });
+// parameters are declarations like ":customer_id int" (see util/queryParameters)
+router.post('/queries/saved', requireSqlAccess, (req, res) => {
+    try {
+        const query = createSavedQuery(req.user, req.body);
+        console.log(`[QUERY] User "${req.user.id}" saved query "${query.name}" (${query.id}${query.shared ? ', shared' : ''})`);
+        res.status(201).json({ message: 'Query saved', query });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Update a saved query (the owner, or an admin for shared queries)
+router.put('/queries/saved/:id', requireSqlAccess, (req, res) => {
+    try {
+        const query = updateSavedQuery(req.params.id, req.user, req.body);
+        if (!query) {
+            return res.status(404).json({ error: 'Saved query not found' });
+        }
+        console.log(`[QUERY] User "${req.user.id}" updated saved query "${query.name}" (${query.id}) of "${query.owner}"`);
+        res.json({ message: 'Saved query updated', query });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Delete a saved query (the owner, or an admin for shared queries)
+router.delete('/queries/saved/:id', requireSqlAccess, (req, res) => {
+    try {
+        const query = deleteSavedQuery(req.params.id, req.user);
+        if (!query) {
+            return res.status(404).json({ error: 'Saved query not found' });
+        }
+        console.log(`[QUERY] User "${req.user.id}" deleted saved query "${query.name}" (${query.id}) of "${query.owner}"`);
+        res.json({ message: 'Saved query deleted' });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { SCOPES, listTokens, getToken, createToken, revokeToken } = require('../util/apiTokens');
+const { getUser } = require('../util/users');
+const { getSettings } = require('../util/settings');
+const { requireSession } = require('../middleware/auth');
+const router = express.Router();
+
+// Tokens are managed from a logged-in browser session; a token can't mint or revoke tokens
+router.use(['/account/tokens', '/tokens'], requireSession);
+
+// Account page: personal access tokens
+router.get('/account/tokens', (req, res) => {
+    res.render('account/tokens', {
+        currentUser: req.user,
+        scopes: SCOPES
+    });
+});
+
+// API Endpoint: List the caller's tokens (admins may pass ?all=true)
+router.get('/tokens', (req, res) => {
+    const all = req.query.all === 'true' && req.user.role === 'admin';
+    res.json({ tokens: listTokens(all ? null : req.user.id), scopes: SCOPES });
+});
+
+// API Endpoint: Create a token; the secret is only returned here. Token
+// requests skip the second factor, so while it is required only enrolled
+// users may create them.
+router.post('/tokens', (req, res) => {
+    const { name, scope, expiresInDays } = req.body;
+
+    if (getSettings().requireTotp && !getUser(req.user.id)?.totp?.enabled) {
+        return res.status(403).json({ error: 'Set up two-factor authentication before creating API tokens' });
+    }
+
+    try {
+        const { token, record } = createToken(req.user.id, { name, scope, expiresInDays });
+        console.log(`[TOKENS] User "${req.user.id}" created ${record.scope} token "${record.name}" (${record.id})`);
+        res.status(201).json({ message: 'Token created successfully', token, record });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API Endpoint: Revoke a token (own tokens, or any token for admins)
+router.delete('/tokens/:id', (req, res) => {
+    const existing = getToken(req.params.id);
+
+    if (!existing || (existing.username !== req.user.id && req.user.role !== 'admin')) {
+        return res.status(404).json({ error: 'Token not found' });
+    }
+
+    const record = revokeToken(existing.id);
+    console.log(`[TOKENS] User "${req.user.id}" revoked token "${record.name}" (${record.id}) of "${record.username}"`);
+    res.json({ message: 'Token revoked', record });
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QUERY_CONFIG, openCursor, fetchPage, closeCursor, closeAllCursors } = require('../util/queryCursors');
+
+// Enough of a pg Client for a cursor: every FETCH returns a full page
+function fakeClient({ failOn } = {}) {
+    return {
+        queries: [],
+        released: null,
+        async query(sql) {
+            this.queries.push(sql);
+            if (sql === failOn) throw new Error(`${sql} failed`);
+            const fetch = /^FETCH (\d+)/.exec(sql);
+            const rows = fetch ? Array.from({ length: Number(fetch[1]) }, (_, i) => ({ n: i })) : [];
+            return { rows, fields: [] };
+        },
+        release(err) {
+            this.released = err || true;
+        }
+    };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test.afterEach(() => closeAllCursors());
+
+test('closing a cursor commits it and resets the session', async () => {
+    const client = fakeClient();
+    const page = await openCursor(client, 'admin', 'SELECT 1', { pageSize: 10 });
+    assert.ok(page.cursorId);
+
+    assert.strictEqual(await closeCursor(page.cursorId, { owner: 'someone else' }), false);
+    assert.strictEqual(await closeCursor(page.cursorId, { owner: 'admin' }), true);
+    assert.deepStrictEqual(client.queries.slice(-2), ['COMMIT', 'DISCARD ALL']);
+    assert.ok(!client.queries.includes('ROLLBACK'));
+    assert.strictEqual(client.released, true);
+});
+
+test('an exhausted cursor is committed', async () => {
+    const client = fakeClient();
+    const saved = { ...QUERY_CONFIG };
+    Object.assign(QUERY_CONFIG, { maxRows: 10 });
+    try {
+        const page = await openCursor(client, 'admin', 'SELECT 1', { pageSize: 10 });
+        assert.strictEqual(page.cursorId, null);
+        assert.deepStrictEqual(client.queries.slice(-2), ['COMMIT', 'DISCARD ALL']);
+    } finally {
+        Object.assign(QUERY_CONFIG, saved);
+    }
+});
+
+test('a cursor whose fetch fails is rolled back', async () => {
+    const client = fakeClient();
+    const page = await openCursor(client, 'admin', 'SELECT 1', { pageSize: 10 });
+    client.query = async function (sql) {
+        this.queries.push(sql);
+        if (sql.startsWith('FETCH')) throw new Error('division by zero');
+        return { rows: [], fields: [] };
+    };
+
+    await assert.rejects(fetchPage(page.cursorId, 'admin', { pageSize: 10 }), /division by zero/);
+    assert.deepStrictEqual(client.queries.slice(-2), ['ROLLBACK', 'DISCARD ALL']);
+    assert.ok(!client.queries.includes('COMMIT'));
+    assert.strictEqual(client.released, true);
+});
+
+test('a connection that cannot be reset is not reused', async () => {
+    const client = fakeClient({ failOn: 'DISCARD ALL' });
+    const page = await openCursor(client, 'admin', 'SELECT 1', { pageSize: 10 });
+
+    await closeCursor(page.cursorId);
+    assert.ok(client.released instanceof Error);
+});
+
+test('past the global cap the least recently read cursor is closed', async () => {
+    const saved = { ...QUERY_CONFIG };
+    Object.assign(QUERY_CONFIG, { maxOpen: 2, maxOpenPerUser: 3 });
+    try {
+        const first = fakeClient();
+        const second = fakeClient();
+        const third = fakeClient();
+        const a = await openCursor(first, 'alice', 'SELECT 1', { pageSize: 10 });
+        await tick();
+        const b = await openCursor(second, 'bob', 'SELECT 1', { pageSize: 10 });
+        await tick();
+        await fetchPage(a.cursorId, 'alice', { pageSize: 10 });
+        await tick();
+        await openCursor(third, 'carol', 'SELECT 1', { pageSize: 10 });
+
+        assert.strictEqual(second.released, true);
+        assert.strictEqual(await fetchPage(b.cursorId, 'bob'), null);
+        assert.strictEqual(first.released, null);
+        assert.strictEqual(third.released, null);
+    } finally {
+        Object.assign(QUERY_CONFIG, saved);
+    }
+});
+
+test('a user past their own cap loses their least recently read cursor', async () => {
+    const saved = { ...QUERY_CONFIG };
+    Object.assign(QUERY_CONFIG, { maxOpen: 10, maxOpenPerUser: 2 });
+    try {
+        const clients = [fakeClient(), fakeClient(), fakeClient()];
+        const other = fakeClient();
+        await openCursor(other, 'bob', 'SELECT 1', { pageSize: 10 });
+        for (const client of clients) {
+            await openCursor(client, 'alice', 'SELECT 1', { pageSize: 10 });
+            await tick();
+        }
+
+        assert.deepStrictEqual(clients.map(client => client.released), [true, null, null]);
+        assert.strictEqual(other.released, null);
+    } finally {
+        Object.assign(QUERY_CONFIG, saved);
+    }
+});
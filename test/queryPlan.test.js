@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { planTableAccess } = require('../util/queryPlan');
+const { canAccessTable } = require('../middleware/permissions');
+
+// Enough of a pg Client for planTableAccess: a canned plan for EXPLAIN and a
+// catalog of relations for to_regclass()
+function fakeClient(plan, relations) {
+    return {
+        candidates: null,
+        async query(sql, values) {
+            if (sql.startsWith('EXPLAIN')) {
+                return { rows: [{ 'QUERY PLAN': [{ Plan: plan }] }] };
+            }
+            this.candidates = values[0];
+            const rows = values[0].filter(name => relations[name]).map(name => relations[name]);
+            return { rows: Array.from(new Map(rows.map(row => [`${row.schema}.${row.name}`, row])).values()) };
+        }
+    };
+}
+
+// Shut out of both schemas except for one view
+const viewer = { id: 'vic', role: 'viewer', grants: { sales: 'none', reports: 'none', 'reports.sales_summary': 'read' } };
+
+test('a grant on a view covers the tables under it', async () => {
+    // The plan only shows the view's base table
+    const plan = { 'Node Type': 'Seq Scan', 'Relation Name': 'orders', Schema: 'sales' };
+    const client = fakeClient(plan, { '"reports"."sales_summary"': { schema: 'reports', name: 'sales_summary' } });
+
+    const access = await planTableAccess(client, 'SELECT region, total FROM reports.sales_summary WHERE region = $1', ['north']);
+    assert.deepStrictEqual(access, [{ schema: 'reports', name: 'sales_summary', level: 'read' }]);
+    assert.ok(access.every(table => canAccessTable(viewer, table.schema, table.name, table.level)));
+    assert.ok(!canAccessTable(viewer, 'sales', 'orders', 'read'));
+});
+
+test('tables named directly are checked, view or not', async () => {
+    const plan = { 'Node Type': 'Hash Join', Plans: [] };
+    const client = fakeClient(plan, {
+        '"reports"."sales_summary"': { schema: 'reports', name: 'sales_summary' },
+        '"sales"."orders"': { schema: 'sales', name: 'orders' }
+    });
+
+    const access = await planTableAccess(client, 'SELECT * FROM reports.sales_summary s JOIN "sales".orders o USING (region)');
+    assert.deepStrictEqual(access.map(table => `${table.schema}.${table.name}`).sort(), ['reports.sales_summary', 'sales.orders']);
+    assert.ok(!access.every(table => canAccessTable(viewer, table.schema, table.name, table.level)));
+});
+
+test('modified tables need write access; function names are not candidates', async () => {
+    const plan = {
+        'Node Type': 'ModifyTable',
+        'Relation Name': 'orders',
+        Schema: 'sales',
+        Plans: [{ 'Node Type': 'Seq Scan', 'Relation Name': 'orders', Schema: 'sales' }]
+    };
+    const client = fakeClient(plan, { '"orders"': { schema: 'sales', name: 'orders' } });
+
+    const access = await planTableAccess(client, 'UPDATE orders SET total = round(total) WHERE id = $1', [1]);
+    assert.deepStrictEqual(access, [{ schema: 'sales', name: 'orders', level: 'write' }]);
+    assert.ok(!client.candidates.includes('"round"'));
+    assert.ok(client.candidates.includes('"orders"'));
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRowKey, splitRowKeys, keyCondition } = require('../util/rowIdentity');
+
+const single = { kind: 'primary_key', columns: ['id'], index: 'items_pkey', warning: null, keyField: '__row_key' };
+const composite = { kind: 'primary_key', columns: ['order_id', 'line'], index: 'lines_pkey', warning: null, keyField: '__row_key' };
+const ctid = { kind: 'ctid', columns: ['ctid'], index: null, warning: 'ctid', keyField: '__row_key' };
+
+test('parseRowKey reads key objects', () => {
+    assert.deepStrictEqual(parseRowKey(single, '{"id":7}'), { id: '7' });
+    assert.deepStrictEqual(parseRowKey(composite, '{"line":2,"order_id":"7"}'), { order_id: '7', line: '2' });
+    assert.deepStrictEqual(parseRowKey(ctid, '{"ctid":"(0,3)"}'), { ctid: '(0,3)' });
+});
+
+test('parseRowKey takes anything that is not a JSON object as a bare value', () => {
+    assert.deepStrictEqual(parseRowKey(single, '42'), { id: '42' });
+    assert.deepStrictEqual(parseRowKey(single, '{draft}'), { id: '{draft}' });
+    assert.deepStrictEqual(parseRowKey(single, '{1,2}'), { id: '{1,2}' });
+    assert.deepStrictEqual(parseRowKey(ctid, '(0,3)'), { ctid: '(0,3)' });
+});
+
+test('parseRowKey rejects keys that do not match the identity', () => {
+    const cases = [
+        [composite, '7'],
+        [composite, '{draft}'],
+        [composite, '{"order_id":"7"}'],
+        [single, '{"id":7,"extra":1}'],
+        [single, '{"id":null}'],
+        [single, '{"id":{"nested":1}}'],
+        [ctid, '{"ctid":"0,3"}'],
+        [ctid, '(0,3); DELETE FROM t'],
+        [{ kind: 'none', columns: [], index: null, warning: 'no key', keyField: '__row_key' }, '1']
+    ];
+    for (const [identity, raw] of cases) {
+        assert.throws(() => parseRowKey(identity, raw), error => error.status === 400, raw);
+    }
+});
+
+test('splitRowKeys strips the identity\'s key field only', () => {
+    const identity = { ...single, keyField: '___row_key' };
+    const { rows, keys } = splitRowKeys(identity, [
+        { id: 1, __row_key: 'a column', ___row_key: { id: '1' } },
+        { id: 2, __row_key: null }
+    ]);
+    assert.deepStrictEqual(rows, [{ id: 1, __row_key: 'a column' }, { id: 2, __row_key: null }]);
+    assert.deepStrictEqual(keys, [{ id: '1' }, null]);
+});
+
+test('keyCondition numbers placeholders from startIndex', () => {
+    assert.deepStrictEqual(keyCondition(composite, { order_id: '7', line: '2' }, 3), {
+        condition: '"order_id" = $3 AND "line" = $4',
+        values: ['7', '2']
+    });
+    assert.deepStrictEqual(keyCondition(ctid, { ctid: '(0,3)' }), { condition: 'ctid = $1::tid', values: ['(0,3)'] });
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const {
+    TRANSACTION_CONFIG,
+    transactionStatus,
+    getSessionTransaction,
+    releaseSessionClient,
+    closeAllSessionTransactions
+} = require('../util/sessionTransactions');
+
+// Enough of a pg Client for the session code: the last ReadyForQuery status,
+// the queries it ran and how it was released
+function fakeClient(status = 'T') {
+    const client = {
+        pgmTransactionStatus: status,
+        readyForQuery: true,
+        queryQueue: [],
+        connection: new EventEmitter(),
+        queries: [],
+        released: null,
+        async query(sql) {
+            this.queries.push(sql);
+            if (sql === 'ROLLBACK') this.pgmTransactionStatus = 'I';
+            return { rows: [] };
+        },
+        release(err) {
+            this.released = err || true;
+        }
+    };
+    return client;
+}
+
+function session(key, client) {
+    return { key, owner: 'admin', profile: { name: 'default' }, client, entry: null };
+}
+
+test.after(() => closeAllSessionTransactions());
+
+test('an idle client is reset with DISCARD ALL and released', async () => {
+    const client = fakeClient('I');
+    assert.deepStrictEqual(await releaseSessionClient(session('s1', client)), { open: false });
+    assert.deepStrictEqual(client.queries, ['DISCARD ALL']);
+    assert.strictEqual(client.released, true);
+});
+
+test('an open transaction is pinned to the session', async () => {
+    const client = fakeClient('T');
+    const state = await releaseSessionClient(session('s2', client));
+    assert.strictEqual(state.open, true);
+    assert.strictEqual(client.released, null);
+    assert.strictEqual(getSessionTransaction('s2').open, true);
+});
+
+test('a second transaction of the same session is rolled back, not orphaned', async () => {
+    const first = fakeClient('T');
+    const second = fakeClient('T');
+    await releaseSessionClient(session('s3', first));
+    const state = await releaseSessionClient(session('s3', second));
+
+    assert.strictEqual(state.rolledBack, true);
+    assert.deepStrictEqual(second.queries, ['ROLLBACK', 'DISCARD ALL']);
+    assert.strictEqual(second.released, true);
+    // The first one stays pinned
+    assert.strictEqual(first.released, null);
+    assert.strictEqual(getSessionTransaction('s3').open, true);
+});
+
+test('without a session an open transaction is rolled back', async () => {
+    const client = fakeClient('T');
+    assert.deepStrictEqual(await releaseSessionClient(session(null, client)), { open: false, rolledBack: true });
+    assert.deepStrictEqual(client.queries, ['ROLLBACK', 'DISCARD ALL']);
+});
+
+test('transactionStatus does not wait on a closed connection', async () => {
+    const client = fakeClient('T');
+    client.readyForQuery = false;
+    client._queryable = false;
+    assert.strictEqual(await transactionStatus(client), 'idle');
+});
+
+test('transactionStatus gives up waiting for ReadyForQuery after readyTimeout', async () => {
+    const saved = TRANSACTION_CONFIG.readyTimeout;
+    TRANSACTION_CONFIG.readyTimeout = 20;
+    try {
+        const client = fakeClient('E');
+        client.readyForQuery = false;
+        assert.strictEqual(await transactionStatus(client), 'failed');
+        assert.strictEqual(client.connection.listenerCount('readyForQuery'), 0);
+    } finally {
+        TRANSACTION_CONFIG.readyTimeout = saved;
+    }
+});
+
+test('transactionStatus waits for ReadyForQuery after a failed statement', async () => {
+    const client = fakeClient('T');
+    client.readyForQuery = false;
+    setTimeout(() => {
+        client.pgmTransactionStatus = 'E';
+        client.connection.emit('readyForQuery', { status: 'E' });
+    }, 5);
+    assert.strictEqual(await transactionStatus(client), 'failed');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeSql, createConfirmationToken, isValidConfirmation } = require('../util/sqlAnalyzer');
+
+function kinds(sql) {
+    return analyzeSql(sql).statements.map(statement => statement.kind);
+}
+
+function riskCodes(sql) {
+    return analyzeSql(sql).risks.map(risk => risk.code);
+}
+
+test('statements are classified by what they do', () => {
+    assert.deepStrictEqual(kinds('SELECT 1; INSERT INTO t VALUES (1); CREATE TABLE x (a int); VACUUM; BEGIN; COMMIT'),
+        ['read', 'dml', 'ddl', 'admin', 'transaction', 'transaction']);
+    assert.deepStrictEqual(kinds('CREATE ROLE r'), ['admin']);
+});
+
+test('UPDATE and DELETE without a WHERE clause are dangerous', () => {
+    assert.deepStrictEqual(riskCodes('DELETE FROM accounts'), ['unbounded_delete']);
+    assert.ok(analyzeSql('UPDATE accounts SET a = 1').dangerous);
+    assert.ok(!analyzeSql('DELETE FROM accounts WHERE id = 1').dangerous);
+    // A WHERE in a subquery doesn't bound the statement around it
+    assert.ok(analyzeSql('DELETE FROM accounts USING (SELECT 1 WHERE true) s').dangerous);
+});
+
+test('keywords in strings, comments and identifiers are ignored', () => {
+    assert.ok(!analyzeSql("SELECT 'DELETE FROM accounts' AS updated -- DROP TABLE x").dangerous);
+});
+
+test('TRUNCATE, DROP and ALTER are dangerous', () => {
+    assert.ok(analyzeSql('TRUNCATE accounts').dangerous);
+    assert.ok(analyzeSql('DROP TABLE accounts').dangerous);
+    assert.ok(analyzeSql('ALTER TABLE accounts ADD COLUMN a int').dangerous);
+});
+
+test('modifying statements inside WITH are analyzed', () => {
+    assert.ok(analyzeSql('WITH gone AS (DELETE FROM accounts RETURNING *) SELECT * FROM gone').dangerous);
+});
+
+test('"begin atomic" in a SELECT does not hide the statements after it', () => {
+    const analysis = analyzeSql('SELECT x.begin atomic FROM (SELECT 1 AS begin) x; DELETE FROM accounts; SELECT 1 AS end');
+    assert.deepStrictEqual(analysis.statements.map(statement => statement.kind), ['read', 'dml', 'read']);
+    assert.deepStrictEqual(analysis.risks.map(risk => risk.code), ['unbounded_delete']);
+    assert.strictEqual(analysis.dangerous, true);
+});
+
+test('a function body is one DDL statement', () => {
+    const analysis = analyzeSql('CREATE FUNCTION f() RETURNS int LANGUAGE sql BEGIN ATOMIC DELETE FROM t; SELECT 1; END; SELECT 2');
+    assert.deepStrictEqual(analysis.statements.map(statement => statement.kind), ['ddl', 'read']);
+});
+
+test('confirmation tokens are bound to the owner and the SQL text', () => {
+    const token = createConfirmationToken('admin', 'DROP TABLE t');
+    assert.ok(isValidConfirmation(token, 'admin', 'DROP TABLE t'));
+    assert.ok(!isValidConfirmation(token, 'other', 'DROP TABLE t'));
+    assert.ok(!isValidConfirmation(token, 'admin', 'DROP TABLE u'));
+    assert.ok(!isValidConfirmation('garbage', 'admin', 'DROP TABLE t'));
+});
+
+test('confirmation tokens verify after a reload with the same DB_AUTH_SECRET', () => {
+    const modulePath = require.resolve('../util/sqlAnalyzer');
+    const saved = process.env.DB_AUTH_SECRET;
+    const load = secret => {
+        process.env.DB_AUTH_SECRET = secret;
+        delete require.cache[modulePath];
+        return require('../util/sqlAnalyzer');
+    };
+    try {
+        const token = load('shared secret').createConfirmationToken('admin', 'DROP TABLE t');
+        assert.ok(load('shared secret').isValidConfirmation(token, 'admin', 'DROP TABLE t'));
+        assert.ok(!load('another secret').isValidConfirmation(token, 'admin', 'DROP TABLE t'));
+    } finally {
+        if (saved === undefined) delete process.env.DB_AUTH_SECRET;
+        else process.env.DB_AUTH_SECRET = saved;
+        delete require.cache[modulePath];
+    }
+});
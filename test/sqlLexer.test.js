@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, splitTokens } = require('../util/sqlLexer');
+const { splitStatements } = require('../util/sqlScript');
+
+function statements(sql) {
+    return splitStatements(sql).map(statement => statement.sql);
+}
+
+test('tokenize keeps strings, quoted identifiers and dollar bodies whole', () => {
+    const tokens = tokenize(`SELECT 'a;b', "x;""y", $tag$ ; $tag$, E'\\';' -- ; comment\n/* ; /* nested */ */ FROM t`);
+    assert.deepStrictEqual(tokens.map(token => token.type), ['word', 'string', 'punct', 'ident', 'punct', 'string', 'punct', 'string', 'word', 'word']);
+    assert.strictEqual(tokens[3].name, 'x;"y');
+    assert.strictEqual(tokens[9].line, 2);
+});
+
+test('splitTokens splits on top-level semicolons only', () => {
+    assert.deepStrictEqual(statements("SELECT ';'; SELECT 2;; -- trailing ;\n"), ["SELECT ';'", 'SELECT 2']);
+});
+
+test('a BEGIN ATOMIC body keeps its semicolons', () => {
+    const body = 'CREATE OR REPLACE FUNCTION f(a int) RETURNS int LANGUAGE sql BEGIN ATOMIC ' +
+        'SELECT CASE WHEN a > 0 THEN 1 ELSE 2 END; SELECT 3; END';
+    assert.deepStrictEqual(statements(`${body}; DELETE FROM t`), [body, 'DELETE FROM t']);
+    const procedure = 'CREATE PROCEDURE p() BEGIN ATOMIC INSERT INTO t VALUES (1); END';
+    assert.deepStrictEqual(statements(`${procedure}; SELECT 1`), [procedure, 'SELECT 1']);
+});
+
+test('"begin atomic" outside a routine header does not open a body', () => {
+    assert.deepStrictEqual(
+        statements('SELECT x.begin atomic FROM (SELECT 1 AS begin) x; DELETE FROM accounts; SELECT 1 AS end'),
+        ['SELECT x.begin atomic FROM (SELECT 1 AS begin) x', 'DELETE FROM accounts', 'SELECT 1 AS end']
+    );
+    assert.deepStrictEqual(statements('SELECT 1 AS begin, 2 atomic; COMMIT'), ['SELECT 1 AS begin, 2 atomic', 'COMMIT']);
+    assert.strictEqual(splitTokens(tokenize('CREATE TABLE t (begin int, atomic int); DROP TABLE t')).length, 2);
+});
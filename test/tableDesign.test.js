@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeType, buildCreateTable, buildAlterTable } = require('../util/tableDesign');
+const { parseTableRef } = require('../util/sql');
+
+const ref = parseTableRef('items', 'public');
+
+test('normalizeType spells types the way format_type() does', () => {
+    assert.strictEqual(normalizeType('varchar(20)'), 'character varying(20)');
+    assert.strictEqual(normalizeType(' Numeric( 10 , 2 ) [ ] '), 'numeric(10,2)[]');
+    assert.strictEqual(normalizeType('timestamptz'), 'timestamp with time zone');
+    assert.strictEqual(normalizeType('timestamp'), 'timestamp without time zone');
+    assert.strictEqual(normalizeType('int'), 'integer');
+    assert.strictEqual(normalizeType('app.mood'), 'app.mood');
+});
+
+test('normalizeType keeps quoted names as written', () => {
+    assert.strictEqual(normalizeType('"char"'), '"char"');
+    assert.strictEqual(normalizeType('"Status"'), '"Status"');
+    assert.strictEqual(normalizeType('public."Mood"[]'), 'public."Mood"[]');
+    assert.strictEqual(normalizeType('"My Schema" . "Mood"'), '"My Schema"."Mood"');
+    assert.strictEqual(normalizeType('"a""b"'), '"a""b"');
+});
+
+test('normalizeType rejects anything but a type name', () => {
+    for (const type of ['', 'int; drop table x', 'int)', '"unterminated', '""', '"a"; drop table x', '"a" with time zone', 'text default 1']) {
+        assert.strictEqual(normalizeType(type), null, type);
+    }
+});
+
+test('buildCreateTable writes columns and the primary key', () => {
+    assert.deepStrictEqual(buildCreateTable(ref, [
+        { name: 'id', type: 'int', primaryKey: true },
+        { name: 'status', type: '"Status"', nullable: false, default: "'new'" }
+    ]), ['CREATE TABLE "public"."items" (\n    "id" integer NOT NULL,\n    "status" "Status" NOT NULL DEFAULT \'new\',\n    PRIMARY KEY ("id")\n)']);
+});
+
+test('buildAlterTable leaves untouched columns alone whatever their type', () => {
+    const current = {
+        columns: [
+            { name: 'id', type: 'integer', nullable: false, default: null },
+            { name: 'flag', type: '"char"', nullable: true, default: null },
+            { name: 'mood', type: '"My Schema"."Mood"', nullable: true, default: null }
+        ],
+        primaryKey: { name: 'items_pkey', columns: ['id'] }
+    };
+    const design = current.columns.map(column => ({ ...column, originalName: column.name, primaryKey: column.name === 'id' }));
+    assert.deepStrictEqual(buildAlterTable(ref, current, design), []);
+    assert.deepStrictEqual(buildAlterTable(ref, current, [...design, { name: 'note', type: 'text' }]),
+        ['ALTER TABLE "public"."items" ADD COLUMN "note" text']);
+    assert.deepStrictEqual(buildAlterTable(ref, current, design.map(column => column.name === 'flag' ? { ...column, type: 'text' } : column)),
+        ['ALTER TABLE "public"."items" ALTER COLUMN "flag" TYPE text USING "flag"::text']);
+});
+
+test('buildAlterTable rejects invalid designs with 400', () => {
+    const current = { columns: [{ name: 'id', type: 'integer', nullable: false, default: null }], primaryKey: null };
+    assert.throws(() => buildAlterTable(ref, current, [{ name: 'id', originalName: 'id', type: 'int; drop' }]), { status: 400 });
+    assert.throws(() => buildAlterTable(ref, current, [{ name: 'x', originalName: 'nope', type: 'int' }]), /does not exist/);
+});
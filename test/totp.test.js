@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateTotp, verifyTotp } = require('../util/totp');
+
+// RFC 6238 appendix B SHA-1 seed "12345678901234567890", base32 encoded.
+// The RFC lists 8-digit codes; 6-digit codes are their last six digits.
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+];
+
+test('generateTotp matches the RFC 6238 test vectors', () => {
+    for (const [seconds, code] of VECTORS) {
+        assert.strictEqual(generateTotp(SECRET, seconds * 1000), code, `T=${seconds}`);
+    }
+});
+
+test('verifyTotp returns the matching step and allows one step of drift', () => {
+    const time = 1111111111 * 1000;
+    const step = Math.floor(1111111111 / 30);
+
+    assert.strictEqual(verifyTotp(SECRET, '050471', { time }), step);
+    assert.strictEqual(verifyTotp(SECRET, ' 050 471 ', { time }), step);
+    assert.strictEqual(verifyTotp(SECRET, '050471', { time: time + 30 * 1000 }), step);
+    assert.strictEqual(verifyTotp(SECRET, '050471', { time: time + 60 * 1000 }), null);
+});
+
+test('verifyTotp refuses replayed steps and malformed codes', () => {
+    const time = 1111111111 * 1000;
+    const step = Math.floor(1111111111 / 30);
+
+    assert.strictEqual(verifyTotp(SECRET, '050471', { time, afterStep: step }), null);
+    for (const code of ['', '05047', '0504711', 'abcdef', null]) {
+        assert.strictEqual(verifyTotp(SECRET, code, { time }), null, String(code));
+    }
+});
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+// Personal access tokens (DATA_DIR/tokens.json). Only a SHA-256 of each token
+// is stored; the token itself is shown once, when it is created.
+const store = createJsonStore(process.env.DB_TOKENS_FILE || 'tokens.json', { tokens: [] });
+
+const SCOPES = ['read', 'write'];
+const TOKEN_PREFIX = 'pgm';
+const MAX_TOKEN_NAME_LENGTH = 100;
+
+// lastUsedAt is written at most this often per token
+const LAST_USED_WRITE_INTERVAL = 60 * 1000;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicToken(record) {
+    return {
+        id: record.id,
+        username: record.username,
+        name: record.name,
+        scope: record.scope,
+        hint: record.hint,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt,
+        lastUsedAt: record.lastUsedAt || null,
+        lastUsedIp: record.lastUsedIp || null,
+        revokedAt: record.revokedAt || null,
+        expired: isExpired(record)
+    };
+}
+
+function isExpired(record) {
+    return !!record.expiresAt && Date.parse(record.expiresAt) <= Date.now();
+}
+
+// All tokens, or only one user's
+function listTokens(username) {
+    return store.read().tokens
+        .filter(record => !username || record.username === username)
+        .map(publicToken);
+}
+
+function getToken(id) {
+    const record = store.read().tokens.find(t => t.id === id);
+    return record ? publicToken(record) : null;
+}
+
+// Returns { token, record }; the plain token is never stored
+function createToken(username, { name, scope = 'read', expiresInDays }) {
+    if (!name || typeof name !== 'string' || name.length > MAX_TOKEN_NAME_LENGTH) {
+        throw new Error(`Token name is required (max ${MAX_TOKEN_NAME_LENGTH} characters)`);
+    }
+    if (!SCOPES.includes(scope)) {
+        throw new Error(`Scope must be one of: ${SCOPES.join(', ')}`);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+        const days = Number(expiresInDays);
+        if (!Number.isInteger(days) || days < 1 || days > 3650) {
+            throw new Error('Expiry must be a whole number of days between 1 and 3650');
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const token = `${TOKEN_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const record = store.update(data => {
+        const record = {
+            id,
+            username,
+            name: name.trim(),
+            scope,
+            tokenHash: hashToken(token),
+            hint: token.slice(-4),
+            createdAt: new Date().toISOString(),
+            expiresAt
+        };
+        data.tokens.push(record);
+        return publicToken(record);
+    });
+
+    return { token, record };
+}
+
+// Revoked tokens are kept (marked) so the UI can still show when they were last used
+function revokeToken(id) {
+    return store.update(data => {
+        const record = data.tokens.find(t => t.id === id);
+        if (!record) {
+            return null;
+        }
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+        }
+        return publicToken(record);
+    });
+}
+
+// Resolve a bearer token to its record; null when unknown, revoked or expired
+function authenticateToken(token, ip) {
+    const match = /^pgm_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(token || '');
+    if (!match) {
+        return null;
+    }
+
+    const record = store.read().tokens.find(t => t.id === match[1]);
+    if (!record || record.revokedAt || isExpired(record)) {
+        return null;
+    }
+
+    const expected = Buffer.from(record.tokenHash, 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_WRITE_INTERVAL) {
+        store.update(data => {
+            const stored = data.tokens.find(t => t.id === record.id);
+            if (stored) {
+                stored.lastUsedAt = new Date().toISOString();
+                stored.lastUsedIp = ip || null;
+            }
+        });
+    }
+
+    return publicToken(record);
+}
+
+module.exports = {
+    SCOPES,
+    listTokens,
+    getToken,
+    createToken,
+    revokeToken,
+    authenticateToken
+};
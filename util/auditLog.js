@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { DATA_DIR } = require('./jsonStore');
+
+// Append-only audit trail, one JSON object per line. Every entry carries the
+// hash of the previous one, so editing or dropping a line breaks the chain.
+// The chain head lives in this process: one instance must own the file.
+// Replicas sharing DATA_DIR fork the chain, so give each its own
+// DB_AUDIT_FILE; verify() then checks one instance's log at a time.
+const AUDIT_FILE = process.env.DB_AUDIT_FILE
+    ? path.resolve(process.env.DB_AUDIT_FILE)
+    : path.join(DATA_DIR, 'audit.log');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+let lastHash = null;
+let lastSeq = 0;
+
+function hashEntry(entry) {
+    const { hash, ...body } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+// Pick up the chain head from the end of an existing log
+function loadChainHead() {
+    lastHash = GENESIS_HASH;
+    lastSeq = 0;
+
+    if (!fs.existsSync(AUDIT_FILE)) {
+        return;
+    }
+
+    const size = fs.statSync(AUDIT_FILE).size;
+    if (size === 0) {
+        return;
+    }
+
+    // The last entry is always within the final chunk (entries are far smaller)
+    const chunkSize = Math.min(size, 1024 * 1024);
+    const buffer = Buffer.alloc(chunkSize);
+    const fd = fs.openSync(AUDIT_FILE, 'r');
+    try {
+        fs.readSync(fd, buffer, 0, chunkSize, size - chunkSize);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    const lines = buffer.toString('utf8').trim().split('\n');
+    const last = JSON.parse(lines[lines.length - 1]);
+    lastHash = last.hash;
+    lastSeq = last.seq;
+}
+
+// Append an event. Never throws: a broken audit file must not take the app down.
+function record(event) {
+    try {
+        if (lastHash === null) {
+            loadChainHead();
+        }
+
+        const entry = {
+            seq: lastSeq + 1,
+            timestamp: new Date().toISOString(),
+            ...event,
+            prevHash: lastHash
+        };
+        entry.hash = hashEntry(entry);
+
+        fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 });
+
+        lastHash = entry.hash;
+        lastSeq = entry.seq;
+        return entry;
+    } catch (err) {
+        console.error('[AUDIT] Failed to write audit entry:', err.message, JSON.stringify(event));
+        return null;
+    }
+}
+
+// Record an event on behalf of a request (user, IP, connection profile filled in)
+function recordRequest(req, event) {
+    return record({
+        user: req.user ? req.user.id : null,
+        ip: req.ip || req.connection?.remoteAddress,
+        connection: req.user ? (req.user.connection || null) : null,
+        ...(req.user && req.user.tokenId && { token: req.user.tokenId }),
+        ...event
+    });
+}
+
+async function* readEntries() {
+    if (!fs.existsSync(AUDIT_FILE)) {
+        return;
+    }
+
+    const lines = readline.createInterface({
+        input: fs.createReadStream(AUDIT_FILE, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+        if (line.trim()) {
+            yield JSON.parse(line);
+        }
+    }
+}
+
+// Filter entries; newest first. Filters: user, action, table, q (free text), from, to (ISO dates)
+async function search({ user, action, table, q, from, to, limit = 100, offset = 0 } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+    const needle = q ? q.toLowerCase() : null;
+    const matches = [];
+
+    for await (const entry of readEntries()) {
+        if (user && entry.user !== user) continue;
+        if (action && entry.action !== action) continue;
+        if (table && entry.table !== table) continue;
+
+        const time = Date.parse(entry.timestamp);
+        if (fromTime && time < fromTime) continue;
+        if (toTime && time > toTime) continue;
+        if (needle && !JSON.stringify(entry).toLowerCase().includes(needle)) continue;
+
+        matches.push(entry);
+    }
+
+    matches.reverse();
+    return {
+        total: matches.length,
+        entries: matches.slice(offset, offset + limit)
+    };
+}
+
+// Walk the whole chain and report the first entry that doesn't link up
+async function verify() {
+    let previous = GENESIS_HASH;
+    let expectedSeq = 1;
+    let count = 0;
+
+    for await (const entry of readEntries()) {
+        const problem =
+            entry.seq !== expectedSeq ? `expected sequence ${expectedSeq}, found ${entry.seq}` :
+            entry.prevHash !== previous ? 'previous-hash link does not match' :
+            hashEntry(entry) !== entry.hash ? 'entry hash does not match its contents' :
+            null;
+
+        if (problem) {
+            return { valid: false, entries: count, brokenAt: entry.seq, reason: problem };
+        }
+
+        previous = entry.hash;
+        expectedSeq++;
+        count++;
+    }
+
+    return { valid: true, entries: count, headHash: previous };
+}
+
+module.exports = {
+    AUDIT_FILE,
+    record,
+    recordRequest,
+    search,
+    verify
+};
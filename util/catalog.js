@@ -0,0 +1,294 @@
+// Catalog queries shared by the schema browser (/schemas, /tables,
+// /schema/:tableName), the SQL editor's completion (/catalog), the table
+// designer, the ER diagram and the object explorer (/objects). Each returns
+// the raw rows (foreign keys come shaped); callers filter them by what the
+// user may see.
+
+// Schemas other than the system ones
+async function listSchemas(client) {
+    const result = await client.query(`
+        SELECT
+            n.nspname as schema_name,
+            pg_get_userbyid(n.nspowner) as owner,
+            (SELECT count(*) FROM pg_tables t WHERE t.schemaname = n.nspname) as table_count
+        FROM pg_namespace n
+        WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+          AND n.nspname NOT LIKE 'pg_toast%'
+          AND n.nspname NOT LIKE 'pg_temp_%'
+        ORDER BY n.nspname;
+    `);
+    return result.rows;
+}
+
+// Tables of the given schemas
+async function listTables(client, schemas) {
+    const result = await client.query(`
+        SELECT
+            t.tablename,
+            t.schemaname,
+            obj_description(c.oid) as table_comment,
+            (SELECT count(*) FROM information_schema.columns
+             WHERE table_name = t.tablename AND table_schema = t.schemaname) as column_count
+        FROM pg_tables t
+        LEFT JOIN pg_namespace n ON n.nspname = t.schemaname
+        LEFT JOIN pg_class c ON c.relname = t.tablename AND c.relnamespace = n.oid
+        WHERE t.schemaname = ANY($1)
+        ORDER BY t.schemaname, t.tablename;
+    `, [schemas]);
+    return result.rows;
+}
+
+// Columns of one table, or of every table in `schemas` when table is null
+async function listColumns(client, schemas, table = null) {
+    const result = await client.query(`
+        SELECT
+            cols.table_schema,
+            cols.table_name,
+            column_name,
+            data_type,
+            format_type(a.atttypid, a.atttypmod) as column_type,
+            is_nullable,
+            column_default,
+            character_maximum_length,
+            numeric_precision,
+            numeric_scale,
+            col_description(pgc.oid, cols.ordinal_position) as column_comment
+        FROM information_schema.columns cols
+        LEFT JOIN pg_namespace pgn ON pgn.nspname = cols.table_schema
+        LEFT JOIN pg_class pgc ON pgc.relname = cols.table_name AND pgc.relnamespace = pgn.oid
+        LEFT JOIN pg_attribute a ON a.attrelid = pgc.oid AND a.attname = cols.column_name
+        WHERE table_schema = ANY($1) AND ($2::text IS NULL OR table_name = $2)
+        ORDER BY table_schema, table_name, ordinal_position;
+    `, [schemas, table]);
+    return result.rows;
+}
+
+// Name and columns (in key order) of a table's primary key; null without one
+async function getPrimaryKey(client, qualified) {
+    const result = await client.query(`
+        SELECT c.conname as constraint_name, a.attname as column_name
+        FROM pg_constraint c
+        CROSS JOIN LATERAL unnest(c.conkey) WITH ORDINALITY AS k(attnum, position)
+        JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+        WHERE c.conrelid = $1::regclass AND c.contype = 'p'
+        ORDER BY k.position;
+    `, [qualified]);
+    if (result.rows.length === 0) {
+        return null;
+    }
+    return { name: result.rows[0].constraint_name, columns: result.rows.map(row => row.column_name) };
+}
+
+// Primary key columns (in key order) of every table in the given schemas
+async function listPrimaryKeys(client, schemas) {
+    const result = await client.query(`
+        SELECT
+            n.nspname as table_schema,
+            t.relname as table_name,
+            ARRAY(
+                SELECT a.attname::text
+                FROM unnest(c.conkey) WITH ORDINALITY AS k(attnum, position)
+                JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+                ORDER BY k.position
+            ) as columns
+        FROM pg_constraint c
+        JOIN pg_class t ON t.oid = c.conrelid
+        JOIN pg_namespace n ON n.oid = t.relnamespace
+        WHERE c.contype = 'p' AND n.nspname = ANY($1);
+    `, [schemas]);
+    return result.rows;
+}
+
+// ON UPDATE / ON DELETE actions as pg_constraint encodes them
+const FOREIGN_KEY_ACTIONS = { a: 'NO ACTION', r: 'RESTRICT', c: 'CASCADE', n: 'SET NULL', d: 'SET DEFAULT' };
+
+// Foreign keys with their columns in key order: those touching a table in
+// `schemas` (on either side), or with `qualified` those declared on that one
+// table or pointing at it
+async function listForeignKeys(client, { schemas = null, qualified = null }) {
+    const result = await client.query(`
+        SELECT
+            c.conname as constraint_name,
+            sn.nspname as table_schema,
+            st.relname as table_name,
+            ARRAY(
+                SELECT a.attname::text
+                FROM unnest(c.conkey) WITH ORDINALITY AS k(attnum, position)
+                JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+                ORDER BY k.position
+            ) as columns,
+            tn.nspname as referenced_schema,
+            tt.relname as referenced_table,
+            ARRAY(
+                SELECT a.attname::text
+                FROM unnest(c.confkey) WITH ORDINALITY AS k(attnum, position)
+                JOIN pg_attribute a ON a.attrelid = c.confrelid AND a.attnum = k.attnum
+                ORDER BY k.position
+            ) as referenced_columns,
+            c.confupdtype as on_update,
+            c.confdeltype as on_delete
+        FROM pg_constraint c
+        JOIN pg_class st ON st.oid = c.conrelid
+        JOIN pg_namespace sn ON sn.oid = st.relnamespace
+        JOIN pg_class tt ON tt.oid = c.confrelid
+        JOIN pg_namespace tn ON tn.oid = tt.relnamespace
+        WHERE c.contype = 'f'
+          AND ($1::text[] IS NULL OR sn.nspname = ANY($1) OR tn.nspname = ANY($1))
+          AND ($2::text IS NULL OR c.conrelid = $2::text::regclass OR c.confrelid = $2::text::regclass)
+        ORDER BY sn.nspname, st.relname, c.conname;
+    `, [schemas, qualified]);
+
+    return result.rows.map(row => ({
+        name: row.constraint_name,
+        schema: row.table_schema,
+        table: row.table_name,
+        columns: row.columns,
+        references: { schema: row.referenced_schema, table: row.referenced_table, columns: row.referenced_columns },
+        onUpdate: FOREIGN_KEY_ACTIONS[row.on_update],
+        onDelete: FOREIGN_KEY_ACTIONS[row.on_delete]
+    }));
+}
+
+// Functions and procedures defined in the given schemas (aggregates and
+// window functions included); with `definitions` also their kind, language
+// and CREATE statement (pg_get_functiondef, which has none for aggregates)
+async function listFunctions(client, schemas, { definitions = false } = {}) {
+    const result = await client.query(`
+        SELECT
+            n.nspname as schema_name,
+            p.proname as function_name,
+            pg_get_function_arguments(p.oid) as arguments,
+            pg_get_function_result(p.oid) as result_type
+            ${definitions ? `,
+            p.oid::regprocedure::text as signature,
+            p.prokind as kind,
+            l.lanname as language,
+            CASE WHEN p.prokind IN ('f', 'p') THEN pg_get_functiondef(p.oid) END as definition` : ''}
+        FROM pg_proc p
+        JOIN pg_namespace n ON n.oid = p.pronamespace
+        JOIN pg_language l ON l.oid = p.prolang
+        WHERE n.nspname = ANY($1)
+        ORDER BY n.nspname, p.proname;
+    `, [schemas]);
+    return result.rows;
+}
+
+// Views and materialized views (relkind 'v' / 'm') with their SELECT; size,
+// whether it has been populated and whether a unique index allows REFRESH
+// ... CONCURRENTLY apply to materialized views only
+async function listViews(client, schemas) {
+    const result = await client.query(`
+        SELECT
+            n.nspname as schema_name,
+            c.relname as view_name,
+            c.relkind as kind,
+            pg_get_userbyid(c.relowner) as owner,
+            obj_description(c.oid, 'pg_class') as comment,
+            pg_get_viewdef(c.oid, true) as definition,
+            c.relispopulated as populated,
+            pg_total_relation_size(c.oid) as size_bytes,
+            pg_size_pretty(pg_total_relation_size(c.oid)) as size,
+            EXISTS (
+                SELECT 1 FROM pg_index i
+                WHERE i.indrelid = c.oid AND i.indisunique AND i.indpred IS NULL AND i.indexprs IS NULL
+            ) as has_unique_index
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE c.relkind IN ('v', 'm') AND n.nspname = ANY($1)
+        ORDER BY n.nspname, c.relname;
+    `, [schemas]);
+    return result.rows;
+}
+
+// Sequences with their settings and current value (null until first used,
+// or without the privilege to read it), and the column owning them, if any
+async function listSequences(client, schemas) {
+    const result = await client.query(`
+        SELECT
+            s.schemaname as schema_name,
+            s.sequencename as sequence_name,
+            s.data_type::text as data_type,
+            s.start_value,
+            s.min_value,
+            s.max_value,
+            s.increment_by,
+            s.cycle,
+            s.last_value,
+            (
+                SELECT t.relname || '.' || a.attname
+                FROM pg_depend d
+                JOIN pg_class t ON t.oid = d.refobjid
+                JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+                WHERE d.classid = 'pg_class'::regclass AND d.refclassid = 'pg_class'::regclass
+                  AND d.objid = c.oid AND d.deptype IN ('a', 'i')
+                LIMIT 1
+            ) as owned_by
+        FROM pg_sequences s
+        JOIN pg_namespace n ON n.nspname = s.schemaname
+        JOIN pg_class c ON c.relname = s.sequencename AND c.relnamespace = n.oid
+        WHERE s.schemaname = ANY($1)
+        ORDER BY s.schemaname, s.sequencename;
+    `, [schemas]);
+    return result.rows;
+}
+
+// User-defined triggers (not those behind foreign keys) with their CREATE
+// TRIGGER statement
+async function listTriggers(client, schemas) {
+    const result = await client.query(`
+        SELECT
+            n.nspname as schema_name,
+            c.relname as table_name,
+            t.tgname as trigger_name,
+            t.tgenabled as enabled,
+            t.tgfoid::regproc::text as function_name,
+            pg_get_triggerdef(t.oid, true) as definition
+        FROM pg_trigger t
+        JOIN pg_class c ON c.oid = t.tgrelid
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE NOT t.tgisinternal AND n.nspname = ANY($1)
+        ORDER BY n.nspname, c.relname, t.tgname;
+    `, [schemas]);
+    return result.rows;
+}
+
+// Offered by the editor's completion next to the catalog
+const SQL_KEYWORDS = [
+    'SELECT', 'FROM', 'WHERE', 'GROUP BY', 'HAVING', 'ORDER BY', 'LIMIT', 'OFFSET', 'DISTINCT', 'AS',
+    'JOIN', 'INNER JOIN', 'LEFT JOIN', 'RIGHT JOIN', 'FULL JOIN', 'CROSS JOIN', 'LATERAL', 'ON', 'USING',
+    'AND', 'OR', 'NOT', 'IN', 'EXISTS', 'BETWEEN', 'LIKE', 'ILIKE', 'IS NULL', 'IS NOT NULL', 'ANY', 'ALL',
+    'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'UNION', 'UNION ALL', 'INTERSECT', 'EXCEPT', 'WITH', 'RECURSIVE',
+    'INSERT INTO', 'VALUES', 'DEFAULT', 'RETURNING', 'ON CONFLICT', 'DO NOTHING', 'DO UPDATE SET',
+    'UPDATE', 'SET', 'DELETE FROM', 'TRUNCATE', 'MERGE INTO',
+    'CREATE TABLE', 'CREATE INDEX', 'CREATE VIEW', 'ALTER TABLE', 'ADD COLUMN', 'DROP COLUMN', 'DROP TABLE',
+    'PRIMARY KEY', 'FOREIGN KEY', 'REFERENCES', 'UNIQUE', 'CHECK', 'NOT NULL', 'CONSTRAINT',
+    'BEGIN', 'COMMIT', 'ROLLBACK', 'SAVEPOINT', 'EXPLAIN', 'ANALYZE', 'VACUUM',
+    'ASC', 'DESC', 'NULLS FIRST', 'NULLS LAST', 'TRUE', 'FALSE', 'NULL', 'OVER', 'PARTITION BY', 'FILTER'
+];
+
+// Built-in functions worth completing; pg_catalog holds thousands more
+const BUILTIN_FUNCTIONS = [
+    'count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'json_agg', 'jsonb_agg', 'bool_and', 'bool_or',
+    'coalesce', 'nullif', 'greatest', 'least', 'now', 'current_date', 'current_timestamp', 'date_trunc', 'date_part',
+    'extract', 'age', 'to_char', 'to_date', 'to_timestamp', 'make_interval', 'generate_series',
+    'lower', 'upper', 'length', 'trim', 'substring', 'replace', 'split_part', 'concat', 'concat_ws', 'format',
+    'regexp_replace', 'regexp_match', 'position', 'left', 'right', 'md5', 'gen_random_uuid',
+    'round', 'floor', 'ceil', 'abs', 'random', 'cast', 'row_number', 'rank', 'dense_rank', 'lag', 'lead',
+    'first_value', 'last_value', 'jsonb_build_object', 'json_build_object', 'jsonb_extract_path_text',
+    'jsonb_array_elements', 'unnest', 'array_length', 'pg_size_pretty', 'pg_total_relation_size'
+];
+
+module.exports = {
+    SQL_KEYWORDS,
+    BUILTIN_FUNCTIONS,
+    listSchemas,
+    listTables,
+    listColumns,
+    getPrimaryKey,
+    listPrimaryKeys,
+    listForeignKeys,
+    listFunctions,
+    listViews,
+    listSequences,
+    listTriggers
+};
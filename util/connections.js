@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('./jsonStore');
+
+// Saved connection profiles; the environment profile is never written here
+const store = createJsonStore(process.env.DB_CONNECTIONS_FILE || 'connections.json', { profiles: [] });
+
+const DEFAULT_PROFILE = process.env.DB_DEFAULT_CONNECTION || 'default';
+const SSL_MODES = ['disable', 'require', 'verify-full'];
+const PROFILE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// CA paths have always been resolved relative to routes/, keep that behaviour
+const CA_BASE_DIR = path.join(__dirname, '..', 'routes');
+
+// Profile built from DATABASE_URL / CA_CERT_PATH, as before profiles existed
+function getEnvProfile() {
+    let sslMode = process.env.DB_SSL_MODE;
+    if (!SSL_MODES.includes(sslMode)) {
+        if (process.env.CA_CERT_PATH) {
+            sslMode = 'verify-full';
+        } else {
+            sslMode = process.env.DB_SSL_ENABLED === 'true' ? 'require' : 'disable';
+        }
+    }
+
+    return {
+        name: DEFAULT_PROFILE,
+        url: process.env.DATABASE_URL,
+        sslMode: sslMode,
+        caFile: process.env.CA_CERT_PATH || null,
+        readOnly: process.env.DB_READ_ONLY === 'true',
+        source: 'env'
+    };
+}
+
+function resolveCaPath(caFile) {
+    return path.isAbsolute(caFile) ? caFile : path.join(CA_BASE_DIR, caFile);
+}
+
+// Hide the password part of a connection URL
+function maskConnectionString(url) {
+    if (!url) return url;
+    try {
+        const parsed = new URL(url);
+        if (parsed.password) {
+            parsed.password = '****';
+        }
+        return parsed.toString();
+    } catch (err) {
+        return url.replace(/\/\/([^:/@]+):[^@]*@/, '//$1:****@');
+    }
+}
+
+function listProfiles() {
+    const envProfile = getEnvProfile();
+    const saved = store.read().profiles.filter(profile => profile.name !== envProfile.name);
+    return [envProfile, ...saved.map(profile => ({ ...profile, source: 'saved' }))];
+}
+
+function getProfile(name) {
+    return listProfiles().find(profile => profile.name === (name || DEFAULT_PROFILE)) || null;
+}
+
+// Public view of a profile (no password in the URL)
+function describeProfile(profile) {
+    return {
+        name: profile.name,
+        url: maskConnectionString(profile.url),
+        sslMode: profile.sslMode,
+        caFile: profile.caFile,
+        readOnly: !!profile.readOnly,
+        source: profile.source
+    };
+}
+
+// Validate user input for a saved profile; returns an error message or null
+function validateProfile(input) {
+    if (!input.name || !PROFILE_NAME_PATTERN.test(input.name)) {
+        return 'Profile name must be 1-64 letters, digits, "-" or "_"';
+    }
+    if (!input.url || !/^postgres(ql)?:\/\//.test(input.url)) {
+        return 'Connection URL must start with postgres:// or postgresql://';
+    }
+    if (input.sslMode && !SSL_MODES.includes(input.sslMode)) {
+        return `SSL mode must be one of: ${SSL_MODES.join(', ')}`;
+    }
+    if (input.sslMode === 'verify-full') {
+        if (!input.caFile) {
+            return 'A CA file is required for verify-full SSL mode';
+        }
+        if (!fs.existsSync(resolveCaPath(input.caFile))) {
+            return `CA file not found: ${input.caFile}`;
+        }
+    }
+    return null;
+}
+
+function saveProfile(input, { create = false } = {}) {
+    if (input.name === DEFAULT_PROFILE) {
+        throw new Error('The environment profile cannot be modified');
+    }
+
+    return store.update(data => {
+        const index = data.profiles.findIndex(profile => profile.name === input.name);
+        if (create && index !== -1) {
+            throw new Error(`Profile "${input.name}" already exists`);
+        }
+        if (!create && index === -1) {
+            throw new Error(`Profile "${input.name}" not found`);
+        }
+
+        const existing = index === -1 ? {} : data.profiles[index];
+        const profile = {
+            name: input.name,
+            // Keep the stored URL (with password) when the client sends back the masked one
+            url: input.url && input.url !== maskConnectionString(existing.url) ? input.url : existing.url,
+            sslMode: input.sslMode || existing.sslMode || 'disable',
+            caFile: input.caFile !== undefined ? (input.caFile || null) : (existing.caFile || null),
+            readOnly: input.readOnly !== undefined ? !!input.readOnly : !!existing.readOnly
+        };
+
+        if (index === -1) {
+            data.profiles.push(profile);
+        } else {
+            data.profiles[index] = profile;
+        }
+        return { ...profile, source: 'saved' };
+    });
+}
+
+function deleteProfile(name) {
+    if (name === DEFAULT_PROFILE) {
+        throw new Error('The environment profile cannot be deleted');
+    }
+
+    return store.update(data => {
+        const before = data.profiles.length;
+        data.profiles = data.profiles.filter(profile => profile.name !== name);
+        return data.profiles.length !== before;
+    });
+}
+
+// Translate a profile into pg client options
+function buildClientConfig(profile) {
+    if (!profile || !profile.url) {
+        throw new Error('No database connection configured (set DATABASE_URL or select a profile)');
+    }
+
+    const config = { connectionString: profile.url };
+
+    if (profile.sslMode === 'verify-full') {
+        const caPath = resolveCaPath(profile.caFile || '');
+        if (!profile.caFile || !fs.existsSync(caPath)) {
+            throw new Error(`CA certificate file (${caPath}) not found. Cannot establish secure connection.`);
+        }
+        config.ssl = {
+            ca: fs.readFileSync(caPath).toString(),
+            rejectUnauthorized: true
+        };
+    } else if (profile.sslMode === 'require') {
+        config.ssl = { rejectUnauthorized: false };
+    }
+
+    // The session default only: the app's own statements never change it,
+    // and the SQL console re-applies it before every statement (see
+    // enforceReadOnly in util/sqlScript), since SQL can turn it off
+    if (profile.readOnly) {
+        config.options = '-c default_transaction_read_only=on';
+    }
+
+    return config;
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    SSL_MODES,
+    getEnvProfile,
+    listProfiles,
+    getProfile,
+    describeProfile,
+    validateProfile,
+    saveProfile,
+    deleteProfile,
+    buildClientConfig,
+    maskConnectionString
+};
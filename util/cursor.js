@@ -0,0 +1,40 @@
+// Read a query's result in batches through a server-side cursor, so large
+// tables never have to fit in memory. Runs in its own transaction (cursors
+// only live inside one); breaking out of the loop early rolls it back.
+// `statementTimeout` (ms) applies to the DECLARE and every FETCH.
+async function* cursorBatches(client, text, values = [], options = {}) {
+    const {
+        batchSize = 1000,
+        name = 'pgm_cursor',
+        readOnly = true,
+        rowMode,
+        types,
+        statementTimeout
+    } = options;
+
+    let open = false;
+    await client.query(readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+    open = true;
+
+    try {
+        if (statementTimeout !== undefined) {
+            await client.query(`SET LOCAL statement_timeout = ${parseInt(statementTimeout) || 0}`);
+        }
+        await client.query({ text: `DECLARE ${name} NO SCROLL CURSOR FOR ${text}`, values });
+
+        while (true) {
+            const batch = await client.query({ text: `FETCH ${batchSize} FROM ${name}`, rowMode, types });
+            yield batch;
+            if (batch.rows.length < batchSize) break;
+        }
+
+        await client.query('COMMIT');
+        open = false;
+    } finally {
+        if (open) {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+    }
+}
+
+module.exports = { cursorBatches };
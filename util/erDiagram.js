@@ -0,0 +1,234 @@
+// ER diagram of a schema as a standalone SVG: one box per table listing its
+// columns (primary and foreign key columns marked), and a line per foreign
+// key from the referencing column to the referenced one. Tables are laid out
+// on a grid, related ones next to each other; each box links to the table's
+// page.
+
+const CHAR_WIDTH = 7.2; // 12px monospace
+const HEADER_HEIGHT = 30;
+const ROW_HEIGHT = 20;
+const PADDING = 8;
+const GAP_X = 90;
+const GAP_Y = 50;
+const MARGIN = 40;
+const TITLE_HEIGHT = 40;
+const MIN_BOX_WIDTH = 180;
+const MAX_BOX_WIDTH = 340;
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Cut text to fit `width` pixels
+function fit(text, width) {
+    const max = Math.floor(width / CHAR_WIDTH);
+    return text.length > max ? `${text.slice(0, Math.max(max - 1, 1))}…` : text;
+}
+
+// Tables in breadth-first order over the foreign key graph, starting from
+// the best connected table of each group, so related tables share a
+// neighbourhood; unrelated tables come last
+function orderTables(tables, foreignKeys) {
+    const neighbours = new Map(tables.map(table => [table.name, new Set()]));
+    for (const fk of foreignKeys) {
+        if (neighbours.has(fk.table) && neighbours.has(fk.references.table) && fk.table !== fk.references.table) {
+            neighbours.get(fk.table).add(fk.references.table);
+            neighbours.get(fk.references.table).add(fk.table);
+        }
+    }
+
+    const byDegree = tables.map(table => table.name)
+        .sort((a, b) => neighbours.get(b).size - neighbours.get(a).size || a.localeCompare(b));
+    const ordered = [];
+    const seen = new Set();
+    for (const start of byDegree) {
+        if (seen.has(start) || neighbours.get(start).size === 0) {
+            continue;
+        }
+        const queue = [start];
+        seen.add(start);
+        while (queue.length > 0) {
+            const name = queue.shift();
+            ordered.push(name);
+            Array.from(neighbours.get(name)).sort().forEach(next => {
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+    }
+    byDegree.filter(name => !seen.has(name)).sort().forEach(name => ordered.push(name));
+
+    const byName = new Map(tables.map(table => [table.name, table]));
+    return ordered.map(name => byName.get(name));
+}
+
+// Place the boxes: { boxes: Map(name -> { x, y, width, height, table }), width, height }
+function layout(tables) {
+    const longest = Math.max(0, ...tables.map(table => Math.max(
+        table.name.length + 4,
+        ...table.columns.map(column => column.name.length + column.type.length + 6)
+    )));
+    const boxWidth = Math.min(MAX_BOX_WIDTH, Math.max(MIN_BOX_WIDTH, Math.ceil(longest * CHAR_WIDTH) + 2 * PADDING));
+    const perRow = Math.max(1, Math.ceil(Math.sqrt(tables.length)));
+
+    const boxes = new Map();
+    let y = MARGIN + TITLE_HEIGHT;
+    for (let start = 0; start < tables.length; start += perRow) {
+        const row = tables.slice(start, start + perRow);
+        let rowHeight = 0;
+        row.forEach((table, index) => {
+            const height = HEADER_HEIGHT + Math.max(table.columns.length, 1) * ROW_HEIGHT + PADDING;
+            boxes.set(table.name, { x: MARGIN + index * (boxWidth + GAP_X), y, width: boxWidth, height, table });
+            rowHeight = Math.max(rowHeight, height);
+        });
+        y += rowHeight + GAP_Y;
+    }
+
+    return {
+        boxes,
+        width: 2 * MARGIN + Math.min(perRow, tables.length) * (boxWidth + GAP_X) - (tables.length > 0 ? GAP_X : 0),
+        height: y - GAP_Y + MARGIN
+    };
+}
+
+// Vertical middle of a column's row in its box (the header when the column is missing)
+function columnY(box, column) {
+    const index = box.table.columns.findIndex(candidate => candidate.name === column);
+    return index === -1
+        ? box.y + HEADER_HEIGHT / 2
+        : box.y + HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+}
+
+// Curve from the referencing column to the referenced one, leaving and
+// entering on the sides that face each other
+function edgePath(from, fromY, to, toY) {
+    if (from === to) {
+        const x = from.x + from.width;
+        return `M ${x} ${fromY} C ${x + 50} ${fromY}, ${x + 50} ${toY}, ${x} ${toY}`;
+    }
+    if (to.x > from.x) {
+        const x1 = from.x + from.width;
+        const x2 = to.x;
+        const bend = Math.max(40, (x2 - x1) / 2);
+        return `M ${x1} ${fromY} C ${x1 + bend} ${fromY}, ${x2 - bend} ${toY}, ${x2} ${toY}`;
+    }
+    if (to.x < from.x) {
+        const x1 = from.x;
+        const x2 = to.x + to.width;
+        const bend = Math.max(40, (x1 - x2) / 2);
+        return `M ${x1} ${fromY} C ${x1 - bend} ${fromY}, ${x2 + bend} ${toY}, ${x2} ${toY}`;
+    }
+    // Same grid column: loop out on the right
+    const x = from.x + from.width;
+    const bend = 40 + Math.abs(toY - fromY) / 8;
+    return `M ${x} ${fromY} C ${x + bend} ${fromY}, ${x + bend} ${toY}, ${x} ${toY}`;
+}
+
+function renderBox(box, schema, foreignKeyColumns) {
+    const { table } = box;
+    const href = `/api/db/view/${encodeURIComponent(table.name)}?schema=${encodeURIComponent(schema)}`;
+    const textWidth = box.width - 2 * PADDING;
+
+    const rows = table.columns.map((column, index) => {
+        const y = box.y + HEADER_HEIGHT + index * ROW_HEIGHT + ROW_HEIGHT / 2 + 4;
+        const primary = table.primaryKey.includes(column.name);
+        const foreign = foreignKeyColumns.get(column.name);
+        const marker = primary ? 'PK' : foreign ? 'FK' : '';
+        const type = fit(column.type, textWidth / 2);
+        const name = fit(column.name, textWidth - (type.length + 4) * CHAR_WIDTH);
+        return `
+    <g>${foreign ? `<title>${escapeXml(foreign.join('\n'))}</title>` : ''}
+      <text x="${box.x + PADDING}" y="${y}" class="marker">${marker}</text>
+      <text x="${box.x + PADDING + 3 * CHAR_WIDTH}" y="${y}" class="${primary ? 'column key' : 'column'}">${escapeXml(name)}</text>
+      <text x="${box.x + box.width - PADDING}" y="${y}" class="type" text-anchor="end">${escapeXml(type)}</text>
+    </g>`;
+    }).join('');
+
+    return `
+  <a href="${escapeXml(href)}" xlink:href="${escapeXml(href)}">
+    <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" rx="6" class="box"/>
+    <path d="M ${box.x} ${box.y + HEADER_HEIGHT} H ${box.x + box.width}" class="divider"/>
+    <rect x="${box.x}" y="${box.y}" width="${box.width}" height="${HEADER_HEIGHT}" rx="6" class="header"/>
+    <text x="${box.x + PADDING}" y="${box.y + HEADER_HEIGHT / 2 + 5}" class="title">${escapeXml(fit(table.name, textWidth))}</text>
+  </a>${rows}`;
+}
+
+// `tables`: [{ name, columns: [{ name, type }], primaryKey: [names] }] of
+// `schema`; `foreignKeys` as listForeignKeys() returns them. Keys to or from
+// other schemas show on the column's tooltip but get no line.
+function renderErDiagram({ schema, tables, foreignKeys }) {
+    const ordered = orderTables(tables, foreignKeys.filter(fk => fk.schema === schema && fk.references.schema === schema));
+    const { boxes, width, height } = layout(ordered);
+
+    const foreignKeyColumns = new Map(ordered.map(table => [table.name, new Map()]));
+    for (const fk of foreignKeys) {
+        if (fk.schema !== schema || !foreignKeyColumns.has(fk.table)) {
+            continue;
+        }
+        const target = fk.references.schema === schema ? fk.references.table : `${fk.references.schema}.${fk.references.table}`;
+        fk.columns.forEach((column, index) => {
+            const notes = foreignKeyColumns.get(fk.table).get(column) || [];
+            notes.push(`${fk.name}: references ${target}(${fk.references.columns[index]})`);
+            foreignKeyColumns.get(fk.table).set(column, notes);
+        });
+    }
+
+    const drawn = foreignKeys
+        .filter(fk => fk.schema === schema && fk.references.schema === schema && boxes.has(fk.table) && boxes.has(fk.references.table));
+    const edges = drawn.map(fk => {
+        const from = boxes.get(fk.table);
+        const to = boxes.get(fk.references.table);
+        const path = edgePath(from, columnY(from, fk.columns[0]), to, columnY(to, fk.references.columns[0]));
+        const label = `${fk.name}: ${fk.table}(${fk.columns.join(', ')}) → ${fk.references.table}(${fk.references.columns.join(', ')})`;
+        return `
+  <path d="${path}" class="edge" marker-start="url(#many)" marker-end="url(#one)"><title>${escapeXml(label)}</title></path>`;
+    }).join('');
+
+    const boxesSvg = ordered.map(table => renderBox(boxes.get(table.name), schema, foreignKeyColumns.get(table.name))).join('');
+    const empty = ordered.length === 0
+        ? `\n  <text x="${MARGIN}" y="${MARGIN + TITLE_HEIGHT + 20}" class="type">No tables in this schema</text>`
+        : '';
+    const svgWidth = Math.max(width, 400);
+    const svgHeight = Math.max(height, MARGIN * 2 + TITLE_HEIGHT + 40);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">
+  <style>
+    text { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; }
+    .heading { font-size: 18px; font-weight: bold; fill: #2d3748; }
+    .box { fill: #ffffff; stroke: #a0aec0; }
+    .header { fill: #667eea; }
+    .divider { stroke: #a0aec0; }
+    .title { fill: #ffffff; font-weight: bold; font-size: 13px; }
+    .column { fill: #2d3748; }
+    .key { font-weight: bold; }
+    .type { fill: #718096; }
+    .marker { fill: #d69e2e; font-size: 10px; font-weight: bold; }
+    .edge { fill: none; stroke: #5a67d8; stroke-width: 1.5; opacity: 0.8; }
+    .edge:hover { stroke-width: 3; opacity: 1; }
+    a:hover .box { stroke: #5a67d8; stroke-width: 2; }
+  </style>
+  <defs>
+    <marker id="one" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="10" markerHeight="10" orient="auto">
+      <path d="M 0 0 L 10 5 L 0 10 z" fill="#5a67d8"/>
+    </marker>
+    <marker id="many" viewBox="0 0 10 10" refX="1" refY="5" markerWidth="8" markerHeight="8" orient="auto">
+      <circle cx="5" cy="5" r="3" fill="#5a67d8"/>
+    </marker>
+  </defs>
+  <rect width="100%" height="100%" fill="#f7fafc"/>
+  <text x="${MARGIN}" y="${MARGIN + 10}" class="heading">Schema ${escapeXml(schema)}: ${ordered.length} table${ordered.length === 1 ? '' : 's'}, ${drawn.length} relationship${drawn.length === 1 ? '' : 's'}</text>${edges}${boxesSvg}${empty}
+</svg>
+`;
+}
+
+module.exports = {
+    renderErDiagram
+};
@@ -0,0 +1,164 @@
+const { types } = require('pg');
+const { createXlsxWriter, MAX_ROWS } = require('./xlsx');
+const { quoteIdent, qualifiedName } = require('./sql');
+
+// Row writers for table exports. Rows arrive in batches as arrays (rowMode 'array')
+// and each writer turns a batch into one chunk, awaiting `write` for backpressure.
+
+// Every value as PostgreSQL's own text output: exact, and valid input for INSERT
+const RAW_TEXT = { getTypeParser: () => value => value };
+
+// JSON output keeps numbers, booleans and json as JSON; int8/numeric stay strings
+// so no precision is lost, and dates stay in PostgreSQL's format.
+const JSON_PARSED_TYPES = new Set([
+    16,   // bool
+    21,   // int2
+    23,   // int4
+    26,   // oid
+    700,  // float4
+    701,  // float8
+    114,  // json
+    3802  // jsonb
+]);
+const JSON_TYPES = {
+    getTypeParser: (oid, format) => JSON_PARSED_TYPES.has(oid) ? types.getTypeParser(oid, format) : value => value
+};
+
+const NUMERIC_TYPES = new Set([20, 21, 23, 26, 700, 701, 1700]);
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    return '"' + String(value).replace(/"/g, '""') + '"';
+}
+
+function csvHeader(column) {
+    return /[",\r\n]/.test(column) ? csvField(column) : column;
+}
+
+// Plain TSV: tabs, newlines and backslashes escaped the way COPY text format does
+function tsvField(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+}
+
+function sqlLiteral(value) {
+    if (value === null || value === undefined) return 'NULL';
+    return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+function toObject(columns, row) {
+    const object = {};
+    columns.forEach((column, i) => {
+        object[column] = row[i];
+    });
+    return object;
+}
+
+const EXPORT_FORMATS = {
+    csv: {
+        extension: 'csv',
+        contentType: 'text/csv; charset=utf-8',
+        types: RAW_TEXT,
+        create({ columns, write }) {
+            return {
+                begin: () => write(columns.map(csvHeader).join(',') + '\n'),
+                rows: rows => write(rows.map(row => row.map(csvField).join(',') + '\n').join('')),
+                end: () => {}
+            };
+        }
+    },
+
+    tsv: {
+        extension: 'tsv',
+        contentType: 'text/tab-separated-values; charset=utf-8',
+        types: RAW_TEXT,
+        create({ columns, write }) {
+            return {
+                begin: () => write(columns.map(tsvField).join('\t') + '\n'),
+                rows: rows => write(rows.map(row => row.map(tsvField).join('\t') + '\n').join('')),
+                end: () => {}
+            };
+        }
+    },
+
+    ndjson: {
+        extension: 'ndjson',
+        contentType: 'application/x-ndjson; charset=utf-8',
+        types: JSON_TYPES,
+        create({ columns, write }) {
+            return {
+                begin: () => {},
+                rows: rows => write(rows.map(row => JSON.stringify(toObject(columns, row)) + '\n').join('')),
+                end: () => {}
+            };
+        }
+    },
+
+    // The original { tableName, schema, data, rowCount } shape, streamed
+    json: {
+        extension: 'json',
+        contentType: 'application/json; charset=utf-8',
+        types: JSON_TYPES,
+        create({ columns, ref, write }) {
+            let count = 0;
+            return {
+                begin: () => write(`{"tableName":${JSON.stringify(ref.table)},"schema":${JSON.stringify(ref.schema)},"data":[`),
+                rows: rows => {
+                    const chunk = rows.map((row, i) => (count + i > 0 ? ',' : '') + JSON.stringify(toObject(columns, row))).join('');
+                    count += rows.length;
+                    return write(chunk);
+                },
+                end: () => write(`],"rowCount":${count}}`)
+            };
+        }
+    },
+
+    sql: {
+        extension: 'sql',
+        contentType: 'application/sql; charset=utf-8',
+        types: RAW_TEXT,
+        create({ columns, ref, write }) {
+            const target = qualifiedName(ref.schema, ref.table);
+            const columnList = columns.map(quoteIdent).join(', ');
+            return {
+                begin: () => write(`-- Export of ${ref.schema}.${ref.table} (${new Date().toISOString()})\n`),
+                rows: rows => write(rows.map(row =>
+                    `INSERT INTO ${target} (${columnList}) VALUES (${row.map(sqlLiteral).join(', ')});\n`).join('')),
+                end: () => {}
+            };
+        }
+    },
+
+    xlsx: {
+        extension: 'xlsx',
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        types: RAW_TEXT,
+        create({ columns, ref, write }) {
+            let workbook;
+            let numericColumns = [];
+            return {
+                begin: async (fields) => {
+                    numericColumns = fields.map(field => NUMERIC_TYPES.has(field.dataTypeID));
+                    workbook = await createXlsxWriter(write, { sheetName: ref.table, columns });
+                },
+                rows: rows => workbook.addRows(rows, numericColumns),
+                end: async () => {
+                    await workbook.end();
+                    if (workbook.truncated) {
+                        const label = ref.schema ? `${ref.schema}.${ref.table}` : ref.table;
+                        console.warn(`[EXPORT] ${label} has more rows than an XLSX sheet holds; stopped at ${MAX_ROWS}`);
+                    }
+                }
+            };
+        }
+    }
+};
+
+// Aliases accepted in ?format=
+EXPORT_FORMATS.jsonl = EXPORT_FORMATS.ndjson;
+
+module.exports = { EXPORT_FORMATS };
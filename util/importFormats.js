@@ -0,0 +1,255 @@
+// Incremental parsers for table imports. Each parser is fed decoded text chunks
+// as the upload arrives and returns the records completed so far, so a file is
+// never held in memory as a whole. Records are { line, values }.
+
+const IMPORT_CONFIG = {
+    batchSize: 500,
+    maxErrors: parseInt(process.env.DB_IMPORT_MAX_ERRORS) || 100,
+    maxBytes: (parseInt(process.env.DB_IMPORT_MAX_MB) || 100) * 1024 * 1024
+};
+
+// CSV (RFC 4180). values is an array of strings; an unquoted empty field is
+// null, a quoted one ("") is the empty string - the same convention /export uses.
+function createCsvParser({ delimiter = ',' } = {}) {
+    let fields = [];
+    let field = '';
+    let quoted = false;     // current field started with a quote
+    let inQuotes = false;   // inside the quoted part
+    let pendingQuote = false;
+    let fieldStarted = false;
+    let line = 1;
+    let recordLine = 1;
+    let first = true;
+    let skipNewline = false;
+
+    function endField() {
+        fields.push(!quoted && field === '' ? null : field);
+        field = '';
+        quoted = false;
+        fieldStarted = false;
+    }
+
+    function endRecord(records) {
+        endField();
+        // Blank lines are skipped rather than read as a single NULL column
+        if (!(fields.length === 1 && fields[0] === null)) {
+            records.push({ line: recordLine, values: fields });
+        }
+        fields = [];
+    }
+
+    function push(text) {
+        const records = [];
+        if (first) {
+            text = text.replace(/^\uFEFF/, '');
+            first = false;
+        }
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (skipNewline) {
+                skipNewline = false;
+                if (char === '\n') continue;
+            }
+
+            if (inQuotes) {
+                if (pendingQuote) {
+                    pendingQuote = false;
+                    if (char === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    inQuotes = false;
+                    // fall through: the quote closed the field
+                } else if (char === '"') {
+                    pendingQuote = true;
+                    continue;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                    continue;
+                }
+            }
+
+            if (char === '"' && !fieldStarted) {
+                quoted = true;
+                inQuotes = true;
+                fieldStarted = true;
+            } else if (char === delimiter) {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                endRecord(records);
+                line++;
+                recordLine = line;
+                skipNewline = char === '\r';
+            } else {
+                field += char;
+                fieldStarted = true;
+            }
+        }
+        return records;
+    }
+
+    function end() {
+        const records = [];
+        if (inQuotes && !pendingQuote) {
+            throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+        }
+        if (fieldStarted || fields.length > 0 || pendingQuote) {
+            pendingQuote = false;
+            inQuotes = false;
+            endRecord(records);
+        }
+        return records;
+    }
+
+    return { push, end };
+}
+
+// NDJSON: one JSON object per line; values is the parsed object
+function createNdjsonParser() {
+    let buffer = '';
+    let line = 0;
+    let first = true;
+
+    function parseLine(text, records) {
+        line++;
+        if (text.trim() === '') return;
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (err) {
+            records.push({ line, error: `Invalid JSON: ${err.message}` });
+            return;
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            records.push({ line, error: 'Each line must be a JSON object' });
+            return;
+        }
+        records.push({ line, values: value });
+    }
+
+    function push(text) {
+        const records = [];
+        if (first) {
+            text = text.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        buffer += text;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            parseLine(buffer.slice(0, newline).replace(/\r$/, ''), records);
+            buffer = buffer.slice(newline + 1);
+        }
+        return records;
+    }
+
+    function end() {
+        const records = [];
+        if (buffer !== '') {
+            parseLine(buffer, records);
+            buffer = '';
+        }
+        return records;
+    }
+
+    return { push, end };
+}
+
+const IMPORT_FORMATS = {
+    csv: { contentTypes: ['text/csv', 'text/plain', 'application/csv'], create: createCsvParser },
+    tsv: { contentTypes: ['text/tab-separated-values'], create: () => createCsvParser({ delimiter: '\t' }) },
+    ndjson: { contentTypes: ['application/x-ndjson', 'application/jsonl'], create: createNdjsonParser }
+};
+IMPORT_FORMATS.jsonl = IMPORT_FORMATS.ndjson;
+
+// Format from ?format= or else the upload's Content-Type
+function resolveImportFormat(format, contentType = '') {
+    if (format) {
+        return Object.prototype.hasOwnProperty.call(IMPORT_FORMATS, format) ? format : null;
+    }
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    return Object.keys(IMPORT_FORMATS).find(name => IMPORT_FORMATS[name].contentTypes.includes(type)) || 'csv';
+}
+
+const BOOLEAN_LITERALS = new Set(['t', 'f', 'true', 'false', 'y', 'n', 'yes', 'no', 'on', 'off', '1', '0']);
+const UUID_PATTERN = /^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i;
+const INTEGER_RANGES = {
+    smallint: 32767n,
+    integer: 2147483647n,
+    bigint: 9223372036854775807n
+};
+
+// Turn one imported value into the parameter sent to PostgreSQL for `column`
+// (a row from information_schema.columns). `parsed` marks values that came out
+// of JSON (NDJSON) rather than CSV text. Throws with a message naming the
+// problem; PostgreSQL still has the final word on anything not checked here.
+function coerceValue(value, column, { parsed = false } = {}) {
+    if (value === null || value === undefined) {
+        if (column.is_nullable === 'NO') {
+            throw new Error('value is required (column is NOT NULL)');
+        }
+        return null;
+    }
+
+    const type = column.data_type;
+
+    if (type === 'json' || type === 'jsonb') {
+        if (parsed) return JSON.stringify(value);
+        try {
+            JSON.parse(value);
+        } catch (err) {
+            throw new Error(`invalid JSON: ${err.message}`);
+        }
+        return value;
+    }
+
+    if (typeof value === 'object') {
+        if (type === 'ARRAY' && Array.isArray(value)) return value;
+        throw new Error(`expected ${type}, got a JSON ${Array.isArray(value) ? 'array' : 'object'}`);
+    }
+
+    const text = String(value);
+    const trimmed = text.trim();
+
+    if (INTEGER_RANGES[type]) {
+        if (!/^[+-]?\d+$/.test(trimmed)) {
+            throw new Error(`"${text}" is not a valid ${type}`);
+        }
+        const number = BigInt(trimmed);
+        if (number > INTEGER_RANGES[type] || number < -INTEGER_RANGES[type] - 1n) {
+            throw new Error(`"${text}" is out of range for ${type}`);
+        }
+        return trimmed;
+    }
+    if (type === 'numeric' || type === 'real' || type === 'double precision') {
+        if (!/^(NaN|[+-]?Infinity)$/i.test(trimmed) && (trimmed === '' || isNaN(Number(trimmed)))) {
+            throw new Error(`"${text}" is not a valid ${type}`);
+        }
+        return trimmed;
+    }
+    if (type === 'boolean') {
+        if (!BOOLEAN_LITERALS.has(trimmed.toLowerCase())) {
+            throw new Error(`"${text}" is not a valid boolean`);
+        }
+        return trimmed;
+    }
+    if (type === 'uuid') {
+        if (!UUID_PATTERN.test(trimmed)) {
+            throw new Error(`"${text}" is not a valid uuid`);
+        }
+        return trimmed;
+    }
+    if (column.character_maximum_length && text.length > column.character_maximum_length) {
+        throw new Error(`value is longer than ${column.character_maximum_length} characters`);
+    }
+    return text;
+}
+
+module.exports = {
+    IMPORT_CONFIG,
+    IMPORT_FORMATS,
+    resolveImportFormat,
+    coerceValue
+};
@@ -0,0 +1,152 @@
+const { isValidIdentifier, quoteIdent, qualifiedName } = require('./sql');
+const { normalizeExpression } = require('./tableDesign');
+
+// Index management: listIndexes() reports a table's indexes with their usage
+// counters from pg_stat_user_indexes and flags unused and duplicate ones;
+// buildCreateIndex() and buildDropIndex() write the DDL that the routes
+// preview and run.
+
+const INDEX_METHODS = ['btree', 'hash', 'gist', 'spgist', 'gin', 'brin'];
+const MAX_INDEX_COLUMNS = 32; // PostgreSQL's INDEX_MAX_KEYS
+
+function invalid(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Indexes of `ref` ({ schema, table, qualified }, see util/sql), primary key
+// first. Usage counters are null when the statistics collector has none.
+async function listIndexes(client, ref) {
+    const result = await client.query(`
+        SELECT
+            ic.relname as index_name,
+            pg_get_indexdef(i.indexrelid) as definition,
+            am.amname as method,
+            ARRAY(SELECT pg_get_indexdef(i.indexrelid, k, true) FROM generate_series(1, i.indnkeyatts) k) as columns,
+            i.indisunique as is_unique,
+            i.indisprimary as is_primary,
+            i.indisvalid as is_valid,
+            pg_get_expr(i.indpred, i.indrelid, true) as predicate,
+            con.conname as constraint_name,
+            pg_relation_size(i.indexrelid) as size_bytes,
+            pg_size_pretty(pg_relation_size(i.indexrelid)) as size,
+            s.idx_scan,
+            s.idx_tup_read,
+            s.idx_tup_fetch,
+            concat_ws('|', am.amname, i.indkey::text, i.indclass::text, i.indcollation::text, i.indoption::text,
+                coalesce(pg_get_expr(i.indexprs, i.indrelid), ''), coalesce(pg_get_expr(i.indpred, i.indrelid), '')) as signature
+        FROM pg_index i
+        JOIN pg_class ic ON ic.oid = i.indexrelid
+        JOIN pg_am am ON am.oid = ic.relam
+        LEFT JOIN pg_constraint con ON con.conindid = i.indexrelid AND con.conrelid = i.indrelid AND con.contype IN ('p', 'u', 'x')
+        LEFT JOIN pg_stat_user_indexes s ON s.indexrelid = i.indexrelid
+        WHERE i.indrelid = $1::regclass
+        ORDER BY i.indisprimary DESC, ic.relname;
+    `, [ref.qualified]);
+
+    const counter = value => value === null ? null : Number(value);
+    return result.rows.map(row => ({
+        name: row.index_name,
+        definition: row.definition,
+        method: row.method,
+        columns: row.columns,
+        unique: row.is_unique,
+        primary: row.is_primary,
+        partial: row.predicate !== null,
+        predicate: row.predicate,
+        // A failed CREATE INDEX CONCURRENTLY leaves an invalid index behind
+        valid: row.is_valid,
+        constraint: row.constraint_name,
+        size: row.size,
+        sizeBytes: Number(row.size_bytes),
+        scans: counter(row.idx_scan),
+        tuplesRead: counter(row.idx_tup_read),
+        tuplesFetched: counter(row.idx_tup_fetch),
+        // Unique indexes and those behind a constraint do their job without
+        // ever being scanned
+        unused: row.idx_scan !== null && Number(row.idx_scan) === 0 && !row.is_unique && !row.constraint_name,
+        // Same method, columns, operator classes, collations, order,
+        // expressions and predicate: one of them can go
+        duplicateOf: result.rows
+            .filter(other => other !== row && other.signature === row.signature)
+            .map(other => other.index_name)
+    }));
+}
+
+// When the usage counters started counting (null if never reset)
+async function getStatsReset(client) {
+    const result = await client.query('SELECT stats_reset FROM pg_stat_database WHERE datname = current_database()');
+    return result.rows.length > 0 ? result.rows[0].stats_reset : null;
+}
+
+// A request's `concurrently` flag: absent is false, anything but a boolean is
+// refused rather than read as truthy
+function parseConcurrently(value) {
+    if (value !== undefined && value !== null && typeof value !== 'boolean') {
+        throw invalid('concurrently must be true or false');
+    }
+    return value === true;
+}
+
+// CREATE INDEX on `ref`: { name, columns: ["col" or { name, order }], unique,
+// method, where, concurrently }. Without a name PostgreSQL picks one.
+function buildCreateIndex(ref, { name, columns, unique, method, where, concurrently } = {}) {
+    const concurrent = parseConcurrently(concurrently);
+    if (name && !isValidIdentifier(name)) {
+        throw invalid(`Invalid index name "${name}"`);
+    }
+    const using = method ? String(method).toLowerCase() : 'btree';
+    if (!INDEX_METHODS.includes(using)) {
+        throw invalid(`Unknown index method "${method}" (use ${INDEX_METHODS.join(', ')})`);
+    }
+    if (unique && using !== 'btree') {
+        throw invalid('Only btree indexes can be unique');
+    }
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw invalid('An index needs at least one column');
+    }
+    if (columns.length > MAX_INDEX_COLUMNS) {
+        throw invalid(`An index can have at most ${MAX_INDEX_COLUMNS} columns`);
+    }
+
+    const keys = columns.map(column => {
+        const spec = typeof column === 'string' ? { name: column } : column || {};
+        if (!isValidIdentifier(spec.name)) {
+            throw invalid(`Invalid column name "${spec.name}"`);
+        }
+        const order = spec.order ? String(spec.order).toUpperCase() : null;
+        if (order && !['ASC', 'DESC'].includes(order)) {
+            throw invalid(`Invalid sort order "${spec.order}" for ${spec.name}`);
+        }
+        if (order && using !== 'btree') {
+            throw invalid('Only btree indexes have a sort order');
+        }
+        return order ? `${quoteIdent(spec.name)} ${order}` : quoteIdent(spec.name);
+    });
+    const predicate = normalizeExpression(where, 'The index condition');
+
+    return [
+        unique ? 'CREATE UNIQUE INDEX' : 'CREATE INDEX',
+        concurrent ? 'CONCURRENTLY' : null,
+        name ? quoteIdent(name) : null,
+        `ON ${ref.qualified} USING ${using} (${keys.join(', ')})`,
+        predicate ? `WHERE ${predicate}` : null
+    ].filter(Boolean).join(' ');
+}
+
+// DROP INDEX for `index` (from listIndexes) of `ref`. Indexes behind a
+// constraint go with the constraint, not on their own (409).
+function buildDropIndex(ref, index, { concurrently } = {}) {
+    if (index.constraint) {
+        throw invalid(`Index ${index.name} enforces constraint ${index.constraint}; drop the constraint instead`, 409);
+    }
+    return `DROP INDEX ${parseConcurrently(concurrently) ? 'CONCURRENTLY ' : ''}${qualifiedName(ref.schema, index.name)}`;
+}
+
+module.exports = {
+    INDEX_METHODS,
+    listIndexes,
+    getStatsReset,
+    parseConcurrently,
+    buildCreateIndex,
+    buildDropIndex
+};
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the manager's own state (profiles, users, ...)
+const DATA_DIR = process.env.DATA_DIR
+    ? path.resolve(process.env.DATA_DIR)
+    : path.join(__dirname, '..', 'data');
+
+// Small synchronous JSON file store. Writes go to a temp file first and are
+// renamed into place so a crash never leaves a half-written file behind.
+// `compact` drops the indentation, for large stores rewritten often.
+function createJsonStore(fileName, defaults, { compact = false } = {}) {
+    const filePath = path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+
+    function read() {
+        if (!fs.existsSync(filePath)) {
+            return JSON.parse(JSON.stringify(defaults));
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    function write(data) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, compact ? 0 : 2), { mode: 0o600 });
+        fs.renameSync(tempPath, filePath);
+    }
+
+    // Read, let the callback mutate, write back; returns the callback's result
+    function update(mutator) {
+        const data = read();
+        const result = mutator(data);
+        write(data);
+        return result;
+    }
+
+    return { filePath, read, write, update };
+}
+
+module.exports = { DATA_DIR, createJsonStore };
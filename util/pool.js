@@ -0,0 +1,129 @@
+const { Pool } = require('pg');
+const { buildClientConfig } = require('./connections');
+
+// Pool settings shared by every connection profile
+const POOL_CONFIG = {
+    max: parseInt(process.env.DB_POOL_MAX) || 10,
+    idleTimeoutMillis: parseInt(process.env.DB_POOL_IDLE_TIMEOUT) || 30 * 1000,
+    connectionTimeoutMillis: parseInt(process.env.DB_POOL_CONNECTION_TIMEOUT) || 10 * 1000,
+    statementTimeout: parseInt(process.env.DB_STATEMENT_TIMEOUT) || 0 // 0 = no limit
+};
+
+// One pool per connection profile, keyed by profile name
+const pools = new Map();
+
+function createEntry(profile, clientConfig, fingerprint) {
+    const pool = new Pool({
+        ...clientConfig,
+        max: POOL_CONFIG.max,
+        idleTimeoutMillis: POOL_CONFIG.idleTimeoutMillis,
+        connectionTimeoutMillis: POOL_CONFIG.connectionTimeoutMillis,
+        ...(POOL_CONFIG.statementTimeout > 0 && { statement_timeout: POOL_CONFIG.statementTimeout })
+    });
+
+    // Idle clients can error (server restart, network drop); don't crash the process
+    pool.on('error', (err) => {
+        console.error(`[POOL] Idle client error on profile "${profile.name}":`, err.message);
+    });
+
+    return {
+        pool,
+        fingerprint,
+        metrics: {
+            acquisitions: 0,
+            errors: 0,
+            totalAcquireMs: 0,
+            maxAcquireMs: 0,
+            lastAcquireMs: 0
+        }
+    };
+}
+
+// Get (or lazily create) the pool for a profile. A profile whose settings
+// changed since its pool was created gets a fresh pool.
+function getPoolEntry(profile) {
+    const clientConfig = buildClientConfig(profile);
+    const fingerprint = JSON.stringify(clientConfig);
+    let entry = pools.get(profile.name);
+
+    if (entry && entry.fingerprint !== fingerprint) {
+        closePool(profile.name);
+        entry = null;
+    }
+
+    if (!entry) {
+        entry = createEntry(profile, clientConfig, fingerprint);
+        pools.set(profile.name, entry);
+    }
+
+    return entry;
+}
+
+// Check out a client; callers must call client.release() when done
+async function acquireClient(profile) {
+    const entry = getPoolEntry(profile);
+    const startTime = Date.now();
+
+    try {
+        const client = await entry.pool.connect();
+        const elapsed = Date.now() - startTime;
+        entry.metrics.acquisitions++;
+        entry.metrics.totalAcquireMs += elapsed;
+        entry.metrics.lastAcquireMs = elapsed;
+        entry.metrics.maxAcquireMs = Math.max(entry.metrics.maxAcquireMs, elapsed);
+        return client;
+    } catch (err) {
+        entry.metrics.errors++;
+        throw err;
+    }
+}
+
+function describeEntry(name, entry) {
+    const { pool, metrics } = entry;
+    return {
+        profile: name,
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount,
+        max: POOL_CONFIG.max,
+        acquisitions: metrics.acquisitions,
+        errors: metrics.errors,
+        avgAcquireMs: metrics.acquisitions ? Math.round(metrics.totalAcquireMs / metrics.acquisitions * 100) / 100 : 0,
+        maxAcquireMs: metrics.maxAcquireMs,
+        lastAcquireMs: metrics.lastAcquireMs
+    };
+}
+
+// Statistics for one profile's pool (null if it was never used)
+function getPoolStats(name) {
+    const entry = pools.get(name);
+    return entry ? describeEntry(name, entry) : null;
+}
+
+function getAllPoolStats() {
+    return Array.from(pools.entries()).map(([name, entry]) => describeEntry(name, entry));
+}
+
+function closePool(name) {
+    const entry = pools.get(name);
+    if (!entry) {
+        return Promise.resolve();
+    }
+    pools.delete(name);
+    return entry.pool.end().catch(err => {
+        console.error(`[POOL] Error closing pool for profile "${name}":`, err.message);
+    });
+}
+
+function closeAllPools() {
+    return Promise.all(Array.from(pools.keys()).map(closePool));
+}
+
+module.exports = {
+    POOL_CONFIG,
+    acquireClient,
+    getPoolStats,
+    getAllPoolStats,
+    closePool,
+    closeAllPools
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const { POOL_CONFIG } = require('./pool');
+const { startQuery, finishQuery, finishQueriesOn } = require('./runningQueries');
+
+// Paged results for ad-hoc SELECTs. The query runs behind a server-side cursor
+// on a pooled client that stays checked out between page requests; the cursor
+// is closed (and the client returned) when the result is exhausted, hits the
+// row cap, is closed by its owner, or sits idle too long. Each open cursor
+// holds a connection, so all users together may keep only part of a pool.
+const QUERY_CONFIG = {
+    pageSize: parseInt(process.env.DB_QUERY_PAGE_SIZE) || 500,
+    maxRows: parseInt(process.env.DB_QUERY_MAX_ROWS) || 10000,
+    idleTimeout: (parseInt(process.env.DB_QUERY_CURSOR_IDLE) || 120) * 1000,
+    maxOpenPerUser: parseInt(process.env.DB_QUERY_MAX_OPEN) || 3,
+    maxOpen: parseInt(process.env.DB_QUERY_MAX_OPEN_TOTAL) || Math.max(1, Math.floor(POOL_CONFIG.max / 2))
+};
+
+const cursors = new Map();
+
+// Only single SELECT-like statements can sit behind a cursor; anything else
+// (DML, DDL, several statements) runs the ordinary way.
+function isCursorable(query) {
+    const text = query
+        .replace(/^(\s+|--[^\n]*\n?|\/\*[\s\S]*?\*\/)+/, '')
+        .replace(/[\s;]+$/, '');
+    return /^(select|with|values|table)\b/i.test(text) && !text.includes(';');
+}
+
+function clampPageSize(size) {
+    const parsed = parseInt(size);
+    return Math.min(Math.max(parsed > 0 ? parsed : QUERY_CONFIG.pageSize, 1), QUERY_CONFIG.maxRows);
+}
+
+function scheduleExpiry(cursor) {
+    clearTimeout(cursor.timer);
+    cursor.timer = setTimeout(() => {
+        if (cursor.busy) {
+            scheduleExpiry(cursor);
+            return;
+        }
+        console.log(`[QUERY] Closing idle cursor ${cursor.id} of "${cursor.owner}" after ${cursor.fetched} rows`);
+        closeCursor(cursor.id).catch(() => {});
+    }, QUERY_CONFIG.idleTimeout);
+    cursor.timer.unref();
+}
+
+// Fetch the next page, capped so the cursor never hands out more than maxRows
+async function readPage(cursor, pageSize) {
+    const remaining = QUERY_CONFIG.maxRows - cursor.fetched;
+    const wanted = Math.min(pageSize, remaining);
+    // One extra row tells us whether the cap cut the result short
+    const result = await cursor.client.query(`FETCH ${wanted + (wanted === remaining ? 1 : 0)} FROM ${cursor.name}`);
+
+    let rows = result.rows;
+    let truncated = false;
+    if (rows.length > wanted) {
+        rows = rows.slice(0, wanted);
+        truncated = true;
+    }
+    cursor.fetched += rows.length;
+    cursor.fields = result.fields.map(field => ({ name: field.name, dataTypeID: field.dataTypeID }));
+
+    const done = truncated || rows.length < wanted || cursor.fetched >= QUERY_CONFIG.maxRows;
+    return { rows, truncated, done };
+}
+
+function pageResponse(cursor, page) {
+    return {
+        cursorId: page.done ? null : cursor.id,
+        fields: cursor.fields,
+        rows: page.rows,
+        rowCount: cursor.fetched,
+        hasMore: !page.done,
+        truncated: page.truncated,
+        maxRows: QUERY_CONFIG.maxRows
+    };
+}
+
+// Run `query` behind a cursor on `client` and return the first page. The
+// registry owns the client from then on, except when DECLARE itself fails:
+// that error is tagged `cursorDeclined` and the caller keeps the (rolled back)
+// client, e.g. to run the statement the ordinary way. `statementTimeout` (ms)
+// holds for every later FETCH too; `profile` is where the client came from.
+async function openCursor(client, owner, query, { pageSize, statementTimeout = 0, profile } = {}) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const cursor = {
+        id,
+        owner,
+        profile,
+        client,
+        name: `pgm_q_${id}`,
+        query,
+        fetched: 0,
+        fields: [],
+        busy: false,
+        createdAt: new Date().toISOString(),
+        lastUsed: Date.now(),
+        timer: null
+    };
+
+    await client.query('BEGIN');
+    try {
+        await client.query(`SET LOCAL statement_timeout = ${statementTimeout}`);
+        await client.query(`DECLARE ${cursor.name} NO SCROLL CURSOR FOR ${query.trim().replace(/;+\s*$/, '')}`);
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        err.cursorDeclined = true;
+        throw err;
+    }
+
+    cursors.set(id, cursor);
+
+    // Least recently used results give way when a user keeps too many open,
+    // or when everyone's together would tie up too much of the pool
+    await closeLeastRecentlyUsed(id, other => other.owner === owner, QUERY_CONFIG.maxOpenPerUser);
+    await closeLeastRecentlyUsed(id, () => true, QUERY_CONFIG.maxOpen);
+
+    return fetchPage(id, owner, { pageSize });
+}
+
+// Close idle cursors picked by `filter`, least recently read first, until
+// `limit` remain counting the new cursor `keepId`
+async function closeLeastRecentlyUsed(keepId, filter, limit) {
+    const open = Array.from(cursors.values())
+        .filter(other => other.id !== keepId && !other.busy && filter(other))
+        .sort((a, b) => a.lastUsed - b.lastUsed);
+    while (open.length >= limit) {
+        const evicted = open.shift();
+        console.log(`[QUERY] Closing cursor ${evicted.id} of "${evicted.owner}" to make room for a new result`);
+        await closeCursor(evicted.id);
+    }
+}
+
+// Next page of an open cursor, or null if it doesn't exist (or isn't owner's).
+// With `queryId` (null to generate one) the FETCH is registered as a running
+// query that can be cancelled, and the response carries its ID.
+async function fetchPage(id, owner, { pageSize, queryId } = {}) {
+    const cursor = cursors.get(id);
+    if (!cursor || cursor.owner !== owner) {
+        return null;
+    }
+    if (cursor.busy) {
+        throw Object.assign(new Error('A page of this result is already being fetched'), { status: 409 });
+    }
+
+    const running = queryId === undefined ? null : startQuery({
+        id: queryId,
+        owner,
+        profile: cursor.profile,
+        client: cursor.client,
+        sql: cursor.query
+    });
+
+    cursor.busy = true;
+    cursor.lastUsed = Date.now();
+    let page;
+    try {
+        page = await readPage(cursor, clampPageSize(pageSize));
+    } catch (err) {
+        cursor.busy = false;
+        await closeCursor(id, { failed: true });
+        throw err;
+    } finally {
+        if (running) await finishQuery(running);
+    }
+    cursor.busy = false;
+
+    if (page.done) {
+        await closeCursor(id);
+    } else {
+        scheduleExpiry(cursor);
+    }
+    return running ? { queryId: running, ...pageResponse(cursor, page) } : pageResponse(cursor, page);
+}
+
+// Close a cursor and return its client to the pool. The cursor's transaction
+// is committed, as a SELECT run the ordinary way would be, so writes made by
+// functions it calls are kept; `failed` rolls back a cursor whose FETCH
+// errored instead. The session is reset either way, so a set_config() doesn't
+// leak to the pool's next user. With `owner`, only the owner's cursor is
+// closed; returns false when there was nothing to close.
+async function closeCursor(id, { owner, failed = false } = {}) {
+    const cursor = cursors.get(id);
+    if (!cursor || (owner && cursor.owner !== owner)) {
+        return false;
+    }
+
+    cursors.delete(id);
+    clearTimeout(cursor.timer);
+    await finishQueriesOn(cursor.client);
+    try {
+        await cursor.client.query(failed ? 'ROLLBACK' : 'COMMIT');
+        await cursor.client.query('DISCARD ALL');
+        cursor.client.release();
+    } catch (err) {
+        console.error(`[QUERY] Error closing cursor ${id}:`, err.message);
+        // A connection that can't be reset isn't reused
+        cursor.client.release(err);
+    }
+    return true;
+}
+
+async function closeAllCursors() {
+    await Promise.all(Array.from(cursors.keys()).map(id => closeCursor(id)));
+}
+
+module.exports = {
+    QUERY_CONFIG,
+    isCursorable,
+    openCursor,
+    fetchPage,
+    closeCursor,
+    closeAllCursors
+};
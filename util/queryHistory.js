@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+// Per-user history of SQL console runs (DATA_DIR/query-history.json). Only the
+// newest DB_QUERY_HISTORY_LIMIT entries of each user are kept; the audit log
+// remains the complete record.
+// The file is rewritten on every run, so it is kept compact and long scripts
+// are cut to MAX_HISTORY_SQL_LENGTH characters (`sqlTruncated`).
+const store = createJsonStore(process.env.DB_QUERY_HISTORY_FILE || 'query-history.json', { entries: [] }, { compact: true });
+
+const HISTORY_LIMIT = parseInt(process.env.DB_QUERY_HISTORY_LIMIT) || 200;
+const MAX_HISTORY_SQL_LENGTH = 20000;
+const MAX_HISTORY_ERROR_LENGTH = 500;
+
+function addHistoryEntry(username, { sql, connection, command, rowCount, executionTime, success, error }) {
+    const entry = {
+        id: crypto.randomBytes(6).toString('hex'),
+        username,
+        sql: String(sql).slice(0, MAX_HISTORY_SQL_LENGTH),
+        sqlTruncated: String(sql).length > MAX_HISTORY_SQL_LENGTH,
+        connection: connection || null,
+        command: command || null,
+        rowCount: rowCount === undefined ? null : rowCount,
+        executionTime: executionTime === undefined ? null : executionTime,
+        success: !!success,
+        error: error ? String(error).slice(0, MAX_HISTORY_ERROR_LENGTH) : null,
+        createdAt: new Date().toISOString()
+    };
+
+    store.update(data => {
+        data.entries.push(entry);
+        const own = data.entries.filter(e => e.username === username);
+        if (own.length > HISTORY_LIMIT) {
+            const dropped = new Set(own.slice(0, own.length - HISTORY_LIMIT).map(e => e.id));
+            data.entries = data.entries.filter(e => !dropped.has(e.id));
+        }
+    });
+    return entry;
+}
+
+// One user's history, newest first. `search` matches the SQL (case-insensitive);
+// `status` is 'success' or 'error'.
+function listHistory(username, { search, status, limit = 50, offset = 0 } = {}) {
+    const needle = search ? search.toLowerCase() : null;
+    const entries = store.read().entries
+        .filter(entry => entry.username === username)
+        .filter(entry => !needle || entry.sql.toLowerCase().includes(needle))
+        .filter(entry => !status || entry.success === (status === 'success'))
+        .reverse();
+
+    return {
+        total: entries.length,
+        entries: entries.slice(offset, offset + limit)
+    };
+}
+
+// Delete one entry, or the user's whole history when id is omitted; returns how many went
+function deleteHistory(username, id) {
+    return store.update(data => {
+        const before = data.entries.length;
+        data.entries = data.entries.filter(entry => entry.username !== username || (id && entry.id !== id));
+        return before - data.entries.length;
+    });
+}
+
+module.exports = {
+    HISTORY_LIMIT,
+    addHistoryEntry,
+    listHistory,
+    deleteHistory
+};
@@ -0,0 +1,170 @@
+const { tokenize } = require('./sqlLexer');
+
+// Typed parameters of saved queries. A query declares them as ":name type"
+// (optionally "= default") and uses :name in its SQL; running it binds the
+// values as $n placeholders, cast to the declared type, so values are never
+// spliced into the SQL text.
+
+const PARAMETER_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_PARAMETERS = 20;
+const MAX_VALUE_LENGTH = 10000;
+
+// Declared type -> SQL type of the cast, check of the (string) value, and the
+// form input the browser shows
+const PARAMETER_TYPES = {
+    int: { sqlType: 'integer', input: 'number', valid: value => /^-?\d+$/.test(value) && Math.abs(Number(value)) <= 2147483647, hint: 'a whole number' },
+    bigint: { sqlType: 'bigint', input: 'text', valid: value => /^-?\d{1,19}$/.test(value), hint: 'a whole number' },
+    numeric: { sqlType: 'numeric', input: 'text', valid: value => /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value), hint: 'a number' },
+    text: { sqlType: 'text', input: 'text', valid: () => true, hint: 'text' },
+    boolean: { sqlType: 'boolean', input: 'checkbox', valid: value => ['true', 'false'].includes(value), hint: 'true or false' },
+    date: { sqlType: 'date', input: 'date', valid: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)), hint: 'a date (YYYY-MM-DD)' },
+    timestamp: { sqlType: 'timestamp', input: 'datetime-local', valid: value => !isNaN(Date.parse(value)), hint: 'a date and time' },
+    timestamptz: { sqlType: 'timestamptz', input: 'datetime-local', valid: value => !isNaN(Date.parse(value)), hint: 'a date and time' },
+    uuid: { sqlType: 'uuid', input: 'text', valid: value => /^[0-9a-f]{8}-?([0-9a-f]{4}-?){3}[0-9a-f]{12}$/i.test(value), hint: 'a UUID' }
+};
+
+const TYPE_ALIASES = { integer: 'int', int4: 'int', int8: 'bigint', decimal: 'numeric', varchar: 'text', bool: 'boolean' };
+
+function invalid(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// One declaration: ":name type [= default]" as a string, or { name, type, label, default }
+function parseDeclaration(declaration) {
+    let spec = declaration;
+    if (typeof declaration === 'string') {
+        const match = /^:?([A-Za-z_][A-Za-z0-9_]*)\s+([A-Za-z0-9]+)\s*(?:=\s*(.*))?$/.exec(declaration.trim());
+        if (!match) {
+            throw invalid(`Invalid parameter "${declaration.trim()}"; declare it as ":name type" or ":name type = default"`);
+        }
+        spec = { name: match[1], type: match[2], default: match[3] === undefined ? undefined : match[3].trim().replace(/^'(.*)'$/, '$1') };
+    }
+    if (!spec || typeof spec !== 'object') {
+        throw invalid('Parameters must be declarations like ":customer_id int"');
+    }
+
+    const name = String(spec.name || '').replace(/^:/, '');
+    if (!PARAMETER_NAME_PATTERN.test(name)) {
+        throw invalid(`Invalid parameter name "${spec.name}"`);
+    }
+    const typeName = String(spec.type || '').toLowerCase();
+    const type = TYPE_ALIASES[typeName] || typeName;
+    if (!PARAMETER_TYPES[type]) {
+        throw invalid(`Unknown type "${spec.type}" for :${name} (use ${Object.keys(PARAMETER_TYPES).join(', ')})`);
+    }
+
+    const parameter = { name, type, label: spec.label ? String(spec.label).trim() : null, default: null };
+    if (spec.default !== undefined && spec.default !== null && spec.default !== '') {
+        parameter.default = coerceValue(parameter, spec.default);
+    }
+    return parameter;
+}
+
+// Declarations as an array, or one per line / comma-separated in a string
+function parseParameters(input) {
+    if (input === undefined || input === null || input === '') {
+        return [];
+    }
+    const list = Array.isArray(input) ? input : String(input).split(/[\n,]/).filter(line => line.trim());
+    const parameters = list.map(parseDeclaration);
+
+    if (parameters.length > MAX_PARAMETERS) {
+        throw invalid(`A query can declare at most ${MAX_PARAMETERS} parameters`);
+    }
+    const names = new Set();
+    for (const parameter of parameters) {
+        if (names.has(parameter.name)) {
+            throw invalid(`Parameter :${parameter.name} is declared twice`);
+        }
+        names.add(parameter.name);
+    }
+    return parameters;
+}
+
+// Tokens of `sql` that are :name placeholders of a declared parameter. A ":"
+// directly followed by a word; casts (::) and anything quoted don't count.
+function placeholderTokens(tokens, names) {
+    const placeholders = [];
+    tokens.forEach((token, index) => {
+        const next = tokens[index + 1];
+        if (token.type === 'punct' && token.value === ':' && next && next.type === 'word' &&
+            next.start === token.end && names.has(next.value)) {
+            placeholders.push({ start: token.start, end: next.end, name: next.value });
+        }
+    });
+    return placeholders;
+}
+
+// Throws unless every declared parameter appears in the SQL
+function checkParametersUsed(sql, parameters) {
+    const used = new Set(placeholderTokens(tokenize(sql), new Set(parameters.map(p => p.name))).map(p => p.name));
+    const unused = parameters.filter(parameter => !used.has(parameter.name));
+    if (unused.length > 0) {
+        throw invalid(`Parameter${unused.length === 1 ? '' : 's'} ${unused.map(p => `:${p.name}`).join(', ')} declared but not used in the SQL`);
+    }
+}
+
+// A submitted value as the string PostgreSQL will parse; throws 400 when it
+// doesn't fit the declared type
+function coerceValue(parameter, value) {
+    let text = value;
+    if (typeof value === 'boolean' || typeof value === 'number') {
+        text = String(value);
+    }
+    if (typeof text !== 'string' || text.length > MAX_VALUE_LENGTH) {
+        throw invalid(`:${parameter.name} must be ${PARAMETER_TYPES[parameter.type].hint}`);
+    }
+    if (parameter.type !== 'text') {
+        text = text.trim();
+    }
+    if (parameter.type === 'boolean') {
+        text = { on: 'true', yes: 'true', '1': 'true', off: 'false', no: 'false', '0': 'false' }[text.toLowerCase()] || text.toLowerCase();
+    }
+    if (!PARAMETER_TYPES[parameter.type].valid(text)) {
+        throw invalid(`:${parameter.name} must be ${PARAMETER_TYPES[parameter.type].hint}`);
+    }
+    return text;
+}
+
+// Rewrite :name placeholders to $n::type and collect the values, in order.
+// Missing values fall back to the declared default, else fail with 400.
+function bindParameters(sql, parameters, input = {}) {
+    const byName = new Map(parameters.map(parameter => [parameter.name, parameter]));
+    const positions = new Map();
+    const values = [];
+
+    for (const parameter of parameters) {
+        // Own properties only, so a parameter named "constructor" can't pick up Object.prototype's
+        const raw = input && Object.hasOwn(input, parameter.name) ? input[parameter.name] : undefined;
+        const missing = raw === undefined || raw === null || (raw === '' && parameter.type !== 'text');
+        if (missing && parameter.default === null) {
+            throw invalid(`A value for :${parameter.name} is required`);
+        }
+        values.push(missing ? parameter.default : coerceValue(parameter, raw));
+        positions.set(parameter.name, values.length);
+    }
+
+    let text = '';
+    let last = 0;
+    for (const placeholder of placeholderTokens(tokenize(sql), new Set(byName.keys()))) {
+        const type = PARAMETER_TYPES[byName.get(placeholder.name).type].sqlType;
+        text += `${sql.slice(last, placeholder.start)}$${positions.get(placeholder.name)}::${type}`;
+        last = placeholder.end;
+    }
+    text += sql.slice(last);
+
+    return { text, values };
+}
+
+// What the browser needs to render a form for `parameters`
+function describeParameters(parameters) {
+    return parameters.map(parameter => ({ ...parameter, input: PARAMETER_TYPES[parameter.type].input }));
+}
+
+module.exports = {
+    PARAMETER_TYPES,
+    parseParameters,
+    checkParametersUsed,
+    bindParameters,
+    describeParameters
+};
@@ -0,0 +1,272 @@
+const { quoteIdent } = require('./sql');
+const { tokenize } = require('./sqlLexer');
+
+// EXPLAIN support for the SQL console: runs EXPLAIN (FORMAT JSON) and turns the
+// plan tree into a flat list of nodes annotated with what deserves a look:
+// the nodes that take most of the time (or cost, without ANALYZE), row
+// estimates that are far off, and sequential scans of large tables.
+const EXPLAIN_CONFIG = {
+    // Tables with at least this many rows make a sequential scan worth flagging
+    largeTableRows: parseInt(process.env.DB_EXPLAIN_LARGE_TABLE) || 10000,
+    // Actual rows off from the estimate by this factor (either way) is a miss
+    estimateMissFactor: 10,
+    // How many of the most expensive nodes to flag
+    costliestNodes: 3
+};
+
+// Statements EXPLAIN accepts
+const EXPLAINABLE_COMMANDS = new Set(['SELECT', 'VALUES', 'TABLE', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'EXECUTE']);
+
+// Run EXPLAIN for `sql` on `client`. Everything happens in a transaction (a
+// savepoint inside an open one) that is always rolled back, so with ANALYZE
+// the statement really runs but its writes don't stick.
+async function explainQuery(client, sql, { analyze = false, statementTimeout = 0, nested = false }) {
+    const options = analyze ? 'FORMAT JSON, VERBOSE, ANALYZE, BUFFERS' : 'FORMAT JSON, VERBOSE';
+    await client.query(nested ? 'SAVEPOINT pgm_explain' : 'BEGIN');
+    try {
+        await client.query(`SET LOCAL statement_timeout = ${statementTimeout}`);
+        const result = await client.query(`EXPLAIN (${options}) ${sql}`);
+        const [explained] = result.rows[0]['QUERY PLAN'];
+        const sizes = await tableSizes(client, planRelations(explained.Plan));
+        return describePlan(explained, { analyze, sizes });
+    } finally {
+        if (nested) {
+            await client.query('ROLLBACK TO SAVEPOINT pgm_explain').catch(() => {});
+            await client.query('RELEASE SAVEPOINT pgm_explain').catch(() => {});
+        } else {
+            await client.query('ROLLBACK').catch(() => {});
+        }
+    }
+}
+
+function walkPlan(node, visit, parent = null, depth = 0) {
+    visit(node, parent, depth);
+    (node.Plans || []).forEach(child => walkPlan(child, visit, node, depth + 1));
+}
+
+// Schema-qualified tables the plan scans
+function planRelations(plan) {
+    const relations = new Map();
+    walkPlan(plan, node => {
+        if (node['Relation Name'] && node.Schema) {
+            relations.set(`${node.Schema}.${node['Relation Name']}`, { schema: node.Schema, name: node['Relation Name'] });
+        }
+    });
+    return Array.from(relations.values());
+}
+
+// Names in `sql` that may be relations: every word or quoted identifier, and
+// every pair of them joined by a dot, as to_regclass() input. Function names
+// (followed by "(") are left out.
+function relationCandidates(sql) {
+    const tokens = tokenize(sql);
+    const isName = token => token && (token.type === 'word' || token.type === 'ident');
+    const part = token => token.type === 'ident' ? token.value : quoteIdent(token.value.toLowerCase());
+    const candidates = new Set();
+
+    for (let i = 0; i < tokens.length; i++) {
+        if (!isName(tokens[i]) || (tokens[i - 1] && tokens[i - 1].value === '.')) {
+            continue;
+        }
+        const chain = [tokens[i]];
+        let end = i;
+        while (tokens[end + 1] && tokens[end + 1].value === '.' && isName(tokens[end + 2])) {
+            end += 2;
+            chain.push(tokens[end]);
+        }
+        if (tokens[end + 1] && tokens[end + 1].value === '(') {
+            continue;
+        }
+        chain.forEach((token, index) => {
+            candidates.add(part(token));
+            if (index > 0) candidates.add(`${part(chain[index - 1])}.${part(token)}`);
+        });
+    }
+    return Array.from(candidates);
+}
+
+// Tables `sql` touches: [{ schema, name, level }]. Reads are the tables,
+// views, materialized views and foreign tables the statement names (resolved
+// on the search_path), so a grant on a view covers what the view reads, and a
+// column named like a relation counts as a read of it. Writes are the tables
+// its plan modifies (EXPLAIN doesn't run it); writing through a view needs a
+// grant on the table under it. Tables read or written inside functions the
+// statement calls don't show up.
+async function planTableAccess(client, sql, values) {
+    const result = await client.query(`EXPLAIN (FORMAT JSON, VERBOSE) ${sql}`, values);
+    const [explained] = result.rows[0]['QUERY PLAN'];
+
+    const tables = new Map();
+    const add = (schema, name, level) => {
+        const key = `${schema}.${name}`;
+        if (!tables.has(key) || level === 'write') {
+            tables.set(key, { schema, name, level });
+        }
+    };
+
+    const named = await client.query(`
+        SELECT DISTINCT n.nspname AS schema, c.relname AS name
+        FROM unnest($1::text[]) AS candidate(name)
+        JOIN pg_class c ON c.oid = to_regclass(candidate.name)
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE c.relkind IN ('r', 'p', 'v', 'm', 'f')
+    `, [relationCandidates(sql)]);
+    named.rows.forEach(row => add(row.schema, row.name, 'read'));
+
+    walkPlan(explained.Plan, node => {
+        if (node['Node Type'] === 'ModifyTable') {
+            // Inherited and partitioned targets are listed one by one
+            [node, ...(node['Target Tables'] || [])]
+                .filter(target => target['Relation Name'] && target.Schema)
+                .forEach(target => add(target.Schema, target['Relation Name'], 'write'));
+        }
+    });
+    return Array.from(tables.values());
+}
+
+// Estimated row counts and sizes of `relations`, keyed "schema.table"
+async function tableSizes(client, relations) {
+    const sizes = new Map();
+    if (relations.length === 0) {
+        return sizes;
+    }
+
+    const result = await client.query(`
+        SELECT n.nspname AS schema, c.relname AS name,
+               c.reltuples::bigint AS rows, pg_total_relation_size(c.oid) AS bytes
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE (n.nspname, c.relname) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+    `, [relations.map(r => r.schema), relations.map(r => r.name)]);
+
+    result.rows.forEach(row => {
+        // reltuples is -1 until the table is first vacuumed or analyzed
+        sizes.set(`${row.schema}.${row.name}`, { rows: Math.max(parseInt(row.rows), 0), bytes: parseInt(row.bytes) });
+    });
+    return sizes;
+}
+
+// Rows a scan node read per loop: what it returned plus what its filter dropped
+function scannedRows(node) {
+    return (node['Actual Rows'] || 0) + (node['Rows Removed by Filter'] || 0);
+}
+
+// Flatten and annotate an EXPLAIN (FORMAT JSON) result. Each node gets its own
+// (exclusive) time or cost, its share of the total and its flags; `findings`
+// lists the flagged nodes, most important first.
+function describePlan(explained, { analyze, sizes }) {
+    const nodes = [];
+    const ids = new Map();
+
+    walkPlan(explained.Plan, (plan, parent, depth) => {
+        const children = plan.Plans || [];
+        const loops = plan['Actual Loops'];
+        const details = Object.fromEntries(Object.entries(plan).filter(([key]) => key !== 'Plans'));
+        const node = {
+            id: nodes.length,
+            parent: parent ? ids.get(parent) : null,
+            depth,
+            type: plan['Node Type'],
+            relation: plan.Schema && plan['Relation Name'] ? `${plan.Schema}.${plan['Relation Name']}` : null,
+            alias: plan.Alias || null,
+            index: plan['Index Name'] || null,
+            joinType: plan['Join Type'] || null,
+            startupCost: plan['Startup Cost'],
+            totalCost: plan['Total Cost'],
+            planRows: plan['Plan Rows'],
+            actualRows: analyze ? plan['Actual Rows'] : null,
+            loops: analyze ? loops : null,
+            // Actual times are per loop; a node's total includes its children's
+            actualTime: analyze && loops ? plan['Actual Total Time'] * loops : null,
+            exclusive: 0,
+            share: 0,
+            flags: [],
+            details
+        };
+
+        const ownTotal = analyze ? node.actualTime || 0 : node.totalCost;
+        const childTotal = children.reduce((sum, child) => sum + (analyze
+            ? (child['Actual Total Time'] || 0) * (child['Actual Loops'] || 0)
+            : child['Total Cost']), 0);
+        node.exclusive = Math.max(ownTotal - childTotal, 0);
+
+        ids.set(plan, node.id);
+        nodes.push(node);
+    });
+
+    const total = nodes.reduce((sum, node) => sum + node.exclusive, 0);
+    nodes.forEach(node => {
+        node.share = total > 0 ? Math.round(node.exclusive / total * 1000) / 10 : 0;
+    });
+
+    const findings = [];
+    const unit = analyze ? 'of the execution time' : 'of the estimated cost';
+
+    [...nodes]
+        .filter(node => node.share >= 10)
+        .sort((a, b) => b.share - a.share)
+        .slice(0, EXPLAIN_CONFIG.costliestNodes)
+        .forEach(node => {
+            node.flags.push('costly');
+            findings.push({ node: node.id, flag: 'costly', message: `${nodeLabel(node)} takes ${node.share}% ${unit}` });
+        });
+
+    if (analyze) {
+        nodes.forEach(node => {
+            if (!node.loops) {
+                return; // never executed
+            }
+            const ratio = Math.max(node.actualRows, 1) / Math.max(node.planRows, 1);
+            if (ratio >= EXPLAIN_CONFIG.estimateMissFactor || ratio <= 1 / EXPLAIN_CONFIG.estimateMissFactor) {
+                node.flags.push('estimate');
+                node.estimateFactor = Math.round(ratio * 100) / 100;
+                findings.push({
+                    node: node.id,
+                    flag: 'estimate',
+                    message: `${nodeLabel(node)} returned ${node.actualRows} rows per loop where ${node.planRows} were estimated; ` +
+                        'the table statistics may be stale (ANALYZE the table)'
+                });
+            }
+        });
+    }
+
+    nodes.forEach(node => {
+        if (node.type !== 'Seq Scan' || !node.relation) {
+            return;
+        }
+        const size = sizes.get(node.relation);
+        const rows = Math.max(size ? size.rows : 0, analyze ? scannedRows(node.details) : 0);
+        if (rows >= EXPLAIN_CONFIG.largeTableRows) {
+            node.flags.push('seq_scan');
+            node.tableRows = rows;
+            findings.push({
+                node: node.id,
+                flag: 'seq_scan',
+                message: `Sequential scan of ${node.relation} (about ${rows} rows)` +
+                    (node.details.Filter ? `; an index on the filtered columns may help: ${node.details.Filter}` : '')
+            });
+        }
+    });
+
+    return {
+        analyze,
+        planningTime: explained['Planning Time'] === undefined ? null : explained['Planning Time'],
+        executionTime: explained['Execution Time'] === undefined ? null : explained['Execution Time'],
+        totalCost: explained.Plan['Total Cost'],
+        triggers: explained.Triggers || [],
+        nodes,
+        findings,
+        plan: explained
+    };
+}
+
+function nodeLabel(node) {
+    return `${node.type}${node.relation ? ` on ${node.relation}` : ''} (node ${node.id})`;
+}
+
+module.exports = {
+    EXPLAIN_CONFIG,
+    EXPLAINABLE_COMMANDS,
+    explainQuery,
+    planTableAccess
+};
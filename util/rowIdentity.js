@@ -0,0 +1,200 @@
+const { quoteIdent } = require('./sql');
+const { getPrimaryKey } = require('./catalog');
+
+// Row identity for editing and deleting single rows: the columns whose values
+// pick out exactly one row. That is the primary key, else the narrowest
+// unique index over NOT NULL columns, else the row's physical location
+// (ctid) for plain tables. A row key is an object of those columns' values
+// as text, e.g. { order_id: "7", line: "2" } or { ctid: "(0,3)" }.
+
+// Extra column the row queries select the key into, stripped from the rows.
+// A table may have a column of that name too, so the identity carries its own
+// `keyField`: this name, with more underscores until no column has it.
+const ROW_KEY_FIELD = '__row_key';
+const CTID_PATTERN = /^\(\d+,\d+\)$/;
+const CTID_WARNING = 'This table has no primary key or unique index over NOT NULL columns, so rows are identified ' +
+    'by their physical location (ctid). It changes when a row is updated or the table is vacuumed or rewritten; ' +
+    'reload before editing again, and consider adding a primary key.';
+
+function invalid(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+async function pickKeyField(client, qualified) {
+    const result = await client.query(
+        'SELECT attname::text AS name FROM pg_attribute WHERE attrelid = $1::regclass AND attnum > 0 AND NOT attisdropped',
+        [qualified]
+    );
+    const taken = new Set(result.rows.map(row => row.name));
+    let field = ROW_KEY_FIELD;
+    while (taken.has(field)) {
+        field = `_${field}`;
+    }
+    return field;
+}
+
+// Valid, non-partial unique index on plain columns that are all NOT NULL,
+// fewest columns first (INCLUDE columns don't count)
+async function findUniqueKey(client, qualified) {
+    const result = await client.query(`
+        SELECT
+            ic.relname as index_name,
+            ARRAY(
+                SELECT a.attname::text
+                FROM generate_series(0, i.indnkeyatts - 1) k
+                JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[k]
+                ORDER BY k
+            ) as columns
+        FROM pg_index i
+        JOIN pg_class ic ON ic.oid = i.indexrelid
+        WHERE i.indrelid = $1::regclass
+            AND i.indisunique AND i.indisvalid
+            AND i.indpred IS NULL AND i.indexprs IS NULL
+            AND NOT EXISTS (
+                SELECT 1
+                FROM generate_series(0, i.indnkeyatts - 1) k
+                JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = i.indkey[k]
+                WHERE NOT a.attnotnull
+            )
+        ORDER BY i.indnkeyatts, ic.relname
+        LIMIT 1;
+    `, [qualified]);
+    return result.rows.length > 0 ? { name: result.rows[0].index_name, columns: result.rows[0].columns } : null;
+}
+
+// How rows of `ref` ({ schema, table, qualified }, see util/sql) are told
+// apart: { kind: 'primary_key' | 'unique_index' | 'ctid' | 'none', columns,
+// index, warning, keyField }. `none` covers views and other relations without
+// a usable key; their rows can't be edited one by one.
+async function getRowIdentity(client, ref) {
+    return { ...await findIdentity(client, ref), keyField: await pickKeyField(client, ref.qualified) };
+}
+
+async function findIdentity(client, ref) {
+    const primaryKey = await getPrimaryKey(client, ref.qualified);
+    if (primaryKey) {
+        return { kind: 'primary_key', columns: primaryKey.columns, index: primaryKey.name, warning: null };
+    }
+
+    const uniqueKey = await findUniqueKey(client, ref.qualified);
+    if (uniqueKey) {
+        return { kind: 'unique_index', columns: uniqueKey.columns, index: uniqueKey.name, warning: null };
+    }
+
+    // A ctid is only unique within one table: not across partitions or
+    // inheritance children, and views have none
+    const relation = await client.query(
+        'SELECT relkind, relhassubclass FROM pg_class WHERE oid = $1::regclass',
+        [ref.qualified]
+    );
+    const { relkind, relhassubclass } = relation.rows[0] || {};
+    if (relkind === 'r' && !relhassubclass) {
+        return { kind: 'ctid', columns: ['ctid'], index: null, warning: CTID_WARNING };
+    }
+    return {
+        kind: 'none',
+        columns: [],
+        index: null,
+        warning: 'Rows of this relation have no key and cannot be edited or deleted one by one.'
+    };
+}
+
+// SQL expression for a row's key, selected as the identity's keyField
+function rowKeyExpression(identity) {
+    if (identity.kind === 'none') {
+        return 'NULL::json';
+    }
+    const pairs = identity.columns.map(column => `'${column.replace(/'/g, "''")}', ${quoteIdent(column)}::text`);
+    return `json_build_object(${pairs.join(', ')})`;
+}
+
+// Select list for row queries: every column plus the key
+function rowSelectList(identity) {
+    return `*, ${rowKeyExpression(identity)} AS ${quoteIdent(identity.keyField)}`;
+}
+
+// Split query rows into { rows, keys } (keys parallel to rows)
+function splitRowKeys(identity, rows) {
+    const keys = [];
+    const stripped = rows.map(row => {
+        const { [identity.keyField]: key, ...rest } = row;
+        keys.push(key === undefined ? null : key);
+        return rest;
+    });
+    return { rows: stripped, keys };
+}
+
+// Row key from a route parameter: a JSON object with exactly the identity's
+// columns, or, when the identity has a single column, its bare value (the
+// form older clients send). Only text that parses to an object is a key
+// object; anything else, `{draft}` included, is a bare value.
+function parseRowKey(identity, raw) {
+    if (identity.kind === 'none') {
+        throw invalid(identity.warning);
+    }
+    const { columns } = identity;
+
+    let key = null;
+    if (typeof raw === 'string' && raw.trim().startsWith('{')) {
+        try {
+            const parsed = JSON.parse(raw);
+            if (parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                key = parsed;
+            }
+        } catch (err) {
+            // Not JSON, so a bare value
+        }
+    }
+    if (key === null) {
+        if (columns.length !== 1) {
+            throw invalid(`Rows of this table are identified by (${columns.join(', ')}); send the key as a JSON object`);
+        }
+        key = { [columns[0]]: raw };
+    }
+
+    const names = Object.keys(key);
+    if (names.length !== columns.length || !columns.every(column => names.includes(column))) {
+        throw invalid(`The row key must have exactly these columns: ${columns.join(', ')}`);
+    }
+    const parsed = {};
+    for (const column of columns) {
+        const value = key[column];
+        if (!['string', 'number', 'boolean'].includes(typeof value)) {
+            throw invalid(`The row key value for ${column} must be a string, number or boolean`);
+        }
+        parsed[column] = String(value);
+    }
+    if (identity.kind === 'ctid' && !CTID_PATTERN.test(parsed.ctid)) {
+        throw invalid(`Invalid ctid "${parsed.ctid}"`);
+    }
+    return parsed;
+}
+
+// WHERE condition matching `key`, with placeholders from $`startIndex`:
+// { condition, values }
+function keyCondition(identity, key, startIndex = 1) {
+    const condition = identity.columns.map((column, index) => identity.kind === 'ctid'
+        ? `ctid = $${startIndex + index}::tid`
+        : `${quoteIdent(column)} = $${startIndex + index}`
+    ).join(' AND ');
+    return { condition, values: identity.columns.map(column => key[column]) };
+}
+
+// Identity as the client sees it
+function describeRowIdentity(identity) {
+    return {
+        kind: identity.kind,
+        columns: identity.columns,
+        index: identity.index,
+        warning: identity.warning
+    };
+}
+
+module.exports = {
+    getRowIdentity,
+    rowSelectList,
+    splitRowKeys,
+    parseRowKey,
+    keyCondition,
+    describeRowIdentity
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { acquireClient } = require('./pool');
+const { getSettings } = require('./settings');
+
+// Statements currently executing for the SQL console, keyed by query ID, so
+// their owner (or an admin) can cancel them from another request. An entry
+// lives only while a statement is on the wire, not while a paged result idles.
+const running = new Map();
+
+const QUERY_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// statement_timeout in milliseconds for a user's console queries: the user's
+// own limit when an admin set one, else the instance default (0 = no limit)
+function statementTimeoutFor(user) {
+    const seconds = user && user.statementTimeout !== null && user.statementTimeout !== undefined
+        ? user.statementTimeout
+        : getSettings().queryTimeout;
+    return seconds * 1000;
+}
+
+// Register a statement about to run on `client`. The browser may choose the
+// ID (so it can cancel before the response arrives); otherwise one is made up.
+function startQuery({ id, owner, profile, client, sql }) {
+    if (id === undefined || id === null || id === '') {
+        id = crypto.randomUUID();
+    } else if (typeof id !== 'string' || !QUERY_ID_PATTERN.test(id)) {
+        throw Object.assign(new Error('queryId must be 8-64 letters, digits, "-" or "_"'), { status: 400 });
+    } else if (running.has(id)) {
+        throw Object.assign(new Error(`Query ${id} is already running`), { status: 409 });
+    }
+
+    running.set(id, {
+        id,
+        owner,
+        profile,
+        client,
+        pid: client.processID,
+        sql,
+        startedAt: new Date().toISOString(),
+        cancelRequested: false,
+        cancelling: null
+    });
+    return id;
+}
+
+// Unregister a statement. Callers must wait for this before releasing the
+// client: a cancel already on its way then lands while the backend is still
+// theirs, never on someone else's statement.
+async function finishQuery(id) {
+    const entry = running.get(id);
+    running.delete(id);
+    if (entry && entry.cancelling) {
+        await entry.cancelling.catch(() => {});
+    }
+}
+
+// finishQuery() for whatever still runs on `client`, for code that releases a
+// client it took over from the request that registered the query
+async function finishQueriesOn(client) {
+    const ids = Array.from(running.values()).filter(entry => entry.client === client).map(entry => entry.id);
+    await Promise.all(ids.map(finishQuery));
+}
+
+// The entry for `id`, or null if it isn't running or `user` may not see it
+function getRunningQuery(id, user) {
+    const entry = running.get(id);
+    if (!entry || (entry.owner !== user.id && user.role !== 'admin')) {
+        return null;
+    }
+    return entry;
+}
+
+function isCancelRequested(id) {
+    const entry = running.get(id);
+    return !!(entry && entry.cancelRequested);
+}
+
+// Running statements of one owner, or everyone's when owner is null
+function listRunningQueries(owner) {
+    const now = Date.now();
+    return Array.from(running.values())
+        .filter(entry => !owner || entry.owner === owner)
+        .map(entry => ({
+            id: entry.id,
+            owner: entry.owner,
+            connection: entry.profile.name,
+            sql: entry.sql,
+            startedAt: entry.startedAt,
+            runningMs: now - Date.parse(entry.startedAt),
+            cancelRequested: entry.cancelRequested
+        }));
+}
+
+// Ask PostgreSQL to cancel the statement, from a second connection of the same
+// profile. Returns false when the query finished before the cancel got there.
+// Until this settles, finishQuery() holds the backend for the query's owner.
+function cancelQuery(entry) {
+    entry.cancelRequested = true;
+    const previous = entry.cancelling || Promise.resolve();
+    entry.cancelling = previous.catch(() => {}).then(() => signalCancel(entry));
+    return entry.cancelling;
+}
+
+async function signalCancel(entry) {
+    const client = await acquireClient(entry.profile);
+    try {
+        // Once finished the backend may go back to the pool; don't signal it
+        // on behalf of a query that is no longer ours
+        if (running.get(entry.id) !== entry) {
+            return false;
+        }
+        const result = await client.query('SELECT pg_cancel_backend($1) AS cancelled', [entry.pid]);
+        return result.rows[0].cancelled;
+    } finally {
+        client.release();
+    }
+}
+
+module.exports = {
+    statementTimeoutFor,
+    startQuery,
+    finishQuery,
+    finishQueriesOn,
+    getRunningQuery,
+    isCancelRequested,
+    listRunningQueries,
+    cancelQuery
+};
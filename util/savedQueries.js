@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { parseParameters, checkParametersUsed, describeParameters } = require('./queryParameters');
+const { analyzeSql } = require('./sqlAnalyzer');
+
+// Saved query library (DATA_DIR/saved-queries.json). A query belongs to the
+// user who saved it; shared ones are visible to everyone (who may run them is
+// up to canRunSavedQuery), but only the owner or an admin may change or
+// delete them. Queries may declare typed parameters (see util/queryParameters).
+const store = createJsonStore(process.env.DB_SAVED_QUERIES_FILE || 'saved-queries.json', { queries: [] });
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_SQL_LENGTH = 100000;
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[\w-]{1,32}$/;
+
+function publicQuery(record, user) {
+    return {
+        id: record.id,
+        owner: record.owner,
+        name: record.name,
+        description: record.description,
+        tags: record.tags,
+        sql: record.sql,
+        parameters: describeParameters(record.parameters || []),
+        kind: statementKind(record.sql),
+        shared: record.shared,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        editable: canEdit(record, user)
+    };
+}
+
+// Kind of the query's statement (see util/sqlAnalyzer); null for a script of
+// several statements, which only runs from the console
+function statementKind(sql) {
+    const { statements } = analyzeSql(sql);
+    return statements.length === 1 ? statements[0].kind : null;
+}
+
+function canView(record, user) {
+    return record.owner === user.id || record.shared;
+}
+
+function canEdit(record, user) {
+    return record.owner === user.id || user.role === 'admin';
+}
+
+// Tags come as an array or a comma-separated string; stored lowercase, unique
+function normalizeTags(tags) {
+    if (tags === undefined || tags === null || tags === '') {
+        return [];
+    }
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+}
+
+// Validate and normalize user input; throws with status 400
+function validateInput(input) {
+    const fail = message => {
+        throw Object.assign(new Error(message), { status: 400 });
+    };
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        fail(`Name is required (max ${MAX_NAME_LENGTH} characters)`);
+    }
+    if (typeof input.sql !== 'string' || !input.sql.trim() || input.sql.length > MAX_SQL_LENGTH) {
+        fail(`SQL is required (max ${MAX_SQL_LENGTH} characters)`);
+    }
+    const description = input.description === undefined || input.description === null ? '' : String(input.description).trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+        fail(`Description is limited to ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    const tags = normalizeTags(input.tags);
+    if (tags.length > MAX_TAGS || !tags.every(tag => TAG_PATTERN.test(tag))) {
+        fail(`Up to ${MAX_TAGS} tags of 1-32 letters, digits, "-" or "_"`);
+    }
+
+    const sql = input.sql.trim();
+    const parameters = parseParameters(input.parameters);
+    checkParametersUsed(sql, parameters);
+
+    return { name, description, tags, sql, parameters, shared: input.shared === true || input.shared === 'true' };
+}
+
+// Queries `user` can see: their own and the shared ones. `tag` and `search`
+// (name, description or SQL) narrow the list.
+function listSavedQueries(user, { tag, search } = {}) {
+    const needle = search ? search.toLowerCase() : null;
+    return store.read().queries
+        .filter(record => canView(record, user))
+        .filter(record => !tag || record.tags.includes(tag.toLowerCase()))
+        .filter(record => !needle || [record.name, record.description, record.sql].some(text => text.toLowerCase().includes(needle)))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(record => publicQuery(record, user));
+}
+
+function getSavedQuery(id, user) {
+    const record = store.read().queries.find(q => q.id === id);
+    return record && canView(record, user) ? publicQuery(record, user) : null;
+}
+
+function assertUniqueName(data, owner, name, exceptId) {
+    if (data.queries.some(q => q.owner === owner && q.id !== exceptId && q.name.toLowerCase() === name.toLowerCase())) {
+        throw Object.assign(new Error(`You already have a saved query named "${name}"`), { status: 409 });
+    }
+}
+
+function createSavedQuery(user, input) {
+    const fields = validateInput(input);
+    return store.update(data => {
+        assertUniqueName(data, user.id, fields.name);
+        const now = new Date().toISOString();
+        const record = { id: crypto.randomBytes(6).toString('hex'), owner: user.id, ...fields, createdAt: now, updatedAt: now };
+        data.queries.push(record);
+        return publicQuery(record, user);
+    });
+}
+
+// Fields left out of `input` keep their value. null when the query doesn't exist
+// or `user` can't see it; throws with status 403 when they can't change it.
+function updateSavedQuery(id, user, input) {
+    return store.update(data => {
+        const record = data.queries.find(q => q.id === id);
+        if (!record || !canView(record, user)) {
+            return null;
+        }
+        if (!canEdit(record, user)) {
+            throw Object.assign(new Error('Only the owner of a saved query can change it'), { status: 403 });
+        }
+
+        const fields = validateInput({
+            name: input.name !== undefined ? input.name : record.name,
+            description: input.description !== undefined ? input.description : record.description,
+            tags: input.tags !== undefined ? input.tags : record.tags,
+            sql: input.sql !== undefined ? input.sql : record.sql,
+            parameters: input.parameters !== undefined ? input.parameters : record.parameters,
+            shared: input.shared !== undefined ? input.shared : record.shared
+        });
+        assertUniqueName(data, record.owner, fields.name, record.id);
+        Object.assign(record, fields, { updatedAt: new Date().toISOString() });
+        return publicQuery(record, user);
+    });
+}
+
+// The deleted query, or null when `user` can't see it; throws 403 like updateSavedQuery()
+function deleteSavedQuery(id, user) {
+    return store.update(data => {
+        const record = data.queries.find(q => q.id === id);
+        if (!record || !canView(record, user)) {
+            return null;
+        }
+        if (!canEdit(record, user)) {
+            throw Object.assign(new Error('Only the owner of a saved query can delete it'), { status: 403 });
+        }
+        data.queries = data.queries.filter(q => q.id !== id);
+        return publicQuery(record, user);
+    });
+}
+
+module.exports = {
+    listSavedQueries,
+    getSavedQuery,
+    createSavedQuery,
+    updateSavedQuery,
+    deleteSavedQuery
+};
@@ -0,0 +1,238 @@
+const { Pool } = require('pg');
+const { createJsonStore } = require('./jsonStore');
+const { getEnvProfile, buildClientConfig } = require('./connections');
+const { quoteIdent, isValidIdentifier } = require('./sql');
+
+// Key/value store with per-entry expiry, shared by sessions and login rate limiting.
+// Every backend implements the same async interface, grouped by namespace:
+//   get(ns, key)                 -> value or null
+//   set(ns, key, value, ttlMs)   -> stores value, expiring ttlMs from now
+//   delete(ns, key)
+//   entries(ns)                  -> [[key, value], ...] (unexpired only)
+//   increment(ns, key, ttlMs)    -> new count; starts over once the entry expired
+//   cleanup()                    -> drops expired entries
+//   close()
+const STORE_TYPES = ['memory', 'file', 'postgres'];
+
+const STORE_CONFIG = {
+    type: process.env.DB_SESSION_STORE || 'memory',
+    file: process.env.DB_SESSION_FILE || 'sessions.json',
+    url: process.env.DB_SESSION_STORE_URL || null,
+    table: process.env.DB_SESSION_TABLE || 'pgm_sessions'
+};
+
+// Process-local; lost on restart and not shared between replicas
+function createMemoryStore() {
+    const namespaces = new Map();
+
+    function bucket(ns) {
+        if (!namespaces.has(ns)) namespaces.set(ns, new Map());
+        return namespaces.get(ns);
+    }
+
+    function live(ns, key) {
+        const entry = bucket(ns).get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            bucket(ns).delete(key);
+            return null;
+        }
+        return entry;
+    }
+
+    return {
+        type: 'memory',
+        async get(ns, key) {
+            const entry = live(ns, key);
+            return entry ? entry.value : null;
+        },
+        async set(ns, key, value, ttlMs) {
+            bucket(ns).set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        async delete(ns, key) {
+            bucket(ns).delete(key);
+        },
+        async entries(ns) {
+            return [...bucket(ns).keys()]
+                .map(key => [key, live(ns, key)])
+                .filter(([, entry]) => entry)
+                .map(([key, entry]) => [key, entry.value]);
+        },
+        async increment(ns, key, ttlMs) {
+            const entry = live(ns, key);
+            const count = (entry ? entry.value : 0) + 1;
+            bucket(ns).set(key, { value: count, expiresAt: Date.now() + ttlMs });
+            return count;
+        },
+        async cleanup() {
+            const now = Date.now();
+            for (const entries of namespaces.values()) {
+                for (const [key, entry] of entries) {
+                    if (entry.expiresAt <= now) entries.delete(key);
+                }
+            }
+        },
+        async close() {}
+    };
+}
+
+// JSON file in DATA_DIR; survives restarts of a single instance
+function createFileStore(fileName) {
+    const store = createJsonStore(fileName, {});
+
+    function live(data, ns, key) {
+        const entry = data[ns] && data[ns][key];
+        return entry && entry.expiresAt > Date.now() ? entry : null;
+    }
+
+    return {
+        type: 'file',
+        filePath: store.filePath,
+        async get(ns, key) {
+            const entry = live(store.read(), ns, key);
+            return entry ? entry.value : null;
+        },
+        async set(ns, key, value, ttlMs) {
+            store.update(data => {
+                data[ns] = data[ns] || {};
+                data[ns][key] = { value, expiresAt: Date.now() + ttlMs };
+            });
+        },
+        async delete(ns, key) {
+            store.update(data => {
+                if (data[ns]) delete data[ns][key];
+            });
+        },
+        async entries(ns) {
+            const data = store.read();
+            return Object.keys(data[ns] || {})
+                .filter(key => live(data, ns, key))
+                .map(key => [key, data[ns][key].value]);
+        },
+        async increment(ns, key, ttlMs) {
+            return store.update(data => {
+                const entry = live(data, ns, key);
+                const count = (entry ? entry.value : 0) + 1;
+                data[ns] = data[ns] || {};
+                data[ns][key] = { value: count, expiresAt: Date.now() + ttlMs };
+                return count;
+            });
+        },
+        async cleanup() {
+            store.update(data => {
+                const now = Date.now();
+                for (const entries of Object.values(data)) {
+                    for (const [key, entry] of Object.entries(entries)) {
+                        if (entry.expiresAt <= now) delete entries[key];
+                    }
+                }
+            });
+        },
+        async close() {}
+    };
+}
+
+// Table in PostgreSQL; shared by every replica pointing at the same database.
+// Uses DB_SESSION_STORE_URL, or the DATABASE_URL connection (never read-only).
+function createPostgresStore({ url, table }) {
+    if (!isValidIdentifier(table)) {
+        throw new Error(`Invalid session table name "${table}"`);
+    }
+
+    const envProfile = getEnvProfile();
+    const pool = new Pool({
+        ...buildClientConfig({ ...envProfile, url: url || envProfile.url, readOnly: false }),
+        max: 2
+    });
+    pool.on('error', (err) => {
+        console.error('[SESSIONS] Idle client error:', err.message);
+    });
+
+    const tableName = quoteIdent(table);
+    let ready = null;
+
+    // Create the table on first use
+    function query(text, params) {
+        if (!ready) {
+            ready = pool.query(`
+                CREATE TABLE IF NOT EXISTS ${tableName} (
+                    namespace TEXT NOT NULL,
+                    key TEXT NOT NULL,
+                    value JSONB NOT NULL,
+                    expires_at TIMESTAMPTZ NOT NULL,
+                    PRIMARY KEY (namespace, key)
+                )
+            `).catch(err => {
+                ready = null;
+                throw err;
+            });
+        }
+        return ready.then(() => pool.query(text, params));
+    }
+
+    return {
+        type: 'postgres',
+        async get(ns, key) {
+            const result = await query(
+                `SELECT value FROM ${tableName} WHERE namespace = $1 AND key = $2 AND expires_at > now()`,
+                [ns, key]
+            );
+            return result.rows.length > 0 ? result.rows[0].value : null;
+        },
+        async set(ns, key, value, ttlMs) {
+            await query(`
+                INSERT INTO ${tableName} (namespace, key, value, expires_at)
+                VALUES ($1, $2, $3, now() + $4 * interval '1 millisecond')
+                ON CONFLICT (namespace, key)
+                DO UPDATE SET value = EXCLUDED.value, expires_at = EXCLUDED.expires_at
+            `, [ns, key, JSON.stringify(value), ttlMs]);
+        },
+        async delete(ns, key) {
+            await query(`DELETE FROM ${tableName} WHERE namespace = $1 AND key = $2`, [ns, key]);
+        },
+        async entries(ns) {
+            const result = await query(
+                `SELECT key, value FROM ${tableName} WHERE namespace = $1 AND expires_at > now()`,
+                [ns]
+            );
+            return result.rows.map(row => [row.key, row.value]);
+        },
+        async increment(ns, key, ttlMs) {
+            // Single statement so concurrent replicas can't lose an increment
+            const result = await query(`
+                INSERT INTO ${tableName} AS s (namespace, key, value, expires_at)
+                VALUES ($1, $2, '1', now() + $3 * interval '1 millisecond')
+                ON CONFLICT (namespace, key) DO UPDATE SET
+                    value = to_jsonb(CASE WHEN s.expires_at <= now() THEN 1 ELSE s.value::int + 1 END),
+                    expires_at = EXCLUDED.expires_at
+                RETURNING value
+            `, [ns, key, ttlMs]);
+            return result.rows[0].value;
+        },
+        async cleanup() {
+            await query(`DELETE FROM ${tableName} WHERE expires_at <= now()`);
+        },
+        async close() {
+            await pool.end();
+        }
+    };
+}
+
+function createStore(config = STORE_CONFIG) {
+    switch (config.type) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore(config.file);
+        case 'postgres':
+            return createPostgresStore(config);
+        default:
+            throw new Error(`Unknown session store "${config.type}" (use ${STORE_TYPES.join(', ')})`);
+    }
+}
+
+module.exports = {
+    STORE_TYPES,
+    STORE_CONFIG,
+    createStore
+};
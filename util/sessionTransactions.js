@@ -0,0 +1,222 @@
+const { acquireClient } = require('./pool');
+
+// Transactions opened from the SQL console (an explicit BEGIN) outlive the
+// request: the connection they run on is pinned to the login session and used
+// for that session's console queries until COMMIT/ROLLBACK. An idle pinned
+// transaction is rolled back eventually, as it is on logout and shutdown.
+const TRANSACTION_CONFIG = {
+    idleTimeout: (parseInt(process.env.DB_QUERY_TXN_IDLE) || 300) * 1000,
+    // How long to wait for the server's ReadyForQuery after a failed statement
+    readyTimeout: 5000
+};
+
+const pinned = new Map();
+
+// Keep the backend's transaction state from every ReadyForQuery message:
+// 'I' idle, 'T' in a transaction, 'E' in a failed transaction. Attached once
+// per pooled client; the listener lives as long as the connection.
+function trackTransactionStatus(client) {
+    if (client.pgmTransactionStatus === undefined) {
+        client.pgmTransactionStatus = 'I';
+        client.connection.on('readyForQuery', message => {
+            client.pgmTransactionStatus = message.status;
+        });
+    }
+    return client;
+}
+
+function lastStatus(client) {
+    return { I: 'idle', T: 'open', E: 'failed' }[client.pgmTransactionStatus] || 'idle';
+}
+
+// Whether the connection is gone (the backend exited, or the client ended)
+function isClosed(client) {
+    return client._ending || client._ended || client._queryable === false;
+}
+
+// 'idle', 'open' or 'failed' (a statement failed; only ROLLBACK will do).
+// pg rejects a failed query as soon as the error arrives, before the server's
+// ReadyForQuery, so wait for that first when the client isn't ready yet, but
+// not for ever. A closed connection is idle: its transaction went with it.
+async function transactionStatus(client) {
+    if (isClosed(client)) {
+        return 'idle';
+    }
+    if (!client.readyForQuery && client.queryQueue.length === 0) {
+        await new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                client.connection.off('readyForQuery', done);
+                client.connection.off('end', done);
+                resolve();
+            };
+            const timer = setTimeout(done, TRANSACTION_CONFIG.readyTimeout);
+            client.connection.on('readyForQuery', done);
+            client.connection.on('end', done);
+        });
+        if (isClosed(client)) {
+            return 'idle';
+        }
+    }
+    return lastStatus(client);
+}
+
+function describe(entry) {
+    if (!entry) {
+        return { open: false };
+    }
+    return {
+        open: true,
+        failed: lastStatus(entry.client) === 'failed',
+        connection: entry.profile.name,
+        since: entry.since
+    };
+}
+
+function scheduleRollback(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+        if (entry.busy) {
+            scheduleRollback(entry);
+            return;
+        }
+        console.log(`[QUERY] Rolling back idle transaction of "${entry.owner}" (open since ${entry.since})`);
+        closeSessionTransaction(entry.key).catch(() => {});
+    }, TRANSACTION_CONFIG.idleTimeout);
+    entry.timer.unref();
+}
+
+// The session's open transaction ({ open: false } if none)
+function getSessionTransaction(key) {
+    return describe(key ? pinned.get(key) : null);
+}
+
+// Client for a console request: the session's pinned connection while it has
+// a transaction open, otherwise a fresh one from `profile`'s pool. Hand the
+// result to releaseSessionClient() when done.
+async function acquireSessionClient(key, owner, profile) {
+    const entry = key ? pinned.get(key) : null;
+    if (entry) {
+        if (entry.busy) {
+            throw Object.assign(new Error('A statement is already running in this session\'s transaction'), { status: 409 });
+        }
+        entry.busy = true;
+        return { key, owner, profile: entry.profile, client: entry.client, entry };
+    }
+
+    const client = trackTransactionStatus(await acquireClient(profile));
+    return { key, owner, profile, client, entry: null };
+}
+
+// Give a console client back to its pool with none of what the console did to
+// the session (SET, SET ROLE, temp tables, prepared statements, advisory
+// locks, LISTEN) left behind for the next user: DISCARD ALL puts it back as
+// it was when it connected
+async function discardAndRelease(client) {
+    try {
+        await client.query('DISCARD ALL');
+        client.release();
+    } catch (err) {
+        // A connection that can't be reset isn't reused
+        client.release(err);
+    }
+}
+
+// Pin the connection if the request left a transaction open, otherwise give
+// it back. Without a session (API tokens) an open transaction is rolled back,
+// as is one opened while another request of the same session pinned its own.
+// Returns the transaction state, plus `rolledBack` in those cases.
+async function releaseSessionClient(session) {
+    const { key, owner, profile, client } = session;
+    let entry = session.entry;
+    const status = await transactionStatus(client);
+
+    // Rolled back (logout) while this request was still using it
+    if (entry && entry.closing) {
+        await rollbackAndRelease(entry);
+        return { open: false, rolledBack: true };
+    }
+
+    if (status === 'idle' || !key) {
+        let rolledBack = false;
+        if (entry) {
+            clearTimeout(entry.timer);
+            pinned.delete(key);
+        }
+        if (status !== 'idle') {
+            try {
+                await client.query('ROLLBACK');
+                rolledBack = true;
+            } catch (err) {
+                client.release(err);
+                return { open: false, rolledBack: true };
+            }
+        }
+        await discardAndRelease(client);
+        return rolledBack ? { open: false, rolledBack } : { open: false };
+    }
+
+    // Two requests of one session that each opened a transaction on a fresh
+    // connection: the first to finish keeps its transaction, the other's is
+    // rolled back rather than orphaned
+    if (!entry && pinned.has(key)) {
+        console.log(`[QUERY] Rolling back a second transaction of "${owner}"; the session already has one open`);
+        await rollbackAndRelease({ key, owner, client, timer: null });
+        return { ...describe(pinned.get(key)), rolledBack: true };
+    }
+
+    if (!entry) {
+        entry = { key, owner, profile, client, since: new Date().toISOString(), busy: false, closing: false, timer: null };
+        pinned.set(key, entry);
+        console.log(`[QUERY] Pinned a connection of profile "${profile.name}" to a transaction of "${owner}"`);
+    }
+    entry.busy = false;
+    scheduleRollback(entry);
+    return describe(entry);
+}
+
+async function rollbackAndRelease(entry) {
+    if (pinned.get(entry.key) === entry) {
+        pinned.delete(entry.key);
+    }
+    clearTimeout(entry.timer);
+    try {
+        await entry.client.query('ROLLBACK');
+    } catch (err) {
+        console.error(`[QUERY] Error rolling back transaction of "${entry.owner}":`, err.message);
+        entry.client.release(err);
+        return;
+    }
+    await discardAndRelease(entry.client);
+}
+
+// Roll back and unpin a session's transaction; false if it had none. One in
+// use right now is rolled back when its request finishes.
+async function closeSessionTransaction(key) {
+    const entry = key ? pinned.get(key) : null;
+    if (!entry) {
+        return false;
+    }
+
+    if (entry.busy) {
+        entry.closing = true;
+        pinned.delete(key);
+    } else {
+        await rollbackAndRelease(entry);
+    }
+    return true;
+}
+
+async function closeAllSessionTransactions() {
+    await Promise.all(Array.from(pinned.keys()).map(key => closeSessionTransaction(key)));
+}
+
+module.exports = {
+    TRANSACTION_CONFIG,
+    transactionStatus,
+    getSessionTransaction,
+    acquireSessionClient,
+    releaseSessionClient,
+    closeSessionTransaction,
+    closeAllSessionTransactions
+};
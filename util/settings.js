@@ -0,0 +1,37 @@
+const { createJsonStore } = require('./jsonStore');
+
+// Instance-wide settings changed by admins at runtime (DATA_DIR/settings.json)
+const store = createJsonStore('settings.json', { requireTotp: false, queryTimeout: null });
+
+// Default statement_timeout for SQL console queries, in seconds (0 = no limit)
+const DEFAULT_QUERY_TIMEOUT = process.env.DB_QUERY_TIMEOUT !== undefined && process.env.DB_QUERY_TIMEOUT !== ''
+    ? parseInt(process.env.DB_QUERY_TIMEOUT) || 0
+    : 300;
+const MAX_QUERY_TIMEOUT = 24 * 60 * 60;
+
+// A timeout in whole seconds, 0 (no limit) up to a day
+function isValidQueryTimeout(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_QUERY_TIMEOUT;
+}
+
+// DB_REQUIRE_2FA=true forces two-factor on regardless of the stored setting
+function getSettings() {
+    const settings = store.read();
+    const forced = process.env.DB_REQUIRE_2FA === 'true';
+    return {
+        requireTotp: forced || !!settings.requireTotp,
+        requireTotpForced: forced,
+        queryTimeout: Number.isInteger(settings.queryTimeout) ? settings.queryTimeout : DEFAULT_QUERY_TIMEOUT
+    };
+}
+
+// queryTimeout: seconds, or null to go back to DB_QUERY_TIMEOUT
+function updateSettings({ requireTotp, queryTimeout }) {
+    store.update(data => {
+        if (requireTotp !== undefined) data.requireTotp = !!requireTotp;
+        if (queryTimeout !== undefined) data.queryTimeout = queryTimeout;
+    });
+    return getSettings();
+}
+
+module.exports = { DEFAULT_QUERY_TIMEOUT, MAX_QUERY_TIMEOUT, isValidQueryTimeout, getSettings, updateSettings };
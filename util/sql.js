@@ -0,0 +1,52 @@
+// Identifier helpers shared by the database routes
+
+const IDENTIFIER_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_$]*$/;
+const DEFAULT_SCHEMA = 'public';
+
+// Check that a schema, table or column name is a plain SQL identifier
+function isValidIdentifier(name) {
+    return typeof name === 'string' && name.length <= 63 && IDENTIFIER_PATTERN.test(name);
+}
+
+// Quote an identifier for interpolation into SQL text
+function quoteIdent(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+// Build a schema-qualified, quoted relation name
+function qualifiedName(schema, table) {
+    return `${quoteIdent(schema)}.${quoteIdent(table)}`;
+}
+
+// Resolve a table reference from a route parameter and an optional schema.
+// Accepts either "table" (schema from the second argument, default public)
+// or a qualified "schema.table". Returns null when either part is invalid.
+function parseTableRef(tableParam, schemaParam) {
+    if (!tableParam || typeof tableParam !== 'string') {
+        return null;
+    }
+
+    let schema = schemaParam || DEFAULT_SCHEMA;
+    let table = tableParam;
+
+    const parts = tableParam.split('.');
+    if (parts.length === 2) {
+        [schema, table] = parts;
+    } else if (parts.length > 2) {
+        return null;
+    }
+
+    if (!isValidIdentifier(schema) || !isValidIdentifier(table)) {
+        return null;
+    }
+
+    return { schema, table, qualified: qualifiedName(schema, table) };
+}
+
+module.exports = {
+    DEFAULT_SCHEMA,
+    isValidIdentifier,
+    quoteIdent,
+    qualifiedName,
+    parseTableRef
+};
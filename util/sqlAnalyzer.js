@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const { tokenize, splitTokens } = require('./sqlLexer');
+
+// Safety analysis for the SQL console. Each statement is classified by what it
+// does (read, dml, ddl, admin, transaction or other) and checked for changes
+// that are easy to regret: UPDATE/DELETE without a real WHERE clause, TRUNCATE,
+// DROP and ALTER. Analysis works on tokens and clause structure, so keywords
+// in strings, comments or identifiers (a column named "updated") don't count,
+// and a WHERE in a subquery doesn't bound the statement around it. Statements
+// inside WITH and EXPLAIN ANALYZE are analyzed too.
+
+const COMMAND_KINDS = {
+    SELECT: 'read', VALUES: 'read', TABLE: 'read', SHOW: 'read', FETCH: 'read', MOVE: 'read', CLOSE: 'read', DECLARE: 'read',
+    INSERT: 'dml', UPDATE: 'dml', DELETE: 'dml', MERGE: 'dml', CALL: 'dml', DO: 'dml', EXECUTE: 'dml',
+    CREATE: 'ddl', ALTER: 'ddl', DROP: 'ddl', TRUNCATE: 'ddl', COMMENT: 'ddl', SECURITY: 'ddl', IMPORT: 'ddl',
+    GRANT: 'admin', REVOKE: 'admin', VACUUM: 'admin', ANALYZE: 'admin', ANALYSE: 'admin', CLUSTER: 'admin', REINDEX: 'admin',
+    REFRESH: 'admin', CHECKPOINT: 'admin', SET: 'admin', RESET: 'admin', LOAD: 'admin', LOCK: 'admin', DISCARD: 'admin',
+    LISTEN: 'admin', NOTIFY: 'admin', UNLISTEN: 'admin', REASSIGN: 'admin',
+    BEGIN: 'transaction', START: 'transaction', COMMIT: 'transaction', END: 'transaction', ROLLBACK: 'transaction',
+    ABORT: 'transaction', SAVEPOINT: 'transaction', RELEASE: 'transaction'
+};
+
+// CREATE/ALTER/DROP of these is cluster administration rather than schema work
+const ADMIN_OBJECTS = new Set(['DATABASE', 'ROLE', 'USER', 'GROUP', 'TABLESPACE', 'SYSTEM', 'SUBSCRIPTION', 'PUBLICATION', 'SERVER', 'USER MAPPING']);
+const OBJECT_MODIFIERS = new Set(['OR', 'REPLACE', 'TEMP', 'TEMPORARY', 'UNLOGGED', 'GLOBAL', 'LOCAL', 'UNIQUE', 'RECURSIVE', 'TRUSTED', 'PROCEDURAL']);
+const OBJECT_SECOND_WORDS = new Set(['VIEW', 'TABLE', 'DATA', 'TRIGGER', 'SEARCH', 'METHOD', 'CLASS', 'FAMILY', 'PRIVILEGES', 'MAPPING', 'OBJECT']);
+
+// Statements that may follow a WITH list
+const WITH_STATEMENTS = ['SELECT', 'VALUES', 'TABLE', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'];
+
+// Whether `token` is a keyword, or one of `words` when given
+function isWord(token, ...words) {
+    return !!token && token.type === 'word' && (words.length === 0 || words.includes(token.upper));
+}
+
+function isPunct(token, value) {
+    return !!token && token.type === 'punct' && token.value === value;
+}
+
+// Index of the ")" closing the "(" at `open` (tokens.length if unbalanced)
+function closingParen(tokens, open) {
+    let depth = 0;
+    for (let i = open; i < tokens.length; i++) {
+        if (isPunct(tokens[i], '(')) depth++;
+        else if (isPunct(tokens[i], ')') && --depth === 0) return i;
+    }
+    return tokens.length;
+}
+
+// First keyword among `words` outside any parentheses, from `from` on; -1 if none
+function topLevelWord(tokens, words, from = 0) {
+    for (let i = from; i < tokens.length; i++) {
+        if (isPunct(tokens[i], '(')) i = closingParen(tokens, i);
+        else if (isWord(tokens[i], ...words)) return i;
+    }
+    return -1;
+}
+
+// A possibly qualified name starting at `i`: { name, next }
+function readName(tokens, i) {
+    const parts = [];
+    while (tokens[i] && (tokens[i].type === 'word' || tokens[i].type === 'ident')) {
+        parts.push(tokens[i].value);
+        if (!isPunct(tokens[i + 1], '.')) {
+            i++;
+            break;
+        }
+        i += 2;
+    }
+    return { name: parts.join('.'), next: i };
+}
+
+// Comma-separated names from `i`, skipping argument lists and trailing options
+function readNameList(tokens, i) {
+    const names = [];
+    while (i < tokens.length) {
+        const { name, next } = readName(tokens, i);
+        if (!name) break;
+        names.push(name);
+        i = next;
+        if (isPunct(tokens[i], '(')) i = closingParen(tokens, i) + 1;
+        if (isPunct(tokens[i], '*')) i++;
+        if (!isPunct(tokens[i], ',')) break;
+        i++;
+    }
+    return names;
+}
+
+function skipWords(tokens, i, ...words) {
+    while (isWord(tokens[i], ...words)) i++;
+    return i;
+}
+
+// Object type after CREATE/ALTER/DROP ("TABLE", "MATERIALIZED VIEW", ...) and
+// the index of the object's name
+function objectType(tokens) {
+    let i = 1;
+    while (isWord(tokens[i]) && OBJECT_MODIFIERS.has(tokens[i].upper)) i++;
+    if (!isWord(tokens[i])) {
+        return { type: '', next: i };
+    }
+    let type = tokens[i].upper;
+    i++;
+    if (isWord(tokens[i]) && OBJECT_SECOND_WORDS.has(tokens[i].upper)) {
+        type += ` ${tokens[i].upper}`;
+        i++;
+    }
+    if (isWord(tokens[i], 'IF')) i = skipWords(tokens, i + 1, 'NOT', 'EXISTS');
+    i = skipWords(tokens, i, 'CONCURRENTLY', 'ONLY');
+    return { type, next: i };
+}
+
+// WHERE conditions that hold for every row
+function isAlwaysTrue(condition) {
+    if (condition.length === 1) {
+        return isWord(condition[0], 'TRUE');
+    }
+    return condition.length === 3 &&
+        condition[1].value === '=' &&
+        ['number', 'string'].includes(condition[0].type) &&
+        condition[0].value === condition[2].value;
+}
+
+// Risk of an UPDATE/DELETE whose top-level WHERE is missing or always true
+function unboundedRisk(tokens, code, message) {
+    const where = topLevelWord(tokens, ['WHERE']);
+    if (where !== -1) {
+        const end = topLevelWord(tokens, ['RETURNING'], where);
+        const condition = tokens.slice(where + 1, end === -1 ? tokens.length : end);
+        if (!isAlwaysTrue(condition)) {
+            return null;
+        }
+        message = message.replace('has no WHERE clause', 'has a WHERE clause that is always true');
+    }
+    return { code, message, line: tokens[0].line };
+}
+
+// The WITH list starting at `i` (just after WITH): the CTE bodies and the index
+// of the statement that follows. null when it doesn't look like a WITH list.
+function parseWith(tokens, i) {
+    const bodies = [];
+    i = skipWords(tokens, i, 'RECURSIVE');
+    while (i < tokens.length) {
+        i = readName(tokens, i).next;
+        if (isPunct(tokens[i], '(')) i = closingParen(tokens, i) + 1;
+        if (!isWord(tokens[i], 'AS')) return null;
+        i = skipWords(tokens, i + 1, 'NOT', 'MATERIALIZED');
+        if (!isPunct(tokens[i], '(')) return null;
+        const close = closingParen(tokens, i);
+        bodies.push(tokens.slice(i + 1, close));
+        i = close + 1;
+        // SEARCH/CYCLE clauses of recursive CTEs run up to the next CTE or the statement
+        if (isWord(tokens[i], 'SEARCH', 'CYCLE')) {
+            while (i < tokens.length && !isPunct(tokens[i], ',') && !isWord(tokens[i], ...WITH_STATEMENTS)) i++;
+        }
+        if (!isPunct(tokens[i], ',')) break;
+        i++;
+    }
+    return { bodies, next: i };
+}
+
+// { command, kind, risks } of one statement's tokens
+function analyzeTokens(tokens) {
+    let start = 0;
+    while (isPunct(tokens[start], '(')) start++;
+
+    if (!isWord(tokens[start], 'WITH')) {
+        return analyzeCommand(tokens.slice(start));
+    }
+
+    const parsed = parseWith(tokens, start + 1);
+    if (!parsed) {
+        return { command: 'WITH', kind: 'other', risks: [] };
+    }
+    const nested = parsed.bodies.filter(body => body.length > 0).map(analyzeTokens);
+    const result = analyzeTokens(tokens.slice(parsed.next));
+    result.risks = nested.flatMap(inner => inner.risks).concat(result.risks);
+    if (result.kind === 'read' && nested.some(inner => inner.kind === 'dml')) {
+        result.kind = 'dml';
+    }
+    return result;
+}
+
+function analyzeCommand(tokens) {
+    const first = tokens[0];
+    if (!isWord(first)) {
+        return { command: first ? first.value : '', kind: 'other', risks: [] };
+    }
+    const command = first.upper;
+    const kind = COMMAND_KINDS[command] || 'other';
+
+    switch (command) {
+        case 'SELECT':
+            // SELECT ... INTO creates a table
+            return { command, kind: topLevelWord(tokens, ['INTO']) === -1 ? 'read' : 'ddl', risks: [] };
+
+        case 'EXPLAIN': {
+            // Plain EXPLAIN only plans; EXPLAIN ANALYZE runs the statement
+            let i = 1;
+            let analyze = false;
+            if (isPunct(tokens[i], '(')) {
+                const close = closingParen(tokens, i);
+                const options = tokens.slice(i + 1, close);
+                analyze = options.some((token, index) => isWord(token, 'ANALYZE', 'ANALYSE') &&
+                    !isWord(options[index + 1], 'FALSE', 'OFF') && !(options[index + 1] && options[index + 1].value === '0'));
+                i = close + 1;
+            } else {
+                while (isWord(tokens[i], 'ANALYZE', 'ANALYSE', 'VERBOSE')) {
+                    analyze = analyze || isWord(tokens[i], 'ANALYZE', 'ANALYSE');
+                    i++;
+                }
+            }
+            if (!analyze) {
+                return { command, kind: 'read', risks: [] };
+            }
+            const inner = analyzeTokens(tokens.slice(i));
+            return { command: `EXPLAIN ANALYZE ${inner.command}`.trim(), kind: inner.kind, risks: inner.risks };
+        }
+
+        case 'PREPARE': {
+            if (isWord(tokens[1], 'TRANSACTION')) {
+                return { command: 'PREPARE TRANSACTION', kind: 'transaction', risks: [] };
+            }
+            const as = topLevelWord(tokens, ['AS']);
+            const inner = as === -1 ? { kind: 'other', risks: [] } : analyzeTokens(tokens.slice(as + 1));
+            return { command, kind: inner.kind, risks: inner.risks };
+        }
+
+        case 'COPY':
+            // COPY (query) TO and COPY table TO only read
+            return { command, kind: topLevelWord(tokens, ['FROM']) === -1 ? 'read' : 'dml', risks: [] };
+
+        case 'UPDATE': {
+            const table = readName(tokens, skipWords(tokens, 1, 'ONLY')).name;
+            const risk = unboundedRisk(tokens, 'unbounded_update', `UPDATE of ${table} has no WHERE clause and changes every row`);
+            return { command, kind, risks: risk ? [risk] : [] };
+        }
+
+        case 'DELETE': {
+            const table = readName(tokens, skipWords(tokens, 1, 'FROM', 'ONLY')).name;
+            const risk = unboundedRisk(tokens, 'unbounded_delete', `DELETE from ${table} has no WHERE clause and removes every row`);
+            return { command, kind, risks: risk ? [risk] : [] };
+        }
+
+        case 'TRUNCATE': {
+            const tables = readNameList(tokens, skipWords(tokens, 1, 'TABLE', 'ONLY'));
+            return {
+                command,
+                kind,
+                risks: [{ code: 'truncate', message: `TRUNCATE removes every row of ${tables.join(', ')}`, line: first.line }]
+            };
+        }
+
+        case 'CREATE':
+        case 'ALTER':
+        case 'DROP': {
+            const { type, next } = objectType(tokens);
+            const objectKind = ADMIN_OBJECTS.has(type) ? 'admin' : 'ddl';
+            const label = `${command} ${type}`.trim();
+            if (command === 'CREATE') {
+                return { command: label, kind: objectKind, risks: [] };
+            }
+            const names = type === 'SYSTEM' ? '' : readNameList(tokens, next).join(', ');
+            const message = command === 'DROP'
+                ? `${label} ${names} can't be undone`
+                : type === 'SYSTEM' ? 'ALTER SYSTEM changes the server configuration' : `${label} ${names} changes its definition`;
+            return { command: label, kind: objectKind, risks: [{ code: command.toLowerCase(), message: message.replace(/\s+/g, ' '), line: first.line }] };
+        }
+
+        default:
+            return { command, kind, risks: [] };
+    }
+}
+
+// Analyze every statement of `sql`:
+// { statements: [{ line, command, kind }], risks: [{ code, message, line }], dangerous }
+function analyzeSql(sql) {
+    const analyzed = splitTokens(tokenize(sql)).map(tokens => ({ line: tokens[0].line, ...analyzeTokens(tokens) }));
+    const risks = analyzed.flatMap(statement => statement.risks);
+    return {
+        statements: analyzed.map(({ line, command, kind }) => ({ line, command, kind })),
+        risks,
+        dangerous: risks.length > 0
+    };
+}
+
+// Confirmation tokens: dangerous SQL only runs when the request carries a token
+// issued to the same user for the exact same text, so running it takes a second,
+// deliberate request. Tokens are HMACs and expire. The key is derived from
+// DB_AUTH_SECRET, so tokens survive restarts and work on every replica; without
+// it each process makes up its own.
+const CONFIRMATION_KEY = process.env.DB_AUTH_SECRET
+    ? crypto.createHmac('sha256', process.env.DB_AUTH_SECRET).update('pgm sql confirmation tokens v1').digest()
+    : crypto.randomBytes(32);
+const CONFIRMATION_TTL = 10 * 60 * 1000;
+
+function signConfirmation(owner, expires, sql) {
+    return crypto.createHmac('sha256', CONFIRMATION_KEY).update(`${owner}\n${expires}\n${sql}`).digest('base64url');
+}
+
+function createConfirmationToken(owner, sql) {
+    const expires = Date.now() + CONFIRMATION_TTL;
+    return `${expires.toString(36)}.${signConfirmation(owner, expires, sql)}`;
+}
+
+function isValidConfirmation(token, owner, sql) {
+    const match = /^([0-9a-z]+)\.([A-Za-z0-9_-]+)$/.exec(typeof token === 'string' ? token : '');
+    if (!match) {
+        return false;
+    }
+    const expires = parseInt(match[1], 36);
+    if (expires < Date.now()) {
+        return false;
+    }
+    const expected = Buffer.from(signConfirmation(owner, expires, sql));
+    const actual = Buffer.from(match[2]);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    analyzeSql,
+    createConfirmationToken,
+    isValidConfirmation
+};
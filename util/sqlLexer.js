@@ -0,0 +1,206 @@
+// Tokenizer for PostgreSQL SQL, shared by script splitting and the safety
+// analyzer. Comments and whitespace are dropped; strings, quoted identifiers
+// and dollar-quoted bodies come out as single tokens, so nothing inside them
+// is ever mistaken for a keyword or a statement separator.
+//
+// Token: { type, value, upper, start, end, line } where type is one of
+// word, ident (quoted identifier), string, number, param, op or punct.
+
+const WORD_START = /[A-Za-z_\u0080-\uffff]/;
+const WORD_PART = /[A-Za-z0-9_$\u0080-\uffff]/;
+const OPERATOR_CHARS = '+-*/<>=~!@#%^&|`?';
+const PUNCTUATION = '(),;.[]:';
+
+function tokenize(sql) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+
+    function advanceTo(end) {
+        for (; i < end; i++) {
+            if (sql[i] === '\n') line++;
+        }
+    }
+
+    function push(type, start, startLine, extra) {
+        const value = sql.slice(start, i);
+        tokens.push({ type, value, upper: type === 'word' ? value.toUpperCase() : value, start, end: i, line: startLine, ...extra });
+    }
+
+    // Quoted run ending at an unescaped `quote`; a doubled quote is literal
+    function skipQuoted(quote, backslashEscapes) {
+        let j = i + 1;
+        while (j < sql.length) {
+            if (backslashEscapes && sql[j] === '\\') {
+                j += 2;
+            } else if (sql[j] === quote) {
+                if (sql[j + 1] !== quote) break;
+                j += 2;
+            } else {
+                j++;
+            }
+        }
+        advanceTo(Math.min(j + 1, sql.length));
+    }
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+        const start = i;
+        const startLine = line;
+
+        if (char === '\n' || /\s/.test(char)) {
+            advanceTo(i + 1);
+            continue;
+        }
+        if (char === '-' && next === '-') {
+            const end = sql.indexOf('\n', i);
+            advanceTo(end === -1 ? sql.length : end);
+            continue;
+        }
+        if (char === '/' && next === '*') {
+            // Block comments nest in PostgreSQL
+            let depth = 0;
+            let j = i;
+            while (j < sql.length) {
+                if (sql[j] === '/' && sql[j + 1] === '*') {
+                    depth++;
+                    j += 2;
+                } else if (sql[j] === '*' && sql[j + 1] === '/') {
+                    depth--;
+                    j += 2;
+                    if (depth === 0) break;
+                } else {
+                    j++;
+                }
+            }
+            advanceTo(Math.min(j, sql.length));
+            continue;
+        }
+
+        // Prefixed strings: E'..' (backslash escapes), B'..', X'..', N'..', U&'..' and U&".."
+        const prefix = /^(?:[eEbBxXnN]'|[uU]&['"])/.exec(sql.slice(i, i + 3));
+        if (prefix) {
+            const quote = prefix[0].slice(-1);
+            advanceTo(i + prefix[0].length - 1);
+            skipQuoted(quote, /^[eE]/.test(prefix[0]));
+            push(quote === '"' ? 'ident' : 'string', start, startLine);
+            continue;
+        }
+        if (char === "'") {
+            skipQuoted("'", false);
+            push('string', start, startLine);
+            continue;
+        }
+        if (char === '"') {
+            skipQuoted('"', false);
+            push('ident', start, startLine, { name: sql.slice(start + 1, i - 1).replace(/""/g, '"') });
+            continue;
+        }
+        if (char === '$') {
+            const tag = /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i, i + 64));
+            if (tag) {
+                const end = sql.indexOf(tag[0], i + tag[0].length);
+                advanceTo(end === -1 ? sql.length : end + tag[0].length);
+                push('string', start, startLine);
+                continue;
+            }
+            const param = /^\$\d+/.exec(sql.slice(i, i + 12));
+            if (param) {
+                advanceTo(i + param[0].length);
+                push('param', start, startLine);
+                continue;
+            }
+        }
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next || ''))) {
+            const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(sql.slice(i));
+            advanceTo(i + number[0].length);
+            push('number', start, startLine);
+            continue;
+        }
+        if (WORD_START.test(char)) {
+            let j = i + 1;
+            while (j < sql.length && WORD_PART.test(sql[j])) j++;
+            advanceTo(j);
+            push('word', start, startLine);
+            continue;
+        }
+        if (char === ':' && next === ':') {
+            advanceTo(i + 2);
+            push('op', start, startLine);
+            continue;
+        }
+        if (PUNCTUATION.includes(char)) {
+            advanceTo(i + 1);
+            push('punct', start, startLine);
+            continue;
+        }
+        let j = i;
+        while (j < sql.length && OPERATOR_CHARS.includes(sql[j]) &&
+            !(sql[j] === '-' && sql[j + 1] === '-') && !(sql[j] === '/' && sql[j + 1] === '*')) {
+            j++;
+        }
+        advanceTo(Math.max(j, i + 1));
+        push('op', start, startLine);
+    }
+
+    return tokens;
+}
+
+// CREATE [OR REPLACE] FUNCTION|PROCEDURE: the only statements that can have
+// a BEGIN ATOMIC body
+function isRoutineHeader(tokens) {
+    const words = tokens.slice(0, 4).map(token => token.type === 'word' ? token.upper : null);
+    const kind = words[0] !== 'CREATE' ? null
+        : words[1] === 'OR' && words[2] === 'REPLACE' ? words[3]
+        : words[1];
+    return kind === 'FUNCTION' || kind === 'PROCEDURE';
+}
+
+// Group tokens into statements on semicolons. SQL-standard function bodies
+// (BEGIN ATOMIC ... END) keep their inner semicolons; such a body only opens
+// at the top level of a CREATE FUNCTION/PROCEDURE and closes on its own END,
+// so "begin atomic" anywhere else (a column alias, say) can't swallow the
+// statements after it.
+function splitTokens(tokens) {
+    const statements = [];
+    let current = [];
+    let atomic = false;
+    let depth = 0;
+    let cases = 0;
+
+    tokens.forEach((token, index) => {
+        const previous = current[current.length - 1];
+        if (token.type === 'punct' && token.value === '(') {
+            depth++;
+        } else if (token.type === 'punct' && token.value === ')') {
+            depth = Math.max(depth - 1, 0);
+        } else if (token.type === 'word' && !atomic) {
+            const next = tokens[index + 1];
+            if (token.upper === 'BEGIN' && next && next.type === 'word' && next.upper === 'ATOMIC' &&
+                depth === 0 && !(previous && previous.value === '.') && isRoutineHeader(current)) {
+                atomic = true;
+            }
+        } else if (token.type === 'word' && !(previous && previous.value === '.')) {
+            if (token.upper === 'CASE') {
+                cases++;
+            } else if (token.upper === 'END') {
+                if (cases > 0) cases--;
+                else atomic = false;
+            }
+        }
+        if (token.value === ';' && token.type === 'punct' && !atomic) {
+            if (current.length > 0) statements.push(current);
+            current = [];
+            depth = 0;
+            cases = 0;
+        } else {
+            current.push(token);
+        }
+    });
+    if (current.length > 0) statements.push(current);
+
+    return statements;
+}
+
+module.exports = { tokenize, splitTokens };
@@ -0,0 +1,171 @@
+const { isCursorable } = require('./queryCursors');
+const { transactionStatus } = require('./sessionTransactions');
+const { tokenize, splitTokens } = require('./sqlLexer');
+
+// Script mode for the SQL console: a script is split into statements that run
+// one after the other on a single connection, each with its own result.
+
+// Split a script on top-level semicolons (see util/sqlLexer for what is not
+// top-level). Returns [{ sql, line }] where line is where the statement
+// starts; comment-only pieces are dropped.
+function splitStatements(script) {
+    return splitTokens(tokenize(script)).map(tokens => ({
+        sql: script.slice(tokens[0].start, tokens[tokens.length - 1].end),
+        line: tokens[0].line
+    }));
+}
+
+// Before each console statement on a read-only profile: whatever ran before
+// on this connection (a set_config() inside a SELECT, say), the next
+// transaction starts read-only and an open one is made read-only. A failed
+// transaction is left alone; it takes nothing but ROLLBACK.
+async function enforceReadOnly(client) {
+    const status = await transactionStatus(client);
+    if (status === 'failed') {
+        return;
+    }
+    await client.query('SET default_transaction_read_only = on');
+    if (status === 'open') {
+        await client.query('SET TRANSACTION READ ONLY');
+    }
+}
+
+const TRANSACTION_CONTROL = /^(begin|start\s+transaction|commit|end|rollback|abort|savepoint|release|prepare\s+transaction)\b/i;
+
+// BEGIN, COMMIT, SAVEPOINT and friends
+function isTransactionControl(sql) {
+    return TRANSACTION_CONTROL.test(sql);
+}
+
+// Up to maxRows rows of a SELECT-like statement through a one-off cursor, so a
+// huge result is never read whole. Inside an open transaction a savepoint
+// stands in for BEGIN. Returns null when the statement can't be declared as a
+// cursor (SELECT INTO, data-modifying WITH) and must run the ordinary way.
+async function fetchCapped(client, sql, maxRows, values) {
+    const nested = await transactionStatus(client) !== 'idle';
+    await client.query(nested ? 'SAVEPOINT pgm_fetch' : 'BEGIN');
+    try {
+        await client.query(`DECLARE pgm_script NO SCROLL CURSOR FOR ${sql}`, values);
+    } catch (err) {
+        await client.query(nested ? 'ROLLBACK TO SAVEPOINT pgm_fetch' : 'ROLLBACK');
+        if (nested) await client.query('RELEASE SAVEPOINT pgm_fetch');
+        return null;
+    }
+
+    let result;
+    try {
+        result = await client.query(`FETCH ${maxRows + 1} FROM pgm_script`);
+        await client.query('CLOSE pgm_script');
+    } catch (err) {
+        // A failure inside the caller's transaction aborts it, as it would have anyway
+        if (!nested) await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    }
+    await client.query(nested ? 'RELEASE SAVEPOINT pgm_fetch' : 'COMMIT');
+    return { command: 'SELECT', rowCount: Math.min(result.rows.length, maxRows), fields: result.fields, rows: result.rows };
+}
+
+// Several statements in one string (the single-query console allows it) run
+// one by one, so each SELECT is capped, and answer with the last. Outside a
+// transaction they share one, as they would in a single simple query.
+async function runEach(client, statements, maxRows) {
+    const implicit = !statements.some(isTransactionControl) && await transactionStatus(client) === 'idle';
+    if (implicit) await client.query('BEGIN');
+    let result;
+    try {
+        for (const sql of statements) {
+            result = await runStatement(client, sql, maxRows);
+        }
+    } catch (err) {
+        if (implicit) await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    }
+    if (implicit) await client.query('COMMIT');
+    return result;
+}
+
+// Run one statement, with `values` for its $n placeholders if given; rows
+// beyond maxRows are dropped and flagged `truncated`
+async function runStatement(client, sql, maxRows, values) {
+    const statements = values ? [] : splitStatements(sql);
+    if (statements.length > 1) {
+        return runEach(client, statements.map(statement => statement.sql), maxRows);
+    }
+
+    const result = (isCursorable(sql) && await fetchCapped(client, sql, maxRows, values)) || await client.query(sql, values);
+    const rows = result.rows || [];
+    return {
+        command: result.command,
+        rowCount: result.rowCount === null ? Math.min(rows.length, maxRows) : result.rowCount,
+        fields: (result.fields || []).map(field => ({ name: field.name, dataTypeID: field.dataTypeID })),
+        rows: rows.slice(0, maxRows),
+        truncated: rows.length > maxRows
+    };
+}
+
+// Run statements in order. onError 'stop' skips everything after the first
+// failure; 'continue' runs on, and inside a transaction puts each statement in
+// a savepoint so one failure doesn't abort the rest. With `wrap` the script
+// runs in its own transaction, committed only if every statement succeeded.
+// `isCancelled()` stops the script after a statement cancelled by its owner;
+// `readOnly` (the profile's) runs every statement read-only.
+async function runScript(client, statements, { wrap = false, onError = 'stop', maxRows, isCancelled = () => false, readOnly = false }) {
+    const results = [];
+    let failed = 0;
+    let stopped = false;
+
+    if (wrap) await client.query('BEGIN');
+
+    for (const [index, statement] of statements.entries()) {
+        const base = { index, line: statement.line, sql: statement.sql };
+        stopped = stopped || isCancelled();
+        if (stopped) {
+            results.push({ ...base, status: 'skipped' });
+            continue;
+        }
+
+        if (readOnly) await enforceReadOnly(client);
+        const guarded = onError === 'continue' && !isTransactionControl(statement.sql) && await transactionStatus(client) === 'open';
+        const startTime = Date.now();
+        try {
+            if (guarded) await client.query('SAVEPOINT pgm_statement');
+            const result = await runStatement(client, statement.sql, maxRows);
+            if (guarded) await client.query('RELEASE SAVEPOINT pgm_statement');
+            results.push({ ...base, status: 'ok', ...result, executionTime: Date.now() - startTime });
+        } catch (err) {
+            failed++;
+            if (guarded) {
+                await client.query('ROLLBACK TO SAVEPOINT pgm_statement').catch(() => {});
+                await client.query('RELEASE SAVEPOINT pgm_statement').catch(() => {});
+            }
+            results.push({ ...base, status: 'error', error: err.message, code: err.code, executionTime: Date.now() - startTime });
+            stopped = onError !== 'continue' || isCancelled();
+        }
+    }
+
+    let outcome = null;
+    let commitError = null;
+    if (wrap && failed === 0) {
+        try {
+            await client.query('COMMIT');
+            outcome = 'committed';
+        } catch (err) {
+            // e.g. a deferred constraint; the transaction is gone either way
+            commitError = { error: err.message, code: err.code };
+            outcome = 'rolled back';
+        }
+    } else if (wrap) {
+        await client.query('ROLLBACK');
+        outcome = 'rolled back';
+    }
+
+    return { results, failed, stopped, transaction: outcome, commitError };
+}
+
+module.exports = {
+    splitStatements,
+    isTransactionControl,
+    enforceReadOnly,
+    runStatement,
+    runScript
+};
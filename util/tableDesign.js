@@ -0,0 +1,274 @@
+const { isValidIdentifier, quoteIdent } = require('./sql');
+const { tokenize } = require('./sqlLexer');
+const { listColumns, getPrimaryKey } = require('./catalog');
+
+// Table designer: a design is the list of columns a table should have,
+// { name, type, nullable, default, primaryKey } each, plus `originalName` for
+// columns that already exist. buildCreateTable() turns one into CREATE TABLE;
+// buildAlterTable() compares it with the table as it is and returns the
+// ALTER TABLE statements that get there.
+
+const MAX_COLUMNS = 1600; // PostgreSQL's own limit
+const MAX_EXPRESSION_LENGTH = 1000;
+
+// Type names as format_type() spells them, so an unchanged type compares equal
+const TYPE_ALIASES = {
+    int: 'integer',
+    int4: 'integer',
+    int2: 'smallint',
+    int8: 'bigint',
+    bool: 'boolean',
+    float: 'double precision',
+    float8: 'double precision',
+    float4: 'real',
+    decimal: 'numeric',
+    varchar: 'character varying',
+    char: 'character',
+    bpchar: 'character'
+};
+
+const TYPE_PATTERN = /^([a-z_][a-z0-9_]*(?:\.[a-z_][a-z0-9_]*)?(?: [a-z_][a-z0-9_]*)*)(\(\d+(?:,\d+)?\))?( with(?:out)? time zone)?((?:\[\])*)$/;
+// A type name with quoted parts: [schema.]name, each part quoted or plain
+const NAME_PART = '(?:"(?:[^"]|"")+"|[a-z_][a-z0-9_$]*)';
+const QUOTED_TYPE_PATTERN = new RegExp(`^${NAME_PART}(?:\\.${NAME_PART})?(?:\\(\\d+(?:,\\d+)?\\))?(?:\\[\\])*$`);
+
+function invalid(message) {
+    return Object.assign(new Error(message), { status: 400 });
+}
+
+// Normalize a type name ("varchar(20)", "timestamptz", "numeric(10, 2)[]",
+// '"char"', 'app."Mood"[]'); null unless it is a plain or quoted type name
+// with an optional modifier
+function normalizeType(type) {
+    if (String(type || '').includes('"')) {
+        return normalizeQuotedType(String(type).trim());
+    }
+    const text = String(type || '').trim().toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/ ?\( ?/g, '(')
+        .replace(/ ?, ?/g, ',')
+        .replace(/ ?\)/g, ')')
+        .replace(/ ?\[ ?\] ?/g, '[]');
+    const match = TYPE_PATTERN.exec(text);
+    if (!match) {
+        return null;
+    }
+
+    let [, base, modifier = '', zone = '', array] = match;
+    base = TYPE_ALIASES[base] || base;
+    if (base === 'timestamptz' || base === 'timetz') {
+        base = base.slice(0, -2);
+        zone = ' with time zone';
+    }
+    if ((base === 'timestamp' || base === 'time') && !zone) {
+        zone = ' without time zone';
+    }
+    return `${base}${modifier}${zone}${array}`;
+}
+
+// Quoted names, as format_type() prints "char" and enums or domains with
+// upper-case or otherwise unusual names (or in such a schema): quoted parts
+// stay as written, the rest is lower-cased with the spaces dropped
+function normalizeQuotedType(text) {
+    const normalized = text.split(/("(?:[^"]|"")*")/)
+        .map((part, index) => index % 2 === 1 ? part : part.toLowerCase().replace(/\s+/g, ''))
+        .join('');
+    return QUOTED_TYPE_PATTERN.test(normalized) ? normalized : null;
+}
+
+// A single SQL expression (a DEFAULT, an index predicate): no statement
+// separators, balanced parentheses. `label` names it in errors.
+function normalizeExpression(expression, label) {
+    if (expression === undefined || expression === null || String(expression).trim() === '') {
+        return null;
+    }
+    const text = String(expression).trim();
+    if (text.length > MAX_EXPRESSION_LENGTH) {
+        throw invalid(`${label} is limited to ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    let depth = 0;
+    for (const token of tokenize(text)) {
+        if (token.value === ';') depth = -1;
+        else if (token.value === '(') depth++;
+        else if (token.value === ')') depth--;
+        if (depth < 0) break;
+    }
+    if (depth !== 0) {
+        throw invalid(`${label} must be a single expression`);
+    }
+    return text;
+}
+
+// Validate and normalize a design; `existing` is the current columns (from
+// describeTable) when altering, for checking originalName. A kept column whose
+// type is sent back unchanged keeps it as it is, whatever its spelling.
+function validateDesign(columns, existing = null) {
+    if (!Array.isArray(columns) || columns.length === 0) {
+        throw invalid('A table needs at least one column');
+    }
+    if (columns.length > MAX_COLUMNS) {
+        throw invalid(`A table can have at most ${MAX_COLUMNS} columns`);
+    }
+
+    const names = new Set();
+    const originals = new Set();
+    return columns.map(column => {
+        const name = column && typeof column.name === 'string' ? column.name.trim() : '';
+        if (!isValidIdentifier(name)) {
+            throw invalid(`Invalid column name "${name}"`);
+        }
+        if (names.has(name)) {
+            throw invalid(`Column ${name} appears twice`);
+        }
+        names.add(name);
+
+        const originalName = existing && column.originalName ? String(column.originalName) : null;
+        const before = originalName !== null ? existing.find(current => current.name === originalName) : null;
+        if (originalName !== null) {
+            if (!before) {
+                throw invalid(`Column ${originalName} does not exist`);
+            }
+            if (originals.has(originalName)) {
+                throw invalid(`Column ${originalName} appears twice`);
+            }
+            originals.add(originalName);
+        }
+
+        const unchanged = before && String(column.type || '').trim() === before.type;
+        const type = unchanged ? before.type : normalizeType(column.type);
+        if (!type) {
+            throw invalid(`Invalid type "${column.type}" for column ${name}`);
+        }
+
+        const primaryKey = column.primaryKey === true;
+        return {
+            name,
+            originalName,
+            type,
+            // Primary key columns are NOT NULL whatever the design says
+            nullable: !primaryKey && column.nullable !== false,
+            default: normalizeExpression(column.default, `Default of ${name}`),
+            primaryKey
+        };
+    });
+}
+
+function columnDefinition(column) {
+    return [
+        quoteIdent(column.name),
+        column.type,
+        column.nullable ? null : 'NOT NULL',
+        column.default === null ? null : `DEFAULT ${column.default}`
+    ].filter(Boolean).join(' ');
+}
+
+// CREATE TABLE for `ref` ({ schema, table, qualified }, see util/sql)
+function buildCreateTable(ref, columns) {
+    const design = validateDesign(columns);
+    const keys = design.filter(column => column.primaryKey).map(column => quoteIdent(column.name));
+
+    const lines = design.map(columnDefinition);
+    if (keys.length > 0) {
+        lines.push(`PRIMARY KEY (${keys.join(', ')})`);
+    }
+    return [`CREATE TABLE ${ref.qualified} (\n    ${lines.join(',\n    ')}\n)`];
+}
+
+// The table as the designer sees it: { columns, primaryKey }; null when it
+// doesn't exist
+async function describeTable(client, ref) {
+    const rows = await listColumns(client, [ref.schema], ref.table);
+    if (rows.length === 0) {
+        return null;
+    }
+    return {
+        columns: rows.map(row => ({
+            name: row.column_name,
+            type: row.column_type,
+            nullable: row.is_nullable === 'YES',
+            default: row.column_default
+        })),
+        primaryKey: await getPrimaryKey(client, ref.qualified)
+    };
+}
+
+// ALTER TABLE statements taking `current` (from describeTable) to the design.
+// Order matters: the old primary key goes first (dropping one of its columns
+// would take it along), then dropped columns, renames, type, default and
+// nullability changes, new columns, the new primary key, and the table's own
+// rename (`newName`) last.
+function buildAlterTable(ref, current, columns, newName = null) {
+    const design = validateDesign(columns, current.columns);
+    const table = ref.qualified;
+    const statements = [];
+
+    const kept = new Map(design.filter(column => column.originalName).map(column => [column.originalName, column]));
+    const currentKey = current.primaryKey ? current.primaryKey.columns.map(name => kept.has(name) ? kept.get(name).name : null) : [];
+    const designKey = design.filter(column => column.primaryKey).map(column => column.name);
+    const keyChanged = currentKey.join(',') !== designKey.join(',');
+
+    if (current.primaryKey && keyChanged) {
+        statements.push(`ALTER TABLE ${table} DROP CONSTRAINT ${quoteIdent(current.primaryKey.name)}`);
+    }
+
+    current.columns
+        .filter(column => !kept.has(column.name))
+        .forEach(column => statements.push(`ALTER TABLE ${table} DROP COLUMN ${quoteIdent(column.name)}`));
+
+    design.filter(column => column.originalName && column.originalName !== column.name).forEach(column => {
+        statements.push(`ALTER TABLE ${table} RENAME COLUMN ${quoteIdent(column.originalName)} TO ${quoteIdent(column.name)}`);
+    });
+
+    current.columns.filter(column => kept.has(column.name)).forEach(before => {
+        const after = kept.get(before.name);
+        const name = quoteIdent(after.name);
+
+        // Unchanged types come back exactly as format_type() spelled them
+        if (before.type !== after.type && (normalizeType(before.type) || before.type) !== after.type) {
+            statements.push(`ALTER TABLE ${table} ALTER COLUMN ${name} TYPE ${after.type} USING ${name}::${after.type}`);
+        }
+        if ((before.default || null) !== after.default) {
+            statements.push(after.default === null
+                ? `ALTER TABLE ${table} ALTER COLUMN ${name} DROP DEFAULT`
+                : `ALTER TABLE ${table} ALTER COLUMN ${name} SET DEFAULT ${after.default}`);
+        }
+        // Adding the primary key makes its columns NOT NULL by itself
+        if (before.nullable && !after.nullable && !(after.primaryKey && keyChanged)) {
+            statements.push(`ALTER TABLE ${table} ALTER COLUMN ${name} SET NOT NULL`);
+        } else if (!before.nullable && after.nullable) {
+            statements.push(`ALTER TABLE ${table} ALTER COLUMN ${name} DROP NOT NULL`);
+        }
+    });
+
+    design.filter(column => !column.originalName).forEach(column => {
+        statements.push(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition(column)}`);
+    });
+
+    if (designKey.length > 0 && keyChanged) {
+        statements.push(`ALTER TABLE ${table} ADD PRIMARY KEY (${designKey.map(quoteIdent).join(', ')})`);
+    }
+
+    if (newName && newName !== ref.table) {
+        if (!isValidIdentifier(newName)) {
+            throw invalid(`Invalid table name "${newName}"`);
+        }
+        statements.push(`ALTER TABLE ${table} RENAME TO ${quoteIdent(newName)}`);
+    }
+
+    return statements;
+}
+
+// Statements as one script, for previews and the audit log
+function formatDdl(statements) {
+    return statements.map(statement => `${statement};`).join('\n');
+}
+
+module.exports = {
+    normalizeType,
+    normalizeExpression,
+    describeTable,
+    buildCreateTable,
+    buildAlterTable,
+    formatDdl
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 s steps, 6 digits),
+// the defaults every authenticator app understands.
+const TOTP_CONFIG = {
+    issuer: process.env.DB_TOTP_ISSUER || 'PostgreSQL Manager',
+    step: 30,
+    digits: 6,
+    window: 1 // accept one step of clock drift either way
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// HOTP value for one counter (RFC 4226 dynamic truncation)
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** TOTP_CONFIG.digits).padStart(TOTP_CONFIG.digits, '0');
+}
+
+function currentStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_CONFIG.step);
+}
+
+function generateTotp(secret, time = Date.now()) {
+    return hotp(secret, currentStep(time));
+}
+
+// Returns the matching time step, or null. Callers keep the last accepted step
+// and pass it as `afterStep` so a code can't be replayed.
+function verifyTotp(secret, code, { afterStep = -1, time = Date.now() } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_CONFIG.digits) {
+        return null;
+    }
+
+    const now = currentStep(time);
+    for (let step = now - TOTP_CONFIG.window; step <= now + TOTP_CONFIG.window; step++) {
+        if (step <= afterStep) continue;
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// otpauth:// URI for QR codes / manual entry
+function otpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${TOTP_CONFIG.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_CONFIG.issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_CONFIG.digits),
+        period: String(TOTP_CONFIG.step)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    TOTP_CONFIG,
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    otpauthUri
+};
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { generateSecret, verifyTotp, otpauthUri } = require('./totp');
+const { MAX_QUERY_TIMEOUT, isValidQueryTimeout } = require('./settings');
+
+// Local user accounts (DATA_DIR/users.json)
+const store = createJsonStore(process.env.DB_USERS_FILE || 'users.json', { users: [] });
+
+const ROLES = ['admin', 'editor', 'viewer'];
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const RECOVERY_CODE_COUNT = 10;
+
+// Hash password with salt
+function hashPassword(password, salt) {
+    return crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
+}
+
+// Verify password
+function verifyPassword(password, hash, salt) {
+    const hashToVerify = hashPassword(password, salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(hashToVerify, 'hex'));
+}
+
+function generateSalt() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Used to keep login timing identical for unknown usernames
+const DUMMY_SALT = generateSalt();
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'), DUMMY_SALT);
+
+// Account without credential fields, safe to send to the browser
+function publicUser(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        disabled: !!user.disabled,
+        grants: user.grants || {},
+        totpEnabled: !!(user.totp && user.totp.enabled),
+        recoveryCodesLeft: user.totp && user.totp.enabled ? user.totp.recoveryCodes.length : 0,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+        lastLoginAt: user.lastLoginAt || null,
+        statementTimeout: Number.isInteger(user.statementTimeout) ? user.statementTimeout : null
+    };
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+function listUsers() {
+    return store.read().users.map(publicUser);
+}
+
+function getUser(username) {
+    return store.read().users.find(user => user.username === username) || null;
+}
+
+// Refuse changes that would leave no enabled admin account
+function assertAdminRemains(users, username, changes) {
+    const remaining = users.filter(user => {
+        const next = user.username === username ? { ...user, ...changes } : user;
+        return next.role === 'admin' && !next.disabled;
+    });
+    if (remaining.length === 0) {
+        throw new Error('At least one enabled admin account is required');
+    }
+}
+
+function createUser({ username, password, role = 'viewer' }) {
+    if (!username || !USERNAME_PATTERN.test(username)) {
+        throw new Error('Username must be 1-64 letters, digits or . _ @ -');
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        throw new Error(passwordError);
+    }
+
+    return store.update(data => {
+        if (data.users.some(user => user.username === username)) {
+            throw new Error(`User "${username}" already exists`);
+        }
+
+        const salt = generateSalt();
+        const now = new Date().toISOString();
+        const user = {
+            username,
+            role,
+            salt,
+            passwordHash: hashPassword(password, salt),
+            disabled: false,
+            createdAt: now,
+            updatedAt: now
+        };
+        data.users.push(user);
+        return publicUser(user);
+    });
+}
+
+// Change role, disabled flag and/or SQL console statement timeout
+// (seconds; null falls back to the instance default)
+function updateUser(username, { role, disabled, statementTimeout }) {
+    if (role !== undefined && !ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (statementTimeout !== undefined && statementTimeout !== null && !isValidQueryTimeout(statementTimeout)) {
+        throw new Error(`Statement timeout must be a whole number of seconds from 0 to ${MAX_QUERY_TIMEOUT}, or null`);
+    }
+
+    return store.update(data => {
+        const user = data.users.find(u => u.username === username);
+        if (!user) {
+            return null;
+        }
+
+        const changes = {};
+        if (role !== undefined) changes.role = role;
+        if (disabled !== undefined) changes.disabled = !!disabled;
+        if (statementTimeout !== undefined) changes.statementTimeout = statementTimeout;
+        assertAdminRemains(data.users, username, changes);
+
+        Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+        return publicUser(user);
+    });
+}
+
+// Replace a user's per-schema / per-table grants (validated by the caller)
+function setGrants(username, grants) {
+    return store.update(data => {
+        const user = data.users.find(u => u.username === username);
+        if (!user) {
+            return null;
+        }
+
+        user.grants = grants;
+        user.updatedAt = new Date().toISOString();
+        return publicUser(user);
+    });
+}
+
+function resetPassword(username, password) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        throw new Error(passwordError);
+    }
+
+    return store.update(data => {
+        const user = data.users.find(u => u.username === username);
+        if (!user) {
+            return null;
+        }
+
+        user.salt = generateSalt();
+        user.passwordHash = hashPassword(password, user.salt);
+        user.updatedAt = new Date().toISOString();
+        return publicUser(user);
+    });
+}
+
+// --- Two-factor authentication (TOTP) ---
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(code.toLowerCase().replace(/[^0-9a-f]/g, '')).digest('hex');
+}
+
+// Plain codes are returned once; only hashes are stored
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const hex = crypto.randomBytes(4).toString('hex');
+        codes.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+    }
+    return codes;
+}
+
+// Start (or restart) enrollment: a pending secret that becomes active once a code is confirmed.
+// keepPending reuses a secret already handed out, so reloading the page doesn't invalidate a scan.
+function startTotpEnrollment(username, { keepPending = false } = {}) {
+    return store.update(data => {
+        const user = data.users.find(u => u.username === username);
+        if (!user) {
+            return null;
+        }
+
+        const secret = (keepPending && user.totp && user.totp.pendingSecret) || generateSecret();
+        user.totp = { ...(user.totp || { enabled: false, recoveryCodes: [] }), pendingSecret: secret };
+        return { secret, uri: otpauthUri(secret, username) };
+    });
+}
+
+// Activate the pending secret if the code matches; returns the new recovery codes or null
+function confirmTotpEnrollment(username, code) {
+    const current = getUser(username);
+    if (current && current.totp && current.totp.pendingSecret && verifyTotp(current.totp.pendingSecret, code) === null) {
+        return null;
+    }
+
+    return store.update(data => {
+        const user = data.users.find(u => u.username === username);
+        if (!user || !user.totp || !user.totp.pendingSecret) {
+            throw new Error('No two-factor enrollment in progress');
+        }
+
+        const step = verifyTotp(user.totp.pendingSecret, code);
+        if (step === null) {
+            return null;
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        user.totp = {
+            enabled: true,
+            secret: user.totp.pendingSecret,
+            lastStep: step,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+            enabledAt: new Date().toISOString()
+        };
+        user.updatedAt = new Date().toISOString();
+        return recoveryCodes;
+    });
+}
+
+// Which second factor `code` is for an enrolled user: { step } for a TOTP
+// code, { index } for a recovery code, or null
+function matchSecondFactor(user, code) {
+    if (!user || !user.totp || !user.totp.enabled) {
+        return null;
+    }
+
+    const step = verifyTotp(user.totp.secret, code, { afterStep: user.totp.lastStep });
+    if (step !== null) {
+        return { step };
+    }
+    const index = user.totp.recoveryCodes.indexOf(hashRecoveryCode(String(code || '')));
+    return index !== -1 ? { index } : null;
+}
+
+// Check a TOTP or recovery code for an enrolled user. Codes are single use:
+// the TOTP step is remembered and recovery codes are consumed. A wrong code
+// changes nothing, so it is checked without rewriting the users file.
+// Returns { method, recoveryCodesLeft } or null.
+function verifySecondFactor(username, code) {
+    if (!matchSecondFactor(getUser(username), code)) {
+        return null;
+    }
+
+    return store.update(data => {
+        const user = data.users.find(u => u.username === username);
+        const match = matchSecondFactor(user, code);
+        if (!match) {
+            return null;
+        }
+
+        if (match.index === undefined) {
+            user.totp.lastStep = match.step;
+            return { method: 'totp', recoveryCodesLeft: user.totp.recoveryCodes.length };
+        }
+        user.totp.recoveryCodes.splice(match.index, 1);
+        return { method: 'recovery', recoveryCodesLeft: user.totp.recoveryCodes.length };
+    });
+}
+
+function regenerateRecoveryCodes(username) {
+    return store.update(data => {
+        const user = data.users.find(u => u.username === username);
+        if (!user || !user.totp || !user.totp.enabled) {
+            return null;
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        user.totp.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+        return recoveryCodes;
+    });
+}
+
+// Turn 2FA off (self-service, or an admin resetting a lost device)
+function disableTotp(username) {
+    return store.update(data => {
+        const user = data.users.find(u => u.username === username);
+        if (!user) {
+            return null;
+        }
+
+        delete user.totp;
+        user.updatedAt = new Date().toISOString();
+        return publicUser(user);
+    });
+}
+
+// Check credentials; returns the public user or null. Disabled accounts never authenticate.
+function authenticate(username, password) {
+    const user = getUser(username);
+
+    if (!user) {
+        verifyPassword(String(password || ''), DUMMY_HASH, DUMMY_SALT);
+        return null;
+    }
+    if (!verifyPassword(String(password || ''), user.passwordHash, user.salt) || user.disabled) {
+        return null;
+    }
+    return publicUser(user);
+}
+
+// Stamp a completed login (after every required factor)
+function recordLogin(username) {
+    store.update(data => {
+        const stored = data.users.find(u => u.username === username);
+        if (stored) stored.lastLoginAt = new Date().toISOString();
+    });
+}
+
+// Seed the first admin from DB_AUTH_USERNAME / DB_AUTH_PASSWORD when the store is empty
+function ensureBootstrapAdmin(username, password) {
+    if (store.read().users.length > 0) {
+        return false;
+    }
+
+    const salt = generateSalt();
+    const now = new Date().toISOString();
+    store.write({
+        users: [{
+            username,
+            role: 'admin',
+            salt,
+            passwordHash: hashPassword(password, salt),
+            disabled: false,
+            createdAt: now,
+            updatedAt: now
+        }]
+    });
+    console.log(`[AUTH] Created initial admin account "${username}" in ${store.filePath}`);
+    return true;
+}
+
+module.exports = {
+    ROLES,
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    listUsers,
+    getUser,
+    createUser,
+    updateUser,
+    setGrants,
+    resetPassword,
+    authenticate,
+    recordLogin,
+    ensureBootstrapAdmin,
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTotp,
+    publicUser
+};
@@ -0,0 +1,249 @@
+const zlib = require('zlib');
+
+// Minimal streaming XLSX writer: one worksheet of inline strings and numbers,
+// zipped on the fly. The worksheet is deflated as rows arrive and its sizes
+// go in a trailing data descriptor, so nothing is buffered beyond one batch.
+
+// Excel's hard limits
+const MAX_ROWS = 1048576;
+const MAX_CELL_LENGTH = 32767;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// ZIP container writing deflated entries one after the other
+function createZipWriter(write) {
+    const entries = [];
+    const stamp = dosDateTime(new Date());
+    let offset = 0;
+
+    async function emit(buffer) {
+        offset += buffer.length;
+        await write(buffer);
+    }
+
+    function localHeader(name) {
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);          // version needed
+        header.writeUInt16LE(0x0808, 6);      // data descriptor follows, UTF-8 names
+        header.writeUInt16LE(8, 8);           // deflate
+        header.writeUInt16LE(stamp.time, 10);
+        header.writeUInt16LE(stamp.date, 12);
+        header.writeUInt16LE(name.length, 26);
+        return Buffer.concat([header, name]);
+    }
+
+    // Returns { write(text), end() } for one entry
+    async function startEntry(fileName) {
+        const name = Buffer.from(fileName, 'utf8');
+        const entry = { name, offset, crc: 0, size: 0, compressedSize: 0 };
+        entries.push(entry);
+        await emit(localHeader(name));
+
+        const deflate = zlib.createDeflateRaw();
+        let pending = [];
+        deflate.on('data', chunk => pending.push(chunk));
+
+        async function drain() {
+            if (pending.length === 0) return;
+            const output = Buffer.concat(pending);
+            pending = [];
+            entry.compressedSize += output.length;
+            await emit(output);
+        }
+
+        return {
+            async write(text) {
+                const input = Buffer.from(text, 'utf8');
+                entry.crc = crc32(input, entry.crc);
+                entry.size += input.length;
+                deflate.write(input);
+                await new Promise(resolve => deflate.flush(zlib.constants.Z_SYNC_FLUSH, resolve));
+                await drain();
+            },
+            async end() {
+                await new Promise((resolve, reject) => {
+                    deflate.once('end', resolve);
+                    deflate.once('error', reject);
+                    deflate.end();
+                });
+                await drain();
+
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressedSize, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                await emit(descriptor);
+            }
+        };
+    }
+
+    async function addFile(fileName, text) {
+        const entry = await startEntry(fileName);
+        await entry.write(text);
+        await entry.end();
+    }
+
+    async function finish() {
+        const start = offset;
+        for (const entry of entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(20, 4);      // version made by
+            header.writeUInt16LE(20, 6);      // version needed
+            header.writeUInt16LE(0x0808, 8);
+            header.writeUInt16LE(8, 10);
+            header.writeUInt16LE(stamp.time, 12);
+            header.writeUInt16LE(stamp.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.name.length, 28);
+            header.writeUInt32LE(entry.offset, 42);
+            await emit(Buffer.concat([header, entry.name]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(entries.length, 8);
+        end.writeUInt16LE(entries.length, 10);
+        end.writeUInt32LE(offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await emit(end);
+    }
+
+    return { startEntry, addFile, finish };
+}
+
+function escapeXml(text) {
+    return text
+        // Characters XML 1.0 can't carry at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function stringCell(value, style = '') {
+    const text = value.length > MAX_CELL_LENGTH ? value.slice(0, MAX_CELL_LENGTH) : value;
+    return `<c t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+const STATIC_PARTS = {
+    '[Content_Types].xml':
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+    '_rels/.rels':
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    'xl/_rels/workbook.xml.rels':
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>',
+    'xl/styles.xml':
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+};
+
+// Workbook with a bold header row; addRows' numericColumns[i] marks columns written as numbers.
+// Rows past Excel's limit are dropped; `truncated` tells the caller.
+async function createXlsxWriter(write, { sheetName = 'Sheet1', columns }) {
+    const zip = createZipWriter(write);
+    const safeSheetName = sheetName.replace(/[\\/?*[\]:]/g, '_').slice(0, 31) || 'Sheet1';
+
+    await zip.addFile('[Content_Types].xml', STATIC_PARTS['[Content_Types].xml']);
+    await zip.addFile('_rels/.rels', STATIC_PARTS['_rels/.rels']);
+    await zip.addFile('xl/workbook.xml',
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(safeSheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+    await zip.addFile('xl/_rels/workbook.xml.rels', STATIC_PARTS['xl/_rels/workbook.xml.rels']);
+    await zip.addFile('xl/styles.xml', STATIC_PARTS['xl/styles.xml']);
+
+    const sheet = await zip.startEntry('xl/worksheets/sheet1.xml');
+    await sheet.write(
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>' +
+        `<row>${columns.map(column => stringCell(column, ' s="1"')).join('')}</row>`);
+
+    let rowCount = 1;
+    const writer = {
+        truncated: false,
+
+        // rows are arrays of text values (null for NULL)
+        async addRows(rows, numericColumns = []) {
+            let xml = '';
+            for (const row of rows) {
+                if (rowCount >= MAX_ROWS) {
+                    writer.truncated = true;
+                    break;
+                }
+                xml += '<row>' + row.map((value, i) => {
+                    if (value === null || value === undefined) return '<c/>';
+                    if (numericColumns[i] && /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(value)) {
+                        return `<c><v>${value}</v></c>`;
+                    }
+                    return stringCell(String(value));
+                }).join('') + '</row>';
+                rowCount++;
+            }
+            if (xml) {
+                await sheet.write(xml);
+            }
+        },
+
+        async end() {
+            await sheet.write('</sheetData></worksheet>');
+            await sheet.end();
+            await zip.finish();
+        }
+    };
+    return writer;
+}
+
+module.exports = { MAX_ROWS, createXlsxWriter };